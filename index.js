@@ -1,29 +1,156 @@
 /**
  * Bass Tournament Discord Bot — UI Panel + Auto-Updating Embeds + Reset Buttons
  *
- * ✅ Only ONE slash command: /panel (admin only)
- * ✅ No approve/reject
+ * ✅ Slash commands:
+ *    - /panel (admin only)
+ *    - /import-results file:<csv> (admin only) — past seasons from spreadsheets
+ *    - /profile [angler] — career stats (also the "Profile" panel button)
  * ✅ Weigh-in flow:
- *    1) User uploads photo FIRST in the PANEL channel
- *    2) User clicks "Submit Weigh-in"
- *    3) Modal asks for weight + notes
- *    4) Bot uses user's latest uploaded image in that panel channel (last 180 minutes)
+ *    1) User uploads photo(s) FIRST in the PANEL channel
+ *    2) User clicks "Submit Weigh-in" (several tournaments open? pick one, or all the angler is entered in)
+ *    3) Several unused photos (last 180 minutes)? Pick up to 4 from a select menu (scale + fish, ...)
+ *    4) Modal asks for weight + notes
+ *    5) Photos are attached to that weigh-in only (never reused) and shown as a gallery in the
+ *       receipt and judge posts
+ *    6) Photos are archived right away (Discord attachment URLs expire): re-posted to the guild's
+ *       photo archive channel (Set Channels) or saved under PHOTO_ARCHIVE_DIR; past weigh-ins,
+ *       judge posts and profiles show the archived copies
+ *
+ * ✅ Per-tournament scoring rules (set in Start Tourney, one key=value per line or ; separated):
+ *    - limit=5        fish counted per bag
+ *    - metric=weight  rank the bag board by weight | count (fish count, weight breaks ties)
+ *    - dead=0.25      deducted per dead fish in the bag (adds a "Dead fish?" weigh-in question)
+ *    - mode=weight    weight (lbs) | length (CPR: inches to the quarter inch, ranked by total/longest)
+ *      Month/year winners are kept separate for weight and length events.
+ *    - species=largemouth,smallmouth      only these species count
+ *    - slots=smallmouth:2,largemouth:3    heaviest N of each species make the bag
+ *    - teams=yes      two-angler boat teams (see "Teams" below)
+ *    - tiebreak=bigfish,earliest   tie-breakers in order: bigfish | earliest (bag completed / big fish
+ *      weighed first) | fewer (fewer fish); default bigfish, "none" turns them off.
+ *      Anglers still level share a place, shown as "T-2"; month/year winners use the period's latest
+ *      tournament's tie-breakers over the whole period, and AOY places share ties the same way
+ *    - divisions=Kayak,Boat,Youth   separate Big Bass + bag standings per division (see "Divisions")
+ *    - overall=no     hide the overall boards when divisions are set (default: shown above them)
+ *
+ * ✅ Divisions (tournaments started with divisions=...):
+ *    - Anglers pick their division when registering, or on their first Submit Weigh-in;
+ *      admins can (re)assign one under Register → Mark Payment. Teams fish their captain's division,
+ *      so teammates must pick the same one (a mismatched team or pick is refused)
+ *    - Live boards, final standings and full standings show each division; month/year winners
+ *      are also given per division (matched by division name across tournaments)
+ *
+ * ✅ Team tournaments ("Teams" button, tournaments started with teams=yes):
+ *    - A captain creates a team and invites a partner (DM), or an admin builds it outright
+ *    - Either partner submits weigh-ins and picks who caught the fish
+ *    - The bag limit applies across both anglers' fish; the Top 5 board ranks teams
+ *    - Big Bass and month/year stats stay credited to the angler who caught the fish
+ *
+ * ✅ Species on every weigh-in (largemouth, smallmouth, spotted + extras from "Species Settings"):
+ *    - Optional per-species big-fish leaders on the Big Bass embed
+ *    - Per-species big-fish awards on the monthly/yearly winners embeds
+ *
+ * ✅ Concurrent tournaments (e.g. a weekend derby inside a month-long big-bass challenge):
+ *    - Starting a tournament leaves the others running; each gets its own live Big Bass + Top 5
+ *      messages, and the channels' first message lists the running boards
+ *    - Submit Weigh-in asks which tournament the fish is for, or enters it in all eligible ones
+ *    - End Tourney, Register, Teams and My Weigh-ins ask which tournament when several apply
+ *
+ * ✅ Scheduled tournaments:
+ *    - Start Tourney accepts optional start + end date-times (TOURNAMENT_TZ, default UTC)
+ *    - Scheduler (persisted in the DB, survives restarts) activates at start time and runs
+ *      the normal End Tourney path at end time
+ *    - Countdown reminders are posted in the PANEL channel
+ *    - "Cancel Scheduled" calls one off (pick it, then confirm)
+ *
+ * ✅ Photo verification codes (Start Tourney "Photo code": auto | auto daily | BASS42 | BASS,SHAD one per day):
+ *    - Shown on the panel (kept up to date) + announced in the PANEL channel, rotating codes daily
+ *    - The weigh-in modal title repeats it; each weigh-in stores the code in effect
+ *    - Judges see the code the photo should contain on every review post
+ *
+ * ✅ "My Weigh-ins" button:
+ *    - Anglers see their own weigh-ins for a running tournament
+ *    - Edit weight/notes or withdraw an entry until the tournament ends
+ *    - Every angler change is written to weighin_audit
+ *
+ * ✅ Reused photo detection ("Review Settings" → flag / block / off):
+ *    - Every uploaded image gets a content hash (sha256) + perceptual hash (dHash)
+ *    - A weigh-in photo matching an earlier weigh-in (any tournament) or another member's upload is
+ *      flagged to the judges queue with the original shown, or blocked outright
+ *
+ * ✅ Optional judge review (per guild, "Review Settings" button):
+ *    - Review OFF: weigh-ins are approved instantly (default)
+ *    - Review ON: weigh-ins are saved as pending + posted to the JUDGES channel
+ *      with Approve / Reject (reason) / Adjust Weight (or Length) buttons
+ *    - Angler gets a DM with the decision; only approved fish hit the leaderboards
  *
  * ✅ Separate channels:
  *    - PANEL channel (UI + weigh-in uploads)
  *    - BIG BASS channel (auto-updating embed)
  *    - TOP 5 channel (auto-updating embed)
  *    - RESULTS channel (final standings + monthly/yearly winners embeds)
+ *    - JUDGES channel (review queue, only used when review is ON)
+ *    - FEED channel (optional, "Feed Settings": public weigh-in posts + lead call-outs)
  *
  * ✅ Auto-updating embeds (no “request” needed):
- *    - Big Bass (Current Tournament) in Big Bass channel
- *    - Total Bag (Top 5) (Current Tournament) in Top 5 channel
+ *    - Big Bass (one message per running tournament) in Big Bass channel
+ *    - Total Bag (Top 5) (one message per running tournament) in Top 5 channel
  *    - Monthly Winners (current month) in Results channel
  *    - Yearly Winners (current year) in Results channel
+ *    - Angler of the Year points race (current year) in Results channel
+ *
+ * ✅ Full standings (boards list the top 15):
+ *    - "View Full Standings" under the Big Bass / bag boards and final results opens a private paged list
+ *    - "My Position" jumps to the page with your own row (your team's on team boards)
+ *
+ * ✅ Weigh-in feed ("Feed Settings" button):
+ *    - Public post with angler, weight + photo for every weigh-in once it counts (after approval with review ON)
+ *    - Call-outs when someone takes over the Big Bass or bag lead, or culls into the top 3
+ *
+ * ✅ Registration + payouts ("Register" button; admins get "Entry & Payouts" + "Mark Payment" there):
+ *    - Per tournament: off, required, or paid (only anglers marked paid can submit weigh-ins)
+ *    - Prize pool = entry fee × paid anglers, paid by place %, plus a big bass pot % and optional side pots
+ *    - Payouts are posted with the final standings
+ *
+ * ✅ Angler of the Year ("AOY Settings" button):
+ *    - Points per finishing place + participation points per event
+ *    - Optionally drop each angler's worst N events (missed events count as 0)
+ *    - Calculated from finalized tournament_results
+ *
+ * ✅ Angler profiles (/profile or "Profile" button, yourself or any member):
+ *    - Personal best fish with photo, longest CPR fish, tournaments fished, wins, top-3 finishes
+ *    - Average bag, total fish weighed, current-season AOY rank
+ *
+ * ✅ "History" button:
+ *    - Open any ended tournament's final Big Bass + bag standings (pick its month or year first
+ *      to list that period's tournaments)
+ *    - Monthly winners for any past month, yearly winners + AOY for any past year
+ *
+ * ✅ Admin export ("Export Data" button):
+ *    - One tournament, a month or a year as CSV (tournaments / weighins / results files) or JSON
+ *    - Sent as ephemeral attachments; column headers never change order
+ *
+ * ✅ Historical import (/import-results):
+ *    - CSV columns: name, date (YYYY-MM-DD), angler (ID, @mention or username), big_bass, total_bag, fish_count
+ *    - Every row is validated and a dry-run preview is shown; nothing is saved until "Import"
+ *    - Creates ended tournaments + tournament_results, so month/year winners and AOY include them
+ *
+ * ✅ Admin weigh-in tools ("Weigh-in Tools" button):
+ *    - Pick a tournament, search an angler's weigh-ins
+ *    - Void / restore / edit (weight, angler, species, notes) / mark dead with a required reason
+ *    - Every change lands in weighin_audit; view any angler's audit history
  *
  * ✅ Admin reset buttons:
  *    - Reset Monthly (clears finalized results for current month)
  *    - Reset Yearly (clears finalized results for current year)
+ *    - Both ask for confirmation first, showing how many results are affected
+ *    - Resets are soft: rows move into a reset batch (archived_results), never deleted
+ *    - "Reset History" lists batches + the admin_audit log and restores a batch
+ *
+ * ✅ Multi-server: one deployment serves every server it's added to
+ *    - Commands register globally (or on GUILD_ID only, for testing); going global clears the
+ *      old per-server copies
+ *    - Joining a server sets up its config; leaving archives (or deletes) its data
+ *    - Every query is scoped by guild_id
  *
  * ✅ Fixes: NO "ephemeral" option used (uses flags=64 instead)
  *
@@ -34,14 +161,24 @@
  * Railway / .env:
  * DISCORD_TOKEN=...
  * CLIENT_ID=...
- * GUILD_ID=...
  * Optional:
+ * GUILD_ID=... (register commands on this one server only — instant, handy for testing;
+ *              leave unset to register globally and serve every server the bot is in)
+ * GUILD_LEAVE_ACTION=archive (archive | delete: what happens to a server's data when the bot is removed;
+ *              archived data comes back if the bot is re-added; a removal only noticed at startup
+ *              is always archived)
+ * PHOTO_ARCHIVE_DIR=/data/photos (keep weigh-in photos on disk for servers without a photo archive channel)
  * DB_PATH=/data/tournament.sqlite (defaults to /data/tournament.sqlite)
+ * TOURNAMENT_TZ=America/Chicago (IANA zone used to read scheduled date-times, defaults to UTC)
  */
 
 require("dotenv").config();
 
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const sqlite3 = require("sqlite3").verbose();
+const sharp = require("sharp");
 const {
   Client,
   GatewayIntentBits,
@@ -54,17 +191,160 @@ const {
   ButtonBuilder,
   ButtonStyle,
   EmbedBuilder,
+  StringSelectMenuBuilder,
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
+  AttachmentBuilder,
+  InteractionContextType,
 } = require("discord.js");
 
 // -------------------- CONSTANTS --------------------
 const EPHEMERAL_FLAG = 1 << 6; // 64
 const PHOTO_LOOKBACK_MINUTES = 180;
+// Photos per weigh-in (Discord shows up to 4 images as one gallery) and uploads offered to pick from
+// (one thumbnail embed each, 10 embeds per message).
+const MAX_WEIGHIN_PHOTOS = 4;
+const MAX_PHOTO_CHOICES = 10;
+// Leaderboard embeds list the top rows; everyone else is a tap away in the paged full standings.
+const LEADERBOARD_TOP = 15;
+const STANDINGS_PAGE_SIZE = 15;
+// Duplicate photo check: perceptual hashes this close (bits out of 64) count as the same picture,
+// which survives re-compression, resizing and screenshots of the original.
+const PHOTO_HASH_MAX_DISTANCE = 6;
+// Exact copies are looked up by hash across every photo; near-duplicates have to be compared one by
+// one, so only this many of the most recent weigh-in photos (and other members' uploads) are checked.
+const PHOTO_MATCH_RECENT_LIMIT = 2000;
+const PHOTO_MAX_BYTES = 25 * 1024 * 1024;
+const PHOTO_DOWNLOAD_TIMEOUT_MS = 15 * 1000;
+const PHOTO_CHECK_MODES = ["flag", "block", "off"];
+// Photo verification codes: auto codes avoid 0/O and 1/I lookalikes; admin codes fit the modal title.
+const VERIFICATION_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const VERIFICATION_CODE_LENGTH = 4;
+const VERIFICATION_MAX_LENGTH = 20;
+const DEFAULT_SCORING_RULES = {
+  bagLimit: 5,
+  metric: "weight",
+  deadFishPenalty: 0,
+  mode: "weight",
+  species: null, // null = every species counts
+  slots: null, // e.g. { smallmouth: 2, largemouth: 3 }
+  teams: false, // true = two-angler boat teams share one bag
+  tiebreakers: ["bigfish"], // applied in order; anglers still level share a place ("T-2")
+  divisions: null, // e.g. ["Kayak", "Boat", "Youth"]
+  overall: true, // with divisions: also show the combined boards
+};
+const SCORING_METRICS = ["weight", "count"];
+// bigfish: bigger best fish in the bag • earliest: bag (or big fish) weighed in first • fewer: fewer fish
+const TIEBREAKERS = ["bigfish", "earliest", "fewer"];
+const MAX_DIVISIONS = 5;
+const MAX_DIVISION_NAME = 20;
+// Rows per division on the live + final boards (several divisions share one message)
+const DIVISION_BOARD_TOP = 5;
+const TEAM_SIZE = 2;
+// Registration per tournament: off (anyone weighs in), required, or paid (only paid anglers weigh in)
+const REGISTRATION_MODES = ["off", "required", "paid"];
+const DEFAULT_REGISTRATION = { mode: "off", fee: 0, places: [], bigBass: 0, sidePots: [] };
+const MAX_SIDE_POTS = 5;
+// Reset Monthly / Yearly: strftime format of tournaments.ended_at for each scope
+const RESET_SCOPES = {
+  month: { label: "Monthly", format: "%Y-%m" },
+  year: { label: "Yearly", format: "%Y" },
+};
+// Reset History: most recent batches + audit entries listed (every unrestored batch can be restored)
+const RESET_HISTORY_LIMIT = 10;
+
+// Historical import (/import-results): required CSV headers and limits.
+const IMPORT_COLUMNS = ["name", "date", "angler", "big_bass", "total_bag", "fish_count"];
+const IMPORT_MAX_BYTES = 1024 * 1024;
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_DOWNLOAD_TIMEOUT_MS = 15 * 1000;
+
+// Export column order is part of the file format: spreadsheets map columns by header, so only
+// ever append new columns at the end.
+const EXPORT_COLUMNS = {
+  tournaments: ["tournament_id", "name", "started_at", "ended_at", "scheduled_start_at", "scheduled_end_at", "scoring_rules"],
+  weighins: [
+    "weighin_id",
+    "tournament_id",
+    "tournament_name",
+    "user_id",
+    "submitted_by",
+    "species",
+    "weight_lbs",
+    "length_in",
+    "is_dead",
+    "status",
+    "original_weight_lbs",
+    "original_length_in",
+    "reviewed_by",
+    "reviewed_at",
+    "reject_reason",
+    "notes",
+    "photo_url",
+    "created_at",
+    "photo_urls",
+    "verification_code",
+  ],
+  results: ["tournament_id", "tournament_name", "ended_at", "place", "user_id", "big_bass", "total_bag", "fish_count", "mode"],
+};
+
+// Angler of the Year: points by finishing place (1st, 2nd, ...), plus points for every event fished.
+// dropWorst = each angler's N lowest-scoring events of the year (missed events score 0) don't count.
+const DEFAULT_AOY_SETTINGS = {
+  points: [25, 20, 16, 13, 11, 10, 9, 8, 7, 6],
+  participation: 5,
+  dropWorst: 0,
+};
+
+const DEFAULT_SPECIES = ["largemouth", "smallmouth", "spotted"];
+const SPECIES_ALIASES = {
+  lm: "largemouth",
+  lmb: "largemouth",
+  large: "largemouth",
+  sm: "smallmouth",
+  smb: "smallmouth",
+  small: "smallmouth",
+  spot: "spotted",
+  spots: "spotted",
+};
+
+// What a fish is measured by. Weight events fill weight_lbs, CPR (length) events fill length_in.
+const MEASURES = {
+  weight: {
+    column: "weight_lbs",
+    unit: "lbs",
+    label: "Weight",
+    inputLabel: "Weight (lbs) e.g., 5.62",
+    example: "5.62",
+  },
+  length: {
+    column: "length_in",
+    unit: "in",
+    label: "Length",
+    inputLabel: "Length (inches, ¼ steps) e.g., 18.25",
+    example: "18.25",
+  },
+};
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const TOURNAMENT_TZ = process.env.TOURNAMENT_TZ || "UTC";
+// Local photo archive (used when a guild has no archive channel): <dir>/<guild id>/<weigh-in id>-<n>.<ext>
+const PHOTO_ARCHIVE_DIR = process.env.PHOTO_ARCHIVE_DIR || null;
+
+// Countdown reminders, largest first. Keys are persisted per tournament so restarts don't repeat them.
+const START_REMINDERS = [
+  { key: "start_24h", minutes: 24 * 60 },
+  { key: "start_1h", minutes: 60 },
+  { key: "start_15m", minutes: 15 },
+];
+const END_REMINDERS = [
+  { key: "end_1h", minutes: 60 },
+  { key: "end_15m", minutes: 15 },
+];
 
 // -------------------- ENV CHECK --------------------
-const REQUIRED_ENVS = ["DISCORD_TOKEN", "CLIENT_ID", "GUILD_ID"];
+const REQUIRED_ENVS = ["DISCORD_TOKEN", "CLIENT_ID"];
+const GUILD_LEAVE_ACTION = process.env.GUILD_LEAVE_ACTION === "delete" ? "delete" : "archive";
 for (const key of REQUIRED_ENVS) {
   if (!process.env[key]) {
     console.error(`Missing env var: ${key}`);
@@ -74,7 +354,15 @@ for (const key of REQUIRED_ENVS) {
 
 // -------------------- DB SETUP --------------------
 const DB_PATH = process.env.DB_PATH || "/data/tournament.sqlite";
+const DB_BUSY_TIMEOUT_MS = 10 * 1000;
 const db = new sqlite3.Database(DB_PATH);
+// Multi-statement writes run on their own connection, one at a time (withTransaction), so another
+// handler's write can't land inside a transaction or be rolled back with it. An in-memory database
+// can't be opened twice, so it shares the main connection.
+const txDb = DB_PATH === ":memory:" ? db : new sqlite3.Database(DB_PATH);
+// While one connection is writing, the other waits instead of failing with SQLITE_BUSY
+db.configure("busyTimeout", DB_BUSY_TIMEOUT_MS);
+if (txDb !== db) txDb.configure("busyTimeout", DB_BUSY_TIMEOUT_MS);
 
 function safeAlter(sql) {
   db.run(sql, () => {});
@@ -93,7 +381,27 @@ db.serialize(() => {
       cur_bigbass_msg_id TEXT,
       cur_top5_msg_id TEXT,
       monthly_winners_msg_id TEXT,
-      yearly_winners_msg_id TEXT
+      yearly_winners_msg_id TEXT,
+
+      review_required INTEGER DEFAULT 0,
+      judges_channel_id TEXT,
+      judge_role_id TEXT,
+      archive_channel_id TEXT,
+      panel_msg_id TEXT,
+      feed_channel_id TEXT,
+      feed_callouts INTEGER,
+
+      extra_species TEXT,
+      species_leaders INTEGER DEFAULT 0,
+
+      aoy_points TEXT,
+      aoy_participation REAL,
+      aoy_drop_worst INTEGER,
+      aoy_msg_id TEXT,
+
+      archived_at TEXT,
+
+      photo_check TEXT
     )
   `);
 
@@ -105,6 +413,9 @@ db.serialize(() => {
       user_id TEXT NOT NULL,
       message_id TEXT NOT NULL,
       image_url TEXT NOT NULL,
+      content_hash TEXT,
+      phash TEXT,
+      weighin_id INTEGER,
       created_at TEXT NOT NULL DEFAULT (datetime('now'))
     )
   `);
@@ -120,6 +431,21 @@ db.serialize(() => {
       photo_url TEXT NOT NULL,
       notes TEXT,
       status TEXT NOT NULL DEFAULT 'approved',
+      original_weight_lbs REAL,
+      length_in REAL,
+      original_length_in REAL,
+      reviewed_by TEXT,
+      reviewed_at TEXT,
+      reject_reason TEXT,
+      is_dead INTEGER NOT NULL DEFAULT 0,
+      species TEXT,
+      submitted_by TEXT,
+      photo_hash TEXT,
+      photo_phash TEXT,
+      photo_match TEXT,
+      photo_urls TEXT,
+      photo_archive TEXT,
+      verification_code TEXT,
       created_at TEXT NOT NULL DEFAULT (datetime('now'))
     )
   `);
@@ -131,7 +457,12 @@ db.serialize(() => {
       name TEXT NOT NULL,
       is_active INTEGER NOT NULL DEFAULT 1,
       started_at TEXT NOT NULL DEFAULT (datetime('now')),
-      ended_at TEXT
+      ended_at TEXT,
+      scheduled_start_at TEXT,
+      scheduled_end_at TEXT,
+      reminders_sent TEXT,
+      scoring_rules TEXT,
+      source TEXT
     )
   `);
 
@@ -144,11 +475,139 @@ db.serialize(() => {
       big_bass REAL NOT NULL DEFAULT 0,
       total_bag REAL NOT NULL DEFAULT 0,
       fish_count INTEGER NOT NULL DEFAULT 0,
+      bag_completed_at TEXT,
+      division TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (tournament_id, user_id)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS weighin_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      weighin_id INTEGER NOT NULL,
+      tournament_id INTEGER NOT NULL,
+      angler_id TEXT NOT NULL,
+      actor_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      old_values TEXT,
+      new_values TEXT,
+      reason TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Reset Monthly / Yearly move results here instead of deleting them (see RESULT RESETS)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS result_reset_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      period TEXT NOT NULL,
+      result_count INTEGER NOT NULL DEFAULT 0,
+      reset_by TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      restored_at TEXT,
+      restored_by TEXT
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS archived_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      batch_id INTEGER NOT NULL,
+      guild_id TEXT NOT NULL,
+      tournament_id INTEGER NOT NULL,
+      user_id TEXT NOT NULL,
+      big_bass REAL NOT NULL DEFAULT 0,
+      total_bag REAL NOT NULL DEFAULT 0,
+      fish_count INTEGER NOT NULL DEFAULT 0,
+      bag_completed_at TEXT,
+      division TEXT,
+      created_at TEXT NOT NULL
+    )
+  `);
+
+  // Guild-level admin actions (resets, restores); weigh-in corrections stay in weighin_audit
+  db.run(`
+    CREATE TABLE IF NOT EXISTS admin_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      actor_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      details TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS teams (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      tournament_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      captain_id TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  // status: invited | joined
+  db.run(`
+    CREATE TABLE IF NOT EXISTS team_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      team_id INTEGER NOT NULL,
+      tournament_id INTEGER NOT NULL,
+      user_id TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'invited',
+      invited_by TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (team_id, user_id)
+    )
+  `);
+
+  // side_pots: JSON array of the side pot names the angler paid into
+  db.run(`
+    CREATE TABLE IF NOT EXISTS registrations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      tournament_id INTEGER NOT NULL,
+      user_id TEXT NOT NULL,
+      paid INTEGER NOT NULL DEFAULT 0,
+      side_pots TEXT,
+      marked_by TEXT,
+      registered_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (tournament_id, user_id)
+    )
+  `);
+
+  // One division per angler per tournament (name as written in the tournament's divisions= rule)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS angler_divisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      tournament_id INTEGER NOT NULL,
+      user_id TEXT NOT NULL,
+      division TEXT NOT NULL,
+      assigned_by TEXT,
       created_at TEXT NOT NULL DEFAULT (datetime('now')),
       UNIQUE (tournament_id, user_id)
     )
   `);
 
+  // Dry-run imports waiting for an admin to confirm (plan = JSON from buildImportPlan)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS pending_imports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      file_name TEXT,
+      plan TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
   // migrations (safe)
   safeAlter(`ALTER TABLE config ADD COLUMN panel_channel_id TEXT`);
   safeAlter(`ALTER TABLE config ADD COLUMN bigbass_channel_id TEXT`);
@@ -158,9 +617,62 @@ db.serialize(() => {
   safeAlter(`ALTER TABLE config ADD COLUMN cur_top5_msg_id TEXT`);
   safeAlter(`ALTER TABLE config ADD COLUMN monthly_winners_msg_id TEXT`);
   safeAlter(`ALTER TABLE config ADD COLUMN yearly_winners_msg_id TEXT`);
+  safeAlter(`ALTER TABLE config ADD COLUMN review_required INTEGER DEFAULT 0`);
+  safeAlter(`ALTER TABLE config ADD COLUMN judges_channel_id TEXT`);
+  safeAlter(`ALTER TABLE config ADD COLUMN judge_role_id TEXT`);
+  safeAlter(`ALTER TABLE config ADD COLUMN extra_species TEXT`);
+  safeAlter(`ALTER TABLE config ADD COLUMN species_leaders INTEGER DEFAULT 0`);
+  safeAlter(`ALTER TABLE config ADD COLUMN aoy_points TEXT`);
+  safeAlter(`ALTER TABLE config ADD COLUMN aoy_participation REAL`);
+  safeAlter(`ALTER TABLE config ADD COLUMN aoy_drop_worst INTEGER`);
+  safeAlter(`ALTER TABLE config ADD COLUMN aoy_msg_id TEXT`);
+  safeAlter(`ALTER TABLE config ADD COLUMN archived_at TEXT`);
+  safeAlter(`ALTER TABLE config ADD COLUMN photo_check TEXT`);
+  safeAlter(`ALTER TABLE config ADD COLUMN archive_channel_id TEXT`);
+  safeAlter(`ALTER TABLE config ADD COLUMN panel_msg_id TEXT`);
+  safeAlter(`ALTER TABLE config ADD COLUMN feed_channel_id TEXT`);
+  safeAlter(`ALTER TABLE config ADD COLUMN feed_callouts INTEGER`);
+
+  safeAlter(`ALTER TABLE tournaments ADD COLUMN scheduled_start_at TEXT`);
+  safeAlter(`ALTER TABLE tournaments ADD COLUMN scheduled_end_at TEXT`);
+  safeAlter(`ALTER TABLE tournaments ADD COLUMN reminders_sent TEXT`);
+  safeAlter(`ALTER TABLE tournaments ADD COLUMN scoring_rules TEXT`);
+  safeAlter(`ALTER TABLE tournaments ADD COLUMN source TEXT`);
+  safeAlter(`ALTER TABLE tournaments ADD COLUMN verification TEXT`);
+  safeAlter(`ALTER TABLE tournaments ADD COLUMN registration TEXT`);
+  safeAlter(`ALTER TABLE tournaments ADD COLUMN bigbass_msg_id TEXT`);
+  safeAlter(`ALTER TABLE tournaments ADD COLUMN top5_msg_id TEXT`);
+
+  safeAlter(`ALTER TABLE tournament_results ADD COLUMN bag_completed_at TEXT`);
+  safeAlter(`ALTER TABLE tournament_results ADD COLUMN division TEXT`);
 
   safeAlter(`ALTER TABLE uploads ADD COLUMN channel_id TEXT`);
+  safeAlter(`ALTER TABLE uploads ADD COLUMN content_hash TEXT`);
+  safeAlter(`ALTER TABLE uploads ADD COLUMN phash TEXT`);
+  safeAlter(`ALTER TABLE uploads ADD COLUMN weighin_id INTEGER`);
   safeAlter(`ALTER TABLE weighins ADD COLUMN channel_id TEXT`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN original_weight_lbs REAL`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN length_in REAL`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN original_length_in REAL`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN reviewed_by TEXT`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN reviewed_at TEXT`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN reject_reason TEXT`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN is_dead INTEGER NOT NULL DEFAULT 0`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN species TEXT`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN submitted_by TEXT`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN photo_hash TEXT`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN photo_phash TEXT`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN photo_match TEXT`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN photo_urls TEXT`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN photo_archive TEXT`);
+  safeAlter(`ALTER TABLE weighins ADD COLUMN verification_code TEXT`);
+  // A fish entered in several tournaments: every entry carries the first entry's id
+  safeAlter(`ALTER TABLE weighins ADD COLUMN group_id INTEGER`);
+
+  // Duplicate photo checks (findPhotoMatch)
+  db.run(`CREATE INDEX IF NOT EXISTS idx_weighins_photo_hash ON weighins (guild_id, photo_hash)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_weighins_group ON weighins (group_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_uploads_content_hash ON uploads (guild_id, content_hash)`);
 });
 
 // -------------------- DISCORD CLIENT --------------------
@@ -174,15 +686,46 @@ const slashCommands = [
   new SlashCommandBuilder()
     .setName("panel")
     .setDescription("Post the Bass Tournament control panel (admin only)")
-    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setContexts(InteractionContextType.Guild),
+  new SlashCommandBuilder()
+    .setName("import-results")
+    .setDescription("Import past tournament results from a CSV (admin only, dry run first)")
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setContexts(InteractionContextType.Guild)
+    .addAttachmentOption((o) =>
+      o
+        .setName("file")
+        .setDescription("CSV columns: name, date, angler, big_bass, total_bag, fish_count")
+        .setRequired(true)
+    ),
+  new SlashCommandBuilder()
+    .setName("profile")
+    .setDescription("Career stats and personal bests for you or another angler")
+    .setContexts(InteractionContextType.Guild)
+    .addUserOption((o) => o.setName("angler").setDescription("Leave empty for your own profile").setRequired(false)),
 ].map((c) => c.toJSON());
 
+// GUILD_ID set: that server only (updates instantly). Unset: global, for every server, and any
+// commands left on a server from a GUILD_ID deployment are cleared so they don't show up twice.
 async function registerCommands() {
   const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_TOKEN);
-  await rest.put(Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID), {
-    body: slashCommands,
-  });
-  console.log("Slash commands registered for the guild.");
+  if (process.env.GUILD_ID) {
+    await rest.put(Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID), {
+      body: slashCommands,
+    });
+    console.log("Slash commands registered for the guild.");
+    return;
+  }
+
+  await rest.put(Routes.applicationCommands(process.env.CLIENT_ID), { body: slashCommands });
+  console.log("Slash commands registered globally.");
+
+  for (const guildId of client.guilds.cache.keys()) {
+    await rest
+      .put(Routes.applicationGuildCommands(process.env.CLIENT_ID, guildId), { body: [] })
+      .catch((e) => console.error(`Failed to clear guild commands (${guildId}):`, e));
+  }
 }
 
 // -------------------- EPHEMERAL HELPERS (NO DEPRECATED ephemeral OPTION) --------------------
@@ -194,6 +737,36 @@ function ephEmbeds(embeds) {
 }
 
 // -------------------- DB HELPERS --------------------
+// One write statement; resolves { lastID, changes }. Inside withTransaction, pass its connection.
+function run(sql, params = [], conn = db) {
+  return new Promise((resolve, reject) => {
+    conn.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+let transactionQueue = Promise.resolve();
+
+// Runs work(conn) between BEGIN IMMEDIATE and COMMIT once any earlier transaction has finished;
+// rolls back and rethrows when work throws. Resolves with work's result.
+function withTransaction(work) {
+  const result = transactionQueue.then(async () => {
+    await run("BEGIN IMMEDIATE", [], txDb);
+    try {
+      const value = await work(txDb);
+      await run("COMMIT", [], txDb);
+      return value;
+    } catch (err) {
+      await run("ROLLBACK", [], txDb).catch(() => {});
+      throw err;
+    }
+  });
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
 function getConfig(guildId) {
   return new Promise((resolve, reject) => {
     db.get(`SELECT * FROM config WHERE guild_id = ?`, [guildId], (err, row) => {
@@ -214,6 +787,26 @@ function upsertConfig(guildId, patch) {
     cur_top5_msg_id: patch.cur_top5_msg_id ?? null,
     monthly_winners_msg_id: patch.monthly_winners_msg_id ?? null,
     yearly_winners_msg_id: patch.yearly_winners_msg_id ?? null,
+
+    review_required: patch.review_required ?? null,
+    judges_channel_id: patch.judges_channel_id ?? null,
+    judge_role_id: patch.judge_role_id ?? null,
+
+    extra_species: patch.extra_species ?? null,
+    species_leaders: patch.species_leaders ?? null,
+
+    aoy_points: patch.aoy_points ?? null,
+    aoy_participation: patch.aoy_participation ?? null,
+    aoy_drop_worst: patch.aoy_drop_worst ?? null,
+    aoy_msg_id: patch.aoy_msg_id ?? null,
+
+    archived_at: patch.archived_at ?? null,
+
+    photo_check: patch.photo_check ?? null,
+    archive_channel_id: patch.archive_channel_id ?? null,
+    panel_msg_id: patch.panel_msg_id ?? null,
+    feed_channel_id: patch.feed_channel_id ?? null,
+    feed_callouts: patch.feed_callouts ?? null,
   };
 
   return new Promise((resolve, reject) => {
@@ -228,9 +821,24 @@ function upsertConfig(guildId, patch) {
         cur_bigbass_msg_id,
         cur_top5_msg_id,
         monthly_winners_msg_id,
-        yearly_winners_msg_id
+        yearly_winners_msg_id,
+        review_required,
+        judges_channel_id,
+        judge_role_id,
+        extra_species,
+        species_leaders,
+        aoy_points,
+        aoy_participation,
+        aoy_drop_worst,
+        aoy_msg_id,
+        archived_at,
+        photo_check,
+        archive_channel_id,
+        panel_msg_id,
+        feed_channel_id,
+        feed_callouts
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(guild_id) DO UPDATE SET
         panel_channel_id=COALESCE(excluded.panel_channel_id, config.panel_channel_id),
         bigbass_channel_id=COALESCE(excluded.bigbass_channel_id, config.bigbass_channel_id),
@@ -239,7 +847,22 @@ function upsertConfig(guildId, patch) {
         cur_bigbass_msg_id=COALESCE(excluded.cur_bigbass_msg_id, config.cur_bigbass_msg_id),
         cur_top5_msg_id=COALESCE(excluded.cur_top5_msg_id, config.cur_top5_msg_id),
         monthly_winners_msg_id=COALESCE(excluded.monthly_winners_msg_id, config.monthly_winners_msg_id),
-        yearly_winners_msg_id=COALESCE(excluded.yearly_winners_msg_id, config.yearly_winners_msg_id)
+        yearly_winners_msg_id=COALESCE(excluded.yearly_winners_msg_id, config.yearly_winners_msg_id),
+        review_required=COALESCE(excluded.review_required, config.review_required),
+        judges_channel_id=COALESCE(excluded.judges_channel_id, config.judges_channel_id),
+        judge_role_id=COALESCE(excluded.judge_role_id, config.judge_role_id),
+        extra_species=COALESCE(excluded.extra_species, config.extra_species),
+        species_leaders=COALESCE(excluded.species_leaders, config.species_leaders),
+        aoy_points=COALESCE(excluded.aoy_points, config.aoy_points),
+        aoy_participation=COALESCE(excluded.aoy_participation, config.aoy_participation),
+        aoy_drop_worst=COALESCE(excluded.aoy_drop_worst, config.aoy_drop_worst),
+        aoy_msg_id=COALESCE(excluded.aoy_msg_id, config.aoy_msg_id),
+        archived_at=COALESCE(excluded.archived_at, config.archived_at),
+        photo_check=COALESCE(excluded.photo_check, config.photo_check),
+        archive_channel_id=COALESCE(excluded.archive_channel_id, config.archive_channel_id),
+        panel_msg_id=COALESCE(excluded.panel_msg_id, config.panel_msg_id),
+        feed_channel_id=COALESCE(excluded.feed_channel_id, config.feed_channel_id),
+        feed_callouts=COALESCE(excluded.feed_callouts, config.feed_callouts)
       `,
       [
         guildId,
@@ -251,12 +874,29 @@ function upsertConfig(guildId, patch) {
         f.cur_top5_msg_id,
         f.monthly_winners_msg_id,
         f.yearly_winners_msg_id,
+        f.review_required,
+        f.judges_channel_id,
+        f.judge_role_id,
+        f.extra_species,
+        f.species_leaders,
+        f.aoy_points,
+        f.aoy_participation,
+        f.aoy_drop_worst,
+        f.aoy_msg_id,
+        f.archived_at,
+        f.photo_check,
+        f.archive_channel_id,
+        f.panel_msg_id,
+        f.feed_channel_id,
+        f.feed_callouts,
       ],
       (err) => (err ? reject(err) : resolve())
     );
   });
 }
 
+// The most recently started active tournament. Several can run at once; this is only the fallback
+// for buttons posted before that (no tournament id in their custom ID).
 function getActiveTournament(guildId) {
   return new Promise((resolve, reject) => {
     db.get(
@@ -267,718 +907,6330 @@ function getActiveTournament(guildId) {
   });
 }
 
-function startTournament(guildId, name) {
+// Every running tournament, oldest first
+function getActiveTournaments(guildId) {
   return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      db.run(
-        `UPDATE tournaments
-         SET is_active = 0, ended_at = COALESCE(ended_at, datetime('now'))
-         WHERE guild_id = ? AND is_active = 1`,
-        [guildId]
-      );
-
-      db.run(`INSERT INTO tournaments (guild_id, name, is_active) VALUES (?, ?, 1)`, [guildId, name], function (err) {
-        if (err) return reject(err);
-        resolve(this.lastID);
-      });
-    });
+    db.all(
+      `SELECT * FROM tournaments WHERE guild_id = ? AND is_active = 1 ORDER BY id ASC`,
+      [guildId],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
   });
 }
 
-function endTournament(guildId, tournamentId) {
+// Other running tournaments are left alone.
+function startTournament(guildId, name, { endAt = null, rules = null, verification = null } = {}) {
   return new Promise((resolve, reject) => {
     db.run(
-      `UPDATE tournaments
-       SET is_active = 0, ended_at = datetime('now')
-       WHERE guild_id = ? AND id = ?`,
-      [guildId, tournamentId],
-      (err) => (err ? reject(err) : resolve())
+      `INSERT INTO tournaments (guild_id, name, is_active, scheduled_end_at, scoring_rules, verification)
+       VALUES (?, ?, 1, ?, ?, ?)`,
+      [guildId, name, endAt, rules ? JSON.stringify(rules) : null, verification ? JSON.stringify(verification) : null],
+      function (err) {
+        if (err) return reject(err);
+        resolve(this.lastID);
+      }
     );
   });
 }
 
-function insertUpload({ guildId, channelId, userId, messageId, imageUrl }) {
+// Saved inactive with no ended_at; the scheduler flips it on at startAt.
+function scheduleTournament(guildId, name, startAt, endAt, rules = null, verification = null) {
   return new Promise((resolve, reject) => {
     db.run(
-      `INSERT INTO uploads (guild_id, channel_id, user_id, message_id, image_url)
-       VALUES (?, ?, ?, ?, ?)`,
-      [guildId, channelId, userId, messageId, imageUrl],
-      (err) => (err ? reject(err) : resolve())
+      `INSERT INTO tournaments (guild_id, name, is_active, scheduled_start_at, scheduled_end_at, scoring_rules, verification)
+       VALUES (?, ?, 0, ?, ?, ?, ?)`,
+      [
+        guildId,
+        name,
+        startAt,
+        endAt,
+        rules ? JSON.stringify(rules) : null,
+        verification ? JSON.stringify(verification) : null,
+      ],
+      function (err) {
+        if (err) return reject(err);
+        resolve(this.lastID);
+      }
     );
   });
 }
 
-function getLatestUpload({ guildId, channelId, userId, maxMinutes = PHOTO_LOOKBACK_MINUTES }) {
+function getScheduledTournaments(guildId) {
   return new Promise((resolve, reject) => {
-    db.get(
+    db.all(
       `
-      SELECT * FROM uploads
-      WHERE guild_id = ? AND channel_id = ? AND user_id = ?
-        AND datetime(created_at) >= datetime('now', ?)
-      ORDER BY datetime(created_at) DESC
-      LIMIT 1
+      SELECT * FROM tournaments
+      WHERE guild_id = ? AND is_active = 0 AND ended_at IS NULL AND scheduled_start_at IS NOT NULL
+      ORDER BY datetime(scheduled_start_at) ASC
       `,
-      [guildId, channelId, userId, `-${maxMinutes} minutes`],
-      (err, row) => (err ? reject(err) : resolve(row || null))
+      [guildId],
+      (err, rows) => (err ? reject(err) : resolve(rows))
     );
   });
 }
 
-function insertWeighIn({ guildId, channelId, tournamentId, userId, weightLbs, photoUrl, notes }) {
+// Resolves false when it already started (or was cancelled) in the meantime.
+function cancelScheduledTournament(guildId, tournamentId) {
   return new Promise((resolve, reject) => {
     db.run(
-      `INSERT INTO weighins (guild_id, channel_id, tournament_id, user_id, weight_lbs, photo_url, notes, status)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 'approved')`,
-      [guildId, channelId, tournamentId, userId, weightLbs, photoUrl, notes || null],
+      `DELETE FROM tournaments WHERE guild_id = ? AND id = ? AND is_active = 0 AND ended_at IS NULL`,
+      [guildId, tournamentId],
       function (err) {
         if (err) return reject(err);
-        resolve(this.lastID);
+        resolve(this.changes > 0);
       }
     );
   });
 }
 
-function resetMonthlyResults(guildId, yyyyMm) {
+function activateScheduledTournament(guildId, tournamentId) {
   return new Promise((resolve, reject) => {
     db.run(
-      `
-      DELETE FROM tournament_results
-      WHERE guild_id = ?
-        AND tournament_id IN (
-          SELECT id FROM tournaments
-          WHERE guild_id = ?
-            AND ended_at IS NOT NULL
-            AND strftime('%Y-%m', ended_at) = ?
-        )
-      `,
-      [guildId, guildId, yyyyMm],
+      `UPDATE tournaments
+       SET is_active = 1, started_at = datetime('now')
+       WHERE guild_id = ? AND id = ? AND is_active = 0 AND ended_at IS NULL`,
+      [guildId, tournamentId],
       (err) => (err ? reject(err) : resolve())
     );
   });
 }
 
-function resetYearlyResults(guildId, yyyy) {
+// Every guild's tournaments the scheduler still has work for: upcoming starts, timed active ones and
+// active ones with a photo code to announce.
+// The one deliberately cross-guild query; archived guilds (bot removed) are skipped.
+function getSchedulerTournaments() {
   return new Promise((resolve, reject) => {
-    db.run(
+    db.all(
       `
-      DELETE FROM tournament_results
-      WHERE guild_id = ?
-        AND tournament_id IN (
-          SELECT id FROM tournaments
-          WHERE guild_id = ?
-            AND ended_at IS NOT NULL
-            AND strftime('%Y', ended_at) = ?
-        )
+      SELECT * FROM tournaments
+      WHERE ((is_active = 0 AND ended_at IS NULL AND scheduled_start_at IS NOT NULL)
+          OR (is_active = 1 AND (scheduled_end_at IS NOT NULL OR verification IS NOT NULL)))
+        AND guild_id NOT IN (SELECT guild_id FROM config WHERE COALESCE(archived_at, '') != '')
+      ORDER BY id ASC
       `,
-      [guildId, guildId, String(yyyy)],
-      (err) => (err ? reject(err) : resolve())
+      [],
+      (err, rows) => (err ? reject(err) : resolve(rows))
     );
   });
 }
 
-function formatLb(weight) {
-  return Number(weight || 0).toFixed(2);
+function setRemindersSent(guildId, tournamentId, keys) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE tournaments SET reminders_sent = ? WHERE guild_id = ? AND id = ?`,
+      [JSON.stringify(keys), guildId, tournamentId],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
 }
 
-// -------------------- LEADERBOARD QUERIES --------------------
-function getBigBassLeaderboard(guildId, tournamentId) {
+// The tournament's own live board messages (null clears them)
+function setTournamentBoardMessages(guildId, tournamentId, bigbassMsgId, top5MsgId) {
   return new Promise((resolve, reject) => {
-    db.all(
-      `
-      SELECT user_id, MAX(weight_lbs) AS big_bass
-      FROM weighins
-      WHERE guild_id = ? AND tournament_id = ? AND status = 'approved'
-      GROUP BY user_id
-      ORDER BY big_bass DESC
-      LIMIT 25
-      `,
-      [guildId, tournamentId],
-      (err, rows) => (err ? reject(err) : resolve(rows))
+    db.run(
+      `UPDATE tournaments SET bigbass_msg_id = ?, top5_msg_id = ? WHERE guild_id = ? AND id = ?`,
+      [bigbassMsgId, top5MsgId, guildId, tournamentId],
+      (err) => (err ? reject(err) : resolve())
     );
   });
 }
 
-function getTotalBagLeaderboard(guildId, tournamentId) {
+function endTournament(guildId, tournamentId) {
   return new Promise((resolve, reject) => {
-    db.all(
-      `
-      WITH ranked AS (
-        SELECT
-          user_id,
-          weight_lbs,
-          ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY weight_lbs DESC) AS rn
-        FROM weighins
-        WHERE guild_id = ? AND tournament_id = ? AND status = 'approved'
-      )
-      SELECT
-        user_id,
-        SUM(weight_lbs) AS total_bag,
-        COUNT(*) AS fish_count
-      FROM ranked
-      WHERE rn <= 5
-      GROUP BY user_id
-      ORDER BY total_bag DESC
-      LIMIT 25
-      `,
+    db.run(
+      `UPDATE tournaments
+       SET is_active = 0, ended_at = datetime('now')
+       WHERE guild_id = ? AND id = ?`,
       [guildId, tournamentId],
-      (err, rows) => (err ? reject(err) : resolve(rows))
+      (err) => (err ? reject(err) : resolve())
     );
   });
 }
 
-async function snapshotTournamentResults(guildId, tournamentId) {
-  const big = await getBigBassLeaderboard(guildId, tournamentId);
-  const bag = await getTotalBagLeaderboard(guildId, tournamentId);
-  const users = new Set([...big.map((r) => r.user_id), ...bag.map((r) => r.user_id)]);
-
+function insertUpload({ guildId, channelId, userId, messageId, imageUrl, contentHash = null, phash = null }) {
   return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      const stmt = db.prepare(`
-        INSERT INTO tournament_results (guild_id, tournament_id, user_id, big_bass, total_bag, fish_count)
-        VALUES (?, ?, ?, ?, ?, ?)
-        ON CONFLICT(tournament_id, user_id) DO UPDATE SET
-          big_bass=excluded.big_bass,
-          total_bag=excluded.total_bag,
-          fish_count=excluded.fish_count
-      `);
-
-      for (const userId of users) {
-        const bigRow = big.find((r) => r.user_id === userId);
-        const bagRow = bag.find((r) => r.user_id === userId);
-
-        stmt.run([
-          guildId,
-          tournamentId,
-          userId,
-          bigRow?.big_bass ?? 0,
-          bagRow?.total_bag ?? 0,
-          bagRow?.fish_count ?? 0,
-        ]);
+    db.run(
+      `INSERT INTO uploads (guild_id, channel_id, user_id, message_id, image_url, content_hash, phash)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [guildId, channelId, userId, messageId, imageUrl, contentHash, phash],
+      function (err) {
+        if (err) return reject(err);
+        resolve(this.lastID);
       }
-
-      stmt.finalize((err) => (err ? reject(err) : resolve()));
-    });
+    );
   });
 }
 
-function getMonthSummaryWinners(guildId, yyyyMm) {
+function setUploadFingerprint(guildId, uploadId, { contentHash, phash }) {
   return new Promise((resolve, reject) => {
-    db.get(
-      `
-      WITH agg AS (
-        SELECT
-          tr.user_id,
-          SUM(tr.total_bag) AS bag_sum,
-          MAX(tr.big_bass) AS best_big
-        FROM tournament_results tr
-        JOIN tournaments t ON t.id = tr.tournament_id
-        WHERE tr.guild_id = ?
-          AND t.ended_at IS NOT NULL
-          AND strftime('%Y-%m', t.ended_at) = ?
-        GROUP BY tr.user_id
-      )
-      SELECT
-        (SELECT user_id FROM agg ORDER BY bag_sum DESC, best_big DESC LIMIT 1) AS bag_winner_id,
-        (SELECT bag_sum  FROM agg ORDER BY bag_sum DESC, best_big DESC LIMIT 1) AS bag_winner_bag,
-        (SELECT user_id FROM agg ORDER BY best_big DESC, bag_sum DESC LIMIT 1) AS big_winner_id,
-        (SELECT best_big FROM agg ORDER BY best_big DESC, bag_sum DESC LIMIT 1) AS big_winner_big
-      `,
-      [guildId, yyyyMm],
-      (err, row) => (err ? reject(err) : resolve(row || null))
+    db.run(
+      `UPDATE uploads SET content_hash = ?, phash = ? WHERE guild_id = ? AND id = ?`,
+      [contentHash, phash, guildId, uploadId],
+      (err) => (err ? reject(err) : resolve())
     );
   });
 }
 
-function getYearSummaryWinners(guildId, yyyy) {
+// Recent uploads not yet attached to a weigh-in, newest first.
+function getUnusedUploads({ guildId, channelId, userId, maxMinutes = PHOTO_LOOKBACK_MINUTES, limit = MAX_PHOTO_CHOICES }) {
   return new Promise((resolve, reject) => {
-    db.get(
+    db.all(
       `
-      WITH agg AS (
-        SELECT
-          tr.user_id,
-          SUM(tr.total_bag) AS bag_sum,
-          MAX(tr.big_bass) AS best_big
-        FROM tournament_results tr
-        JOIN tournaments t ON t.id = tr.tournament_id
-        WHERE tr.guild_id = ?
-          AND t.ended_at IS NOT NULL
-          AND strftime('%Y', t.ended_at) = ?
-        GROUP BY tr.user_id
-      )
-      SELECT
-        (SELECT user_id FROM agg ORDER BY bag_sum DESC, best_big DESC LIMIT 1) AS bag_winner_id,
-        (SELECT bag_sum  FROM agg ORDER BY bag_sum DESC, best_big DESC LIMIT 1) AS bag_winner_bag,
-        (SELECT user_id FROM agg ORDER BY best_big DESC, bag_sum DESC LIMIT 1) AS big_winner_id,
-        (SELECT best_big FROM agg ORDER BY best_big DESC, bag_sum DESC LIMIT 1) AS big_winner_big
+      SELECT * FROM uploads
+      WHERE guild_id = ? AND channel_id = ? AND user_id = ? AND weighin_id IS NULL
+        AND datetime(created_at) >= datetime('now', ?)
+      ORDER BY datetime(created_at) DESC, id DESC
+      LIMIT ?
       `,
-      [guildId, String(yyyy)],
-      (err, row) => (err ? reject(err) : resolve(row || null))
+      [guildId, channelId, userId, `-${maxMinutes} minutes`, limit],
+      (err, rows) => (err ? reject(err) : resolve(rows))
     );
   });
 }
 
-// -------------------- EMBEDS --------------------
-function panelEmbed(activeTournament, cfg) {
-  const status = activeTournament ? `🟢 **ACTIVE:** ${activeTournament.name}` : "🔴 **No active tournament**";
+function getUploads(guildId, uploadIds) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM uploads WHERE guild_id = ? AND id IN (SELECT value FROM json_each(?))`,
+      [guildId, JSON.stringify(uploadIds)],
+      (err, rows) => (err ? reject(err) : resolve(uploadIds.map((id) => rows.find((r) => r.id === id)).filter(Boolean)))
+    );
+  });
+}
 
-  const panelCh = cfg?.panel_channel_id ? `<#${cfg.panel_channel_id}>` : "Not set";
-  const bigCh = cfg?.bigbass_channel_id ? `<#${cfg.bigbass_channel_id}>` : "Not set";
-  const topCh = cfg?.top5_channel_id ? `<#${cfg.top5_channel_id}>` : "Not set";
-  const resCh = cfg?.results_channel_id ? `<#${cfg.results_channel_id}>` : "Not set";
+// Once attached, an upload is never offered for another weigh-in. Resolves true only if every
+// upload was still free (the caller's transaction undoes a partial claim).
+async function claimUploads(guildId, uploadIds, weighinId, conn = db) {
+  const { changes } = await run(
+    `UPDATE uploads SET weighin_id = ?
+     WHERE guild_id = ? AND weighin_id IS NULL AND id IN (SELECT value FROM json_each(?))`,
+    [weighinId, guildId, JSON.stringify(uploadIds)],
+    conn
+  );
+  return changes === uploadIds.length;
+}
 
-  return new EmbedBuilder()
-    .setTitle("🎣 Bass Tournament Panel")
-    .setDescription(
-      [
-        status,
-        "",
-        "✅ **Weigh-in steps**",
-        "1) Upload your photo in the PANEL channel",
-        "2) Click **Submit Weigh-in**",
-        "3) Enter weight + notes",
-        "",
-        "📌 **Channels**",
-        `• Panel: ${panelCh}`,
-        `• Big Bass: ${bigCh}`,
-        `• Top 5: ${topCh}`,
-        `• Results: ${resCh}`,
-      ].join("\n")
-    )
-    .setTimestamp(new Date());
+// -------------------- PHOTO FINGERPRINTS --------------------
+// sha256 of the exact bytes + a 64-bit difference hash (dHash) of the picture itself.
+async function fingerprintImage(buffer) {
+  const pixels = await sharp(buffer).rotate().greyscale().resize(9, 8, { fit: "fill" }).raw().toBuffer();
+
+  let bits = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits = (bits << 1n) | (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+
+  return {
+    contentHash: crypto.createHash("sha256").update(buffer).digest("hex"),
+    phash: bits.toString(16).padStart(16, "0"),
+  };
 }
 
-function panelComponents(isAdmin) {
-  return [
-    new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId("submit_weighin").setLabel("Submit Weigh-in").setStyle(ButtonStyle.Success),
-      new ButtonBuilder()
-        .setCustomId("start_tournament")
-        .setLabel("Start Tourney")
-        .setStyle(ButtonStyle.Primary)
-        .setDisabled(!isAdmin),
-      new ButtonBuilder()
-        .setCustomId("end_tournament")
-        .setLabel("End Tourney")
-        .setStyle(ButtonStyle.Danger)
-        .setDisabled(!isAdmin),
-      new ButtonBuilder()
-        .setCustomId("set_channels")
-        .setLabel("Set Channels")
-        .setStyle(ButtonStyle.Secondary)
-        .setDisabled(!isAdmin)
-    ),
-    new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setCustomId("reset_month")
-        .setLabel("Reset Monthly")
-        .setStyle(ButtonStyle.Secondary)
-        .setDisabled(!isAdmin),
-      new ButtonBuilder()
-        .setCustomId("reset_year")
-        .setLabel("Reset Yearly")
-        .setStyle(ButtonStyle.Secondary)
-        .setDisabled(!isAdmin)
-    ),
-  ];
+// Resolves null when the image can't be downloaded or is too big.
+async function downloadImage(url, size = 0) {
+  if (size > PHOTO_MAX_BYTES) return null;
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(PHOTO_DOWNLOAD_TIMEOUT_MS) });
+    if (!res.ok) return null;
+    const buffer = Buffer.from(await res.arrayBuffer());
+    return buffer.length > PHOTO_MAX_BYTES ? null : buffer;
+  } catch (e) {
+    console.error("photo download error:", e.message);
+    return null;
+  }
 }
 
-function bigBassCurrentEmbed(tournamentName, rows) {
-  return new EmbedBuilder()
-    .setTitle(`🏆 Big Bass — ${tournamentName || "No Active Tournament"}`)
-    .setDescription(
-      rows?.length
-        ? rows.map((r, i) => `**${i + 1}.** <@${r.user_id}> — **${formatLb(r.big_bass)} lbs**`).join("\n")
-        : "No weigh-ins yet."
-    )
-    .setTimestamp(new Date());
+// Resolves null when the image can't be downloaded or decoded; uploads still work without hashes.
+async function fingerprintUrl(url, size = 0) {
+  const buffer = await downloadImage(url, size);
+  if (!buffer) return null;
+  try {
+    return await fingerprintImage(buffer);
+  } catch (e) {
+    console.error("photo fingerprint error:", e.message);
+    return null;
+  }
 }
 
-function top5Embed(tournamentName, rows) {
-  return new EmbedBuilder()
-    .setTitle(`🎣 Total Bag (Top 5) — ${tournamentName || "No Active Tournament"}`)
-    .setDescription(
-      rows?.length
-        ? rows
-            .map(
-              (r, i) =>
-                `**${i + 1}.** <@${r.user_id}> — **${formatLb(r.total_bag)} lbs** *(top ${r.fish_count} fish)*`
-            )
-            .join("\n")
-        : "No weigh-ins yet."
+function phashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+// How close two photos are: 0 for identical bytes / same URL, else the perceptual distance (or null).
+function photoDistance(upload, row, hashKey, phashKey) {
+  if (upload.image_url === row.image_url) return 0;
+  if (upload.content_hash && upload.content_hash === row[hashKey]) return 0;
+  if (!upload.phash || !row[phashKey]) return null;
+  const distance = phashDistance(upload.phash, row[phashKey]);
+  return distance <= PHOTO_HASH_MAX_DISTANCE ? distance : null;
+}
+
+// Closest of `rows` to the upload as { row, distance }, or null when none is close enough.
+function closestPhoto(upload, rows, hashKey, phashKey) {
+  let best = null;
+  for (const row of rows) {
+    const distance = photoDistance(upload, row, hashKey, phashKey);
+    if (distance != null && (!best || distance < best.distance)) best = { row, distance };
+  }
+  return best;
+}
+
+// Looks for the upload's photo among this guild's earlier weigh-ins (any tournament, any angler;
+// withdrawn entries don't count) and among photos other members uploaded before it: exact copies
+// anywhere in the history, near-duplicates among the PHOTO_MATCH_RECENT_LIMIT most recent.
+// Returns the closest match, weigh-ins first, or null.
+async function findPhotoMatch(guildId, upload, userId) {
+  const all = (sql, params) =>
+    new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  const hash = upload.content_hash || null;
+  const limit = PHOTO_MATCH_RECENT_LIMIT;
+
+  // Every photo of a multi-photo weigh-in lives in uploads; the weighins row covers older/imported ones
+  const weighinColumns =
+    "w.id, w.user_id, w.photo_url AS image_url, w.photo_hash, w.photo_phash, w.created_at, t.name AS tournament_name";
+  const uploadColumns = "w.id, w.user_id, u.image_url, u.content_hash, u.phash, w.created_at, t.name";
+  const exactWeighins = hash
+    ? await all(
+        `
+        SELECT ${weighinColumns}
+        FROM weighins w
+        JOIN tournaments t ON t.id = w.tournament_id
+        WHERE w.guild_id = ? AND w.photo_hash = ? AND w.status != 'withdrawn'
+        UNION ALL
+        SELECT ${uploadColumns}
+        FROM uploads u
+        JOIN weighins w ON w.id = u.weighin_id OR w.group_id = u.weighin_id
+        JOIN tournaments t ON t.id = w.tournament_id
+        WHERE u.guild_id = ? AND u.content_hash = ? AND w.status != 'withdrawn'
+        `,
+        [guildId, hash, guildId, hash]
+      )
+    : [];
+  const recentWeighins = upload.phash
+    ? await all(
+        `
+        SELECT * FROM (
+          SELECT ${weighinColumns}
+          FROM weighins w
+          JOIN tournaments t ON t.id = w.tournament_id
+          WHERE w.guild_id = ? AND w.photo_phash IS NOT NULL AND w.status != 'withdrawn'
+          ORDER BY w.id DESC
+          LIMIT ?
+        )
+        UNION ALL
+        SELECT * FROM (
+          SELECT ${uploadColumns}
+          FROM uploads u
+          JOIN weighins w ON w.id = u.weighin_id OR w.group_id = u.weighin_id
+          JOIN tournaments t ON t.id = w.tournament_id
+          WHERE u.guild_id = ? AND u.phash IS NOT NULL AND w.status != 'withdrawn'
+          ORDER BY u.id DESC
+          LIMIT ?
+        )
+        `,
+        [guildId, limit, guildId, limit]
+      )
+    : [];
+  const weighin = closestPhoto(upload, [...exactWeighins, ...recentWeighins], "photo_hash", "photo_phash");
+  if (weighin) {
+    const w = weighin.row;
+    return {
+      type: "weighin",
+      weighin_id: w.id,
+      user_id: w.user_id,
+      tournament_name: w.tournament_name,
+      image_url: w.image_url,
+      created_at: w.created_at,
+      distance: weighin.distance,
+    };
+  }
+
+  const uploads = await all(
+    `
+    SELECT * FROM uploads
+    WHERE guild_id = ? AND user_id != ? AND id < ? AND content_hash = ?
+    UNION ALL
+    SELECT * FROM (
+      SELECT * FROM uploads
+      WHERE guild_id = ? AND user_id != ? AND id < ? AND phash IS NOT NULL
+      ORDER BY id DESC
+      LIMIT ?
     )
-    .setTimestamp(new Date());
+    `,
+    [guildId, userId, upload.id, hash, guildId, userId, upload.id, limit]
+  );
+  const other = closestPhoto(upload, uploads, "content_hash", "phash");
+  if (!other) return null;
+  const { row: u, distance } = other;
+  return { type: "upload", user_id: u.user_id, image_url: u.image_url, created_at: u.created_at, distance };
 }
 
-function monthlyWinnersEmbed(yyyyMm, winners) {
-  const bagLine =
-    winners?.bag_winner_id
-      ? `🏅 **Bag Winner:** <@${winners.bag_winner_id}> — **${formatLb(winners.bag_winner_bag)} lbs**`
-      : "🏅 **Bag Winner:** —";
-  const bigLine =
-    winners?.big_winner_id
-      ? `🐷 **Big Bass Winner:** <@${winners.big_winner_id}> — **${formatLb(winners.big_winner_big)} lbs**`
-      : "🐷 **Big Bass Winner:** —";
+function parsePhotoMatch(weighin) {
+  try {
+    return weighin?.photo_match ? JSON.parse(weighin.photo_match) : null;
+  } catch {
+    return null;
+  }
+}
 
-  return new EmbedBuilder()
-    .setTitle(`📆 Monthly Winners — ${yyyyMm}`)
-    .setDescription([bagLine, bigLine, "", "_Updates when tournaments end._"].join("\n"))
-    .setTimestamp(new Date());
+function getTournament(guildId, tournamentId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM tournaments WHERE guild_id = ? AND id = ?`,
+      [guildId, tournamentId],
+      (err, row) => (err ? reject(err) : resolve(row || null))
+    );
+  });
 }
 
-function yearlyWinnersEmbed(yyyy, winners) {
-  const bagLine =
-    winners?.bag_winner_id
-      ? `🏅 **Bag Winner:** <@${winners.bag_winner_id}> — **${formatLb(winners.bag_winner_bag)} lbs**`
-      : "🏅 **Bag Winner:** —";
-  const bigLine =
-    winners?.big_winner_id
-      ? `🐷 **Big Bass Winner:** <@${winners.big_winner_id}> — **${formatLb(winners.big_winner_big)} lbs**`
-      : "🐷 **Big Bass Winner:** —";
+async function insertWeighIn(
+  {
+    guildId,
+    channelId,
+    tournamentId,
+    userId,
+    weightLbs,
+    lengthIn = null,
+    photoUrl,
+    notes,
+    isDead = false,
+    species = null,
+    submittedBy = null,
+    photoHash = null,
+    photoPhash = null,
+    photoMatch = null,
+    photoUrls = null,
+    verificationCode = null,
+    status = "approved",
+  },
+  conn = db
+) {
+  const { lastID } = await run(
+    `INSERT INTO weighins
+       (guild_id, channel_id, tournament_id, user_id, weight_lbs, length_in, photo_url, notes, is_dead, species,
+        submitted_by, photo_hash, photo_phash, photo_match, photo_urls, verification_code, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      guildId,
+      channelId,
+      tournamentId,
+      userId,
+      weightLbs ?? 0,
+      lengthIn,
+      photoUrl,
+      notes || null,
+      isDead ? 1 : 0,
+      species,
+      submittedBy || userId,
+      photoHash,
+      photoPhash,
+      photoMatch ? JSON.stringify(photoMatch) : null,
+      photoUrls?.length > 1 ? JSON.stringify(photoUrls) : null,
+      verificationCode,
+      status,
+    ],
+    conn
+  );
+  return lastID;
+}
 
-  return new EmbedBuilder()
-    .setTitle(`📅 Yearly Winners — ${yyyy}`)
-    .setDescription([bagLine, bigLine, "", "_Updates when tournaments end._"].join("\n"))
-    .setTimestamp(new Date());
+// Saves the weigh-ins (one per tournament) and claims their photos in one transaction, so two forms
+// opened on the same photo can't both use it. Several entries form a group under the first one's id,
+// which the photos are claimed for. Resolves the new ids, or null when a photo was already taken
+// (nothing is saved).
+async function insertWeighInsWithUploads(guildId, weighins, uploadIds) {
+  try {
+    return await withTransaction(async (conn) => {
+      const ids = [];
+      for (const weighin of weighins) ids.push(await insertWeighIn(weighin, conn));
+      if (ids.length > 1) {
+        await run(
+          `UPDATE weighins SET group_id = ? WHERE guild_id = ? AND id IN (SELECT value FROM json_each(?))`,
+          [ids[0], guildId, JSON.stringify(ids)],
+          conn
+        );
+      }
+      if (!(await claimUploads(guildId, uploadIds, ids[0], conn))) {
+        throw Object.assign(new Error("upload already attached to a weigh-in"), { code: "UPLOAD_TAKEN" });
+      }
+      return ids;
+    });
+  } catch (err) {
+    if (err.code === "UPLOAD_TAKEN") return null;
+    throw err;
+  }
 }
 
-async function postFinalStandings(guild, resultsChannelId, tournament) {
-  const big = await getBigBassLeaderboard(guild.id, tournament.id);
-  const bag = await getTotalBagLeaderboard(guild.id, tournament.id);
+function getWeighIn(guildId, weighinId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM weighins WHERE guild_id = ? AND id = ?`,
+      [guildId, weighinId],
+      (err, row) => (err ? reject(err) : resolve(row || null))
+    );
+  });
+}
 
-  const header = new EmbedBuilder()
-    .setTitle(`✅ FINAL RESULTS — ${tournament.name}`)
-    .setDescription("Tournament ended. Submissions are now locked.")
-    .setTimestamp(new Date());
+// Every entry saved from the same submission (group_id), oldest first; just the weigh-in otherwise.
+function getWeighInGroup(guildId, weighin) {
+  if (!weighin?.group_id) return Promise.resolve(weighin ? [weighin] : []);
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM weighins WHERE guild_id = ? AND group_id = ? ORDER BY id`,
+      [guildId, weighin.group_id],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
 
-  const bigEmbed = new EmbedBuilder()
-    .setTitle("🏆 Big Bass (Final)")
-    .setDescription(
-      big.length
-        ? big.map((r, i) => `**${i + 1}.** <@${r.user_id}> — **${formatLb(r.big_bass)} lbs**`).join("\n")
-        : "No weigh-ins."
+// Only touches rows that are still pending, so two judges can't both decide the same fish. A fish
+// entered in several tournaments is decided once for every pending entry of its group.
+// `adjustedValue` replaces the fish's measurement (weight or length, per `mode`) and keeps the original.
+// Resolves the ids this call decided (none when it was already reviewed).
+function reviewWeighIn({ guildId, weighinId, status, reviewerId, reason, adjustedValue, mode = "weight" }) {
+  const column = MEASURES[mode].column;
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      UPDATE weighins
+      SET status = ?,
+          reviewed_by = ?,
+          reviewed_at = datetime('now'),
+          reject_reason = ?,
+          original_${column} = CASE WHEN ? IS NOT NULL THEN ${column} ELSE original_${column} END,
+          ${column} = COALESCE(?, ${column})
+      WHERE guild_id = ? AND status = 'pending'
+        AND (id = ? OR group_id = (SELECT group_id FROM weighins WHERE guild_id = ? AND id = ?))
+      RETURNING id
+      `,
+      [
+        status,
+        reviewerId,
+        reason || null,
+        adjustedValue ?? null,
+        adjustedValue ?? null,
+        guildId,
+        weighinId,
+        guildId,
+        weighinId,
+      ],
+      (err, rows) => (err ? reject(err) : resolve(rows.map((r) => r.id).sort((a, b) => a - b)))
     );
+  });
+}
 
-  const bagEmbed = new EmbedBuilder()
-    .setTitle("🎣 Total Bag (Top 5) — Final")
-    .setDescription(
-      bag.length
-        ? bag
-            .map(
-              (r, i) =>
-                `**${i + 1}.** <@${r.user_id}> — **${formatLb(r.total_bag)} lbs** *(top ${r.fish_count} fish)*`
-            )
-            .join("\n")
-        : "No weigh-ins."
+function countPendingWeighIns(guildId, tournamentId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT COUNT(*) AS n FROM weighins WHERE guild_id = ? AND tournament_id = ? AND status = 'pending'`,
+      [guildId, tournamentId],
+      (err, row) => (err ? reject(err) : resolve(row?.n || 0))
     );
+  });
+}
 
-  const channel = await guild.channels.fetch(resultsChannelId).catch(() => null);
-  if (channel) {
-    await channel.send({ embeds: [header] });
-    await channel.send({ embeds: [bigEmbed] });
-    await channel.send({ embeds: [bagEmbed] });
+function getRecentTournaments(guildId, limit = 25) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM tournaments WHERE guild_id = ? ORDER BY id DESC LIMIT ?`,
+      [guildId, limit],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+// period: only tournaments that ended in that month ('YYYY-MM') or year ('YYYY'); null = any.
+function getEndedTournaments(guildId, period = null, limit = 25) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT * FROM tournaments
+      WHERE guild_id = ? AND ended_at IS NOT NULL
+        AND (? IS NULL OR strftime('%Y-%m', ended_at) LIKE ? || '%')
+      ORDER BY datetime(ended_at) DESC, id DESC
+      LIMIT ?
+      `,
+      [guildId, period, period, limit],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+// Months ('YYYY-MM', newest first) that have at least one ended tournament.
+function getResultMonths(guildId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT DISTINCT strftime('%Y-%m', ended_at) AS month
+      FROM tournaments
+      WHERE guild_id = ? AND ended_at IS NOT NULL
+      ORDER BY month DESC
+      `,
+      [guildId],
+      (err, rows) => (err ? reject(err) : resolve(rows.map((r) => r.month)))
+    );
+  });
+}
+
+// Tournaments, every weigh-in (all statuses) and final results for one export scope:
+// "t:<id>", "month:YYYY-MM" or "year:YYYY". Rows are keyed by EXPORT_COLUMNS.
+async function getExportData(guildId, scope) {
+  const [kind, value] = scope.split(":");
+  const tournaments = await new Promise((resolve, reject) => {
+    const where =
+      kind === "t"
+        ? `id = ?`
+        : `ended_at IS NOT NULL AND strftime('${kind === "year" ? "%Y" : "%Y-%m"}', ended_at) = ?`;
+    db.all(
+      `SELECT * FROM tournaments WHERE guild_id = ? AND ${where} ORDER BY datetime(started_at) ASC, id ASC`,
+      [guildId, kind === "t" ? Number(value) : value],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+
+  const ids = JSON.stringify(tournaments.map((t) => t.id));
+  const byId = new Map(tournaments.map((t) => [t.id, t]));
+  const queryAll = (sql) =>
+    new Promise((resolve, reject) => {
+      db.all(sql, [guildId, ids], (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+
+  const weighins = await queryAll(`
+    SELECT * FROM weighins
+    WHERE guild_id = ? AND tournament_id IN (SELECT value FROM json_each(?))
+    ORDER BY tournament_id ASC, datetime(created_at) ASC, id ASC
+  `);
+  const results = await queryAll(`
+    SELECT * FROM tournament_results
+    WHERE guild_id = ? AND tournament_id IN (SELECT value FROM json_each(?))
+    ORDER BY tournament_id ASC
+  `);
+
+  const resultRows = [];
+  for (const t of tournaments) {
+    const rules = getScoringRules(t);
+    rankTournamentResults(results.filter((r) => r.tournament_id === t.id), rules).forEach((r) => {
+      resultRows.push({
+        tournament_id: t.id,
+        tournament_name: t.name,
+        ended_at: t.ended_at,
+        place: r.place,
+        user_id: r.user_id,
+        big_bass: r.big_bass,
+        total_bag: r.total_bag,
+        fish_count: r.fish_count,
+        mode: rules.mode,
+      });
+    });
   }
+
+  return {
+    tournaments: tournaments.map((t) => ({ ...t, tournament_id: t.id })),
+    weighins: weighins.map((w) => ({ ...w, weighin_id: w.id, tournament_name: byId.get(w.tournament_id)?.name })),
+    results: resultRows,
+  };
 }
 
-// -------------------- AUTO-UPDATING EMBEDS (SEPARATE CHANNELS) --------------------
-async function ensureMessage(guild, channelId, existingMessageId, createEmbed) {
-  const channel = await guild.channels.fetch(channelId).catch(() => null);
-  if (!channel) return { messageId: null };
+// -------------------- HISTORICAL IMPORT --------------------
+function createPendingImport(guildId, userId, fileName, plan) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO pending_imports (guild_id, user_id, file_name, plan) VALUES (?, ?, ?, ?)`,
+      [guildId, userId, fileName, JSON.stringify(plan)],
+      function (err) {
+        if (err) return reject(err);
+        resolve(this.lastID);
+      }
+    );
+  });
+}
+
+function getPendingImport(guildId, importId) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM pending_imports WHERE guild_id = ? AND id = ?`, [guildId, importId], (err, row) =>
+      err ? reject(err) : resolve(row ? { ...row, plan: JSON.parse(row.plan) } : null)
+    );
+  });
+}
+
+function deletePendingImport(guildId, importId) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM pending_imports WHERE guild_id = ? AND id = ?`, [guildId, importId], function (err) {
+      if (err) return reject(err);
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+// Names of ended tournaments already on a given date, to stop the same sheet being imported twice.
+function getEndedTournamentKeys(guildId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT name, date(ended_at) AS day FROM tournaments WHERE guild_id = ? AND ended_at IS NOT NULL`,
+      [guildId],
+      (err, rows) => (err ? reject(err) : resolve(new Set(rows.map((r) => `${r.name.toLowerCase()}|${r.day}`))))
+    );
+  });
+}
+
+// Writes the whole plan in one transaction: ended tournaments (source 'import') + their results.
+// History renders imported tournaments from these results (they have no weigh-ins).
+function commitImport(guildId, plan) {
+  return withTransaction(async (conn) => {
+    for (const t of plan.tournaments) {
+      const at = `${t.date} 12:00:00`;
+      const { lastID: tournamentId } = await run(
+        `INSERT INTO tournaments (guild_id, name, is_active, started_at, ended_at, source)
+         VALUES (?, ?, 0, ?, ?, 'import')`,
+        [guildId, t.name, at, at],
+        conn
+      );
+      for (const r of t.results) {
+        await run(
+          `INSERT INTO tournament_results (guild_id, tournament_id, user_id, big_bass, total_bag, fish_count)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [guildId, tournamentId, r.user_id, r.big_bass, r.total_bag, r.fish_count],
+          conn
+        );
+      }
+    }
+  });
+}
+
+// -------------------- PHOTO ARCHIVE --------------------
+// Discord attachment URLs are signed and expire, and vanish when the angler deletes the message.
+// Each weigh-in's photos are copied once, to the guild's archive channel or else PHOTO_ARCHIVE_DIR.
+// photo_archive holds { channel_id, message_id } or { files: [<guild id>/<name>, ...] }.
+function parsePhotoArchive(weighin) {
+  try {
+    return weighin?.photo_archive ? JSON.parse(weighin.photo_archive) : null;
+  } catch {
+    return null;
+  }
+}
+
+// A group's photos are archived once, from its first entry, for every entry.
+function setWeighInArchive(guildId, weighinId, archive) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE weighins SET photo_archive = ? WHERE guild_id = ? AND (id = ? OR group_id = ?)`,
+      [JSON.stringify(archive), guildId, weighinId, weighinId],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+function photoFileName(weighinId, index, url) {
+  let ext = "";
+  try {
+    ext = path.extname(new URL(url).pathname).toLowerCase();
+  } catch {
+    // not a URL — fall back to .jpg
+  }
+  return `${weighinId}-${index + 1}${/^\.[a-z0-9]{1,5}$/.test(ext) ? ext : ".jpg"}`;
+}
+
+// Never throws: a weigh-in still counts if its photos can't be archived (the Discord URLs are kept).
+async function archiveWeighInPhotos(guild, cfg, weighin, tournamentName) {
+  const channelId = cfg?.archive_channel_id;
+  if (!channelId && !PHOTO_ARCHIVE_DIR) return;
+
+  try {
+    const photos = [];
+    for (const [i, url] of weighinPhotoUrls(weighin).entries()) {
+      const buffer = await downloadImage(url);
+      // All or nothing, so archived photos stay in the same order as photo_urls
+      if (!buffer) {
+        console.error(`photo archive: couldn't download photo ${i + 1} of weigh-in #${weighin.id}`);
+        return;
+      }
+      photos.push({ buffer, name: photoFileName(weighin.id, i, url) });
+    }
+
+    if (channelId) {
+      const channel = await guild.channels.fetch(channelId).catch(() => null);
+      if (!channel) {
+        console.error(`archive channel missing for guild ${guild.id}; weigh-in #${weighin.id} not archived`);
+        return;
+      }
+      const message = await channel.send({
+        content: `📦 Weigh-in #${weighin.id} — <@${weighin.user_id}> — ${tournamentName}`,
+        files: photos.map((p) => new AttachmentBuilder(p.buffer, { name: p.name })),
+        allowedMentions: { parse: [] },
+      });
+      await setWeighInArchive(guild.id, weighin.id, { channel_id: channel.id, message_id: message.id });
+      return;
+    }
+
+    const dir = path.join(PHOTO_ARCHIVE_DIR, guild.id);
+    await fs.promises.mkdir(dir, { recursive: true });
+    for (const p of photos) await fs.promises.writeFile(path.join(dir, p.name), p.buffer);
+    await setWeighInArchive(guild.id, weighin.id, { files: photos.map((p) => `${guild.id}/${p.name}`) });
+  } catch (e) {
+    console.error(`photo archive error (weigh-in #${weighin.id}):`, e);
+  }
+}
+
+// The weigh-in's photos as [{ url, file }], archived copies first. Local files come back as
+// attachment:// URLs + the AttachmentBuilder to send with the message; re-fetching the archive
+// message gives freshly signed URLs. Falls back to the stored Discord URLs.
+async function loadWeighinPhotos(guild, weighin) {
+  const archive = parsePhotoArchive(weighin);
+
+  if (archive?.files && PHOTO_ARCHIVE_DIR) {
+    const paths = archive.files.map((f) => path.join(PHOTO_ARCHIVE_DIR, f));
+    if (paths.every((p) => fs.existsSync(p))) {
+      return paths.map((p) => ({
+        url: `attachment://${path.basename(p)}`,
+        file: new AttachmentBuilder(p, { name: path.basename(p) }),
+      }));
+    }
+  }
+
+  if (archive?.message_id) {
+    const channel = await guild.channels.fetch(archive.channel_id).catch(() => null);
+    // force: a cached message would still carry the old (possibly expired) signed URLs
+    const message = await channel?.messages.fetch({ message: archive.message_id, force: true }).catch(() => null);
+    if (message?.attachments.size) return [...message.attachments.values()].map((a) => ({ url: a.url, file: null }));
+  }
+
+  return weighinPhotoUrls(weighin).map((url) => ({ url, file: null }));
+}
+
+// The earlier photo a flagged weigh-in matched, from the archive when it was a weigh-in photo.
+async function loadMatchPhoto(guild, match) {
+  const original = match.type === "weighin" ? await getWeighIn(guild.id, match.weighin_id) : null;
+  const index = original ? weighinPhotoUrls(original).indexOf(match.image_url) : -1;
+  if (index === -1) return { url: match.image_url, file: null };
+  return (await loadWeighinPhotos(guild, original))[index] || { url: match.image_url, file: null };
+}
+
+// -------------------- GUILD LIFECYCLE --------------------
+// Every table holding per-guild rows (all carry guild_id).
+const GUILD_TABLES = [
+  "config",
+  "uploads",
+  "weighins",
+  "tournaments",
+  "tournament_results",
+  "weighin_audit",
+  "result_reset_batches",
+  "archived_results",
+  "admin_audit",
+  "teams",
+  "team_members",
+  "registrations",
+  "angler_divisions",
+  "pending_imports",
+];
+
+function getConfiguredGuildIds() {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT guild_id, archived_at FROM config`, [], (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Keeps everything for a possible return; only throwaway dry-run imports are dropped.
+function archiveGuildData(guildId) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(`DELETE FROM pending_imports WHERE guild_id = ?`, [guildId]);
+      db.run(`UPDATE config SET archived_at = datetime('now') WHERE guild_id = ?`, [guildId], (err) =>
+        err ? reject(err) : resolve()
+      );
+    });
+  });
+}
+
+function purgeGuildData(guildId) {
+  return Promise.all(
+    GUILD_TABLES.map(
+      (table) =>
+        new Promise((resolve, reject) => {
+          db.run(`DELETE FROM ${table} WHERE guild_id = ?`, [guildId], (err) => (err ? reject(err) : resolve()));
+        })
+    )
+  );
+}
+
+// All statuses (void/rejected included) — this is the admin view, not a leaderboard.
+function getAnglerWeighIns(guildId, tournamentId, userId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT * FROM weighins
+      WHERE guild_id = ? AND tournament_id = ? AND user_id = ?
+      ORDER BY datetime(created_at) ASC, id ASC
+      `,
+      [guildId, tournamentId, userId],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+const AUDITED_WEIGHIN_FIELDS = ["user_id", "weight_lbs", "length_in", "species", "notes", "is_dead", "status"];
+
+function updateWeighInFields(guildId, weighinId, patch) {
+  const keys = AUDITED_WEIGHIN_FIELDS.filter((k) => k in patch);
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE weighins SET ${keys.map((k) => `${k} = ?`).join(", ")} WHERE guild_id = ? AND id = ?`,
+      [...keys.map((k) => patch[k]), guildId, weighinId],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+function insertAudit({ guildId, weighinId, tournamentId, anglerId, actorId, action, oldValues, newValues, reason }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO weighin_audit
+         (guild_id, weighin_id, tournament_id, angler_id, actor_id, action, old_values, new_values, reason)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        guildId,
+        weighinId,
+        tournamentId,
+        anglerId,
+        actorId,
+        action,
+        oldValues ? JSON.stringify(oldValues) : null,
+        newValues ? JSON.stringify(newValues) : null,
+        reason || null,
+      ],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+// Applies a patch to one weigh-in and records only the fields that actually changed.
+// Resolves { before, after } or null when the patch was a no-op.
+async function correctWeighIn({ guildId, weighinId, actorId, action, patch, reason }) {
+  const before = await getWeighIn(guildId, weighinId);
+  if (!before) throw new Error(`weigh-in ${weighinId} not found`);
+
+  const oldValues = {};
+  const newValues = {};
+  for (const key of AUDITED_WEIGHIN_FIELDS) {
+    if (key in patch && patch[key] !== before[key]) {
+      oldValues[key] = before[key];
+      newValues[key] = patch[key];
+    }
+  }
+  if (!Object.keys(newValues).length) return null;
+
+  await updateWeighInFields(guildId, weighinId, newValues);
+  await insertAudit({
+    guildId,
+    weighinId,
+    tournamentId: before.tournament_id,
+    anglerId: before.user_id,
+    actorId,
+    action,
+    oldValues,
+    newValues,
+    reason,
+  });
+
+  return { before, after: await getWeighIn(guildId, weighinId) };
+}
+
+// Status a voided weigh-in had before its most recent void (falls back to approved).
+function getPreVoidStatus(guildId, weighinId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `
+      SELECT json_extract(old_values, '$.status') AS status
+      FROM weighin_audit
+      WHERE guild_id = ? AND weighin_id = ? AND action = 'void'
+      ORDER BY id DESC
+      LIMIT 1
+      `,
+      [guildId, weighinId],
+      (err, row) => (err ? reject(err) : resolve(row?.status || "approved"))
+    );
+  });
+}
+
+// Entries where the angler owned the weigh-in before the change, or received it via a reassignment.
+function getAnglerAuditHistory(guildId, userId, limit = 20) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT a.*, t.name AS tournament_name
+      FROM weighin_audit a
+      LEFT JOIN tournaments t ON t.id = a.tournament_id
+      WHERE a.guild_id = ?
+        AND (a.angler_id = ? OR json_extract(a.new_values, '$.user_id') = ?)
+      ORDER BY a.id DESC
+      LIMIT ?
+      `,
+      [guildId, userId, userId, limit],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+// -------------------- TEAMS --------------------
+// Teams with their joined member ids (captain first) and outstanding invites.
+function getTeams(guildId, tournamentId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT t.*, tm.user_id AS member_id, tm.status AS member_status
+      FROM teams t
+      LEFT JOIN team_members tm ON tm.team_id = t.id
+      WHERE t.guild_id = ? AND t.tournament_id = ?
+      ORDER BY t.id ASC, tm.user_id = t.captain_id DESC, tm.id ASC
+      `,
+      [guildId, tournamentId],
+      (err, rows) => {
+        if (err) return reject(err);
+        const teams = new Map();
+        for (const row of rows) {
+          if (!teams.has(row.id)) {
+            const { member_id, member_status, ...team } = row;
+            teams.set(row.id, { ...team, members: [], invited: [] });
+          }
+          if (row.member_id) {
+            teams.get(row.id)[row.member_status === "joined" ? "members" : "invited"].push(row.member_id);
+          }
+        }
+        resolve([...teams.values()]);
+      }
+    );
+  });
+}
+
+async function getTeam(guildId, teamId) {
+  const row = await new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM teams WHERE guild_id = ? AND id = ?`, [guildId, teamId], (err, r) =>
+      err ? reject(err) : resolve(r || null)
+    );
+  });
+  if (!row) return null;
+  return (await getTeams(guildId, row.tournament_id)).find((t) => t.id === row.id) || null;
+}
+
+// Teams are built for running team events, or ahead of time for scheduled ones.
+async function getTeamTournaments(guildId) {
+  const actives = await getActiveTournaments(guildId);
+  const scheduled = await getScheduledTournaments(guildId);
+  return [...actives, ...scheduled].filter((t) => getScoringRules(t).teams);
+}
+
+async function getAnglerTeam(guildId, tournamentId, userId) {
+  const teams = await getTeams(guildId, tournamentId);
+  return teams.find((t) => t.members.includes(userId)) || null;
+}
+
+// `memberIds` join straight away (admin-built teams); `inviteIds` must accept first.
+function createTeam({ guildId, tournamentId, name, captainId, memberIds = [], inviteIds = [] }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO teams (guild_id, tournament_id, name, captain_id) VALUES (?, ?, ?, ?)`,
+      [guildId, tournamentId, name, captainId],
+      function (err) {
+        if (err) return reject(err);
+        const teamId = this.lastID;
+
+        const stmt = db.prepare(
+          `INSERT OR IGNORE INTO team_members (guild_id, team_id, tournament_id, user_id, status, invited_by)
+           VALUES (?, ?, ?, ?, ?, ?)`
+        );
+        for (const userId of memberIds) stmt.run([guildId, teamId, tournamentId, userId, "joined", captainId]);
+        for (const userId of inviteIds) stmt.run([guildId, teamId, tournamentId, userId, "invited", captainId]);
+        stmt.finalize((e) => (e ? reject(e) : resolve(teamId)));
+      }
+    );
+  });
+}
+
+function inviteTeamMember(guildId, team, userId, invitedBy) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT OR IGNORE INTO team_members (guild_id, team_id, tournament_id, user_id, status, invited_by)
+       VALUES (?, ?, ?, ?, 'invited', ?)`,
+      [guildId, team.id, team.tournament_id, userId, invitedBy],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+// Accepting drops the angler's other invites for that tournament.
+function acceptTeamInvite(guildId, team, userId) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(
+        `UPDATE team_members SET status = 'joined' WHERE guild_id = ? AND team_id = ? AND user_id = ? AND status = 'invited'`,
+        [guildId, team.id, userId]
+      );
+      db.run(
+        `DELETE FROM team_members
+         WHERE guild_id = ? AND tournament_id = ? AND user_id = ? AND status = 'invited'`,
+        [guildId, team.tournament_id, userId],
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+  });
+}
+
+function getTeamInvites(guildId, tournamentId, userId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT t.*, tm.invited_by
+      FROM team_members tm
+      JOIN teams t ON t.id = tm.team_id
+      WHERE tm.guild_id = ? AND tm.tournament_id = ? AND tm.user_id = ? AND tm.status = 'invited'
+      ORDER BY tm.id ASC
+      `,
+      [guildId, tournamentId, userId],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+// Declining an invite and leaving a team are the same delete. The last member out
+// removes the team; a departing captain hands the team to their partner.
+async function removeTeamMember(guildId, team, userId) {
+  await new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM team_members WHERE guild_id = ? AND team_id = ? AND user_id = ?`,
+      [guildId, team.id, userId],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+
+  if (!team.members.includes(userId)) return; // only an invite
+
+  const remaining = team.members.filter((id) => id !== userId);
+
+  await new Promise((resolve, reject) => {
+    if (!remaining.length) {
+      db.serialize(() => {
+        db.run(`DELETE FROM team_members WHERE guild_id = ? AND team_id = ?`, [guildId, team.id]);
+        db.run(`DELETE FROM teams WHERE guild_id = ? AND id = ?`, [guildId, team.id], (err) =>
+          err ? reject(err) : resolve()
+        );
+      });
+    } else if (team.captain_id === userId) {
+      db.run(`UPDATE teams SET captain_id = ? WHERE guild_id = ? AND id = ?`, [remaining[0], guildId, team.id], (err) =>
+        err ? reject(err) : resolve()
+      );
+    } else {
+      resolve();
+    }
+  });
+}
+
+// Counted fish (anything not withdrawn/void/rejected) from the team's members.
+function countTeamWeighIns(guildId, team) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `
+      SELECT COUNT(*) AS n FROM weighins
+      WHERE guild_id = ? AND tournament_id = ? AND status IN ('pending', 'approved')
+        AND user_id IN (SELECT value FROM json_each(?))
+      `,
+      [guildId, team.tournament_id, JSON.stringify(team.members)],
+      (err, row) => (err ? reject(err) : resolve(row?.n || 0))
+    );
+  });
+}
+
+// -------------------- RESULT RESETS --------------------
+// A reset moves a period's finalized results into archived_results under one batch, in a single
+// transaction, so a misclick can be undone from Reset History. Resets and restores go to admin_audit.
+const RESULT_COLUMNS =
+  "guild_id, tournament_id, user_id, big_bass, total_bag, fish_count, bag_completed_at, division, created_at";
+
+function resetPeriod(scope, now = new Date()) {
+  const yyyy = String(now.getFullYear());
+  return scope === "month" ? `${yyyy}-${String(now.getMonth() + 1).padStart(2, "0")}` : yyyy;
+}
+
+// tournament_id filter shared by the preview count and the reset itself
+function resetTournamentFilter(scope) {
+  return `
+    SELECT id FROM tournaments
+    WHERE guild_id = ?
+      AND ended_at IS NOT NULL
+      AND strftime('${RESET_SCOPES[scope].format}', ended_at) = ?
+  `;
+}
+
+function countResetResults(guildId, scope, period) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `
+      SELECT COUNT(*) AS results, COUNT(DISTINCT tournament_id) AS tournaments
+      FROM tournament_results
+      WHERE guild_id = ? AND tournament_id IN (${resetTournamentFilter(scope)})
+      `,
+      [guildId, guildId, period],
+      (err, row) => (err ? reject(err) : resolve({ results: row?.results || 0, tournaments: row?.tournaments || 0 }))
+    );
+  });
+}
+
+async function insertAdminAudit(guildId, actorId, action, details, conn = db) {
+  await run(
+    `INSERT INTO admin_audit (guild_id, actor_id, action, details) VALUES (?, ?, ?, ?)`,
+    [guildId, actorId, action, JSON.stringify(details)],
+    conn
+  );
+}
+
+// Returns { batchId, count }; batchId is null when there was nothing left to reset.
+function archiveResetResults(guildId, scope, period, actorId) {
+  const filter = `guild_id = ? AND tournament_id IN (${resetTournamentFilter(scope)})`;
+
+  return withTransaction(async (conn) => {
+    const { lastID: batchId } = await run(
+      `INSERT INTO result_reset_batches (guild_id, scope, period, reset_by) VALUES (?, ?, ?, ?)`,
+      [guildId, scope, period, actorId],
+      conn
+    );
+    const { changes: count } = await run(
+      `INSERT INTO archived_results (batch_id, ${RESULT_COLUMNS})
+       SELECT ?, ${RESULT_COLUMNS} FROM tournament_results WHERE ${filter}`,
+      [batchId, guildId, guildId, period],
+      conn
+    );
+    // Already reset (double click / two admins): drop the empty batch
+    if (!count) {
+      await run(`DELETE FROM result_reset_batches WHERE id = ?`, [batchId], conn);
+      return { batchId: null, count: 0 };
+    }
+
+    await run(`DELETE FROM tournament_results WHERE ${filter}`, [guildId, guildId, period], conn);
+    await run(`UPDATE result_reset_batches SET result_count = ? WHERE id = ?`, [count, batchId], conn);
+    await insertAdminAudit(guildId, actorId, `reset_${scope}`, { batch_id: batchId, period, results: count }, conn);
+    return { batchId, count };
+  });
+}
+
+// Puts a batch back; resolves null when it's unknown or already restored. Results re-snapshotted
+// since the reset (an admin correction on an ended tournament) are kept as they are, so those rows
+// are reported as skipped.
+function restoreResetBatch(guildId, batchId, actorId) {
+  return withTransaction(async (conn) => {
+    const { changes: claimed } = await run(
+      `UPDATE result_reset_batches SET restored_at = datetime('now'), restored_by = ?
+       WHERE guild_id = ? AND id = ? AND restored_at IS NULL`,
+      [actorId, guildId, batchId],
+      conn
+    );
+    if (!claimed) return null;
+
+    const { changes: restored } = await run(
+      `INSERT INTO tournament_results (${RESULT_COLUMNS})
+       SELECT ${RESULT_COLUMNS} FROM archived_results WHERE guild_id = ? AND batch_id = ?
+       ON CONFLICT (tournament_id, user_id) DO NOTHING`,
+      [guildId, batchId],
+      conn
+    );
+    const { changes: archived } = await run(
+      `DELETE FROM archived_results WHERE guild_id = ? AND batch_id = ?`,
+      [guildId, batchId],
+      conn
+    );
+    const skipped = archived - restored;
+    await insertAdminAudit(guildId, actorId, "restore_reset", { batch_id: batchId, restored, skipped }, conn);
+    return { restored, skipped };
+  });
+}
+
+function getResetBatches(guildId, limit = RESET_HISTORY_LIMIT) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM result_reset_batches WHERE guild_id = ? ORDER BY id DESC LIMIT ?`,
+      [guildId, limit],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+// Every batch that can still be restored, newest first (one select menu's worth).
+function getRestorableBatches(guildId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM result_reset_batches WHERE guild_id = ? AND restored_at IS NULL ORDER BY id DESC LIMIT 25`,
+      [guildId],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+function getResetBatch(guildId, batchId) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM result_reset_batches WHERE guild_id = ? AND id = ?`, [guildId, batchId], (err, row) =>
+      err ? reject(err) : resolve(row)
+    );
+  });
+}
+
+function getAdminAudit(guildId, limit = RESET_HISTORY_LIMIT) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM admin_audit WHERE guild_id = ? ORDER BY id DESC LIMIT ?`,
+      [guildId, limit],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+function formatLb(weight) {
+  return Number(weight || 0).toFixed(2);
+}
+
+function weighinMode(weighin) {
+  return weighin.length_in != null ? "length" : "weight";
+}
+
+function weighinValue(weighin) {
+  return weighin[MEASURES[weighinMode(weighin)].column];
+}
+
+function formatMeasure(value, mode = "weight") {
+  return `${Number(value || 0).toFixed(2)} ${MEASURES[mode].unit}`;
+}
+
+function formatWeighIn(weighin) {
+  return formatMeasure(weighinValue(weighin), weighinMode(weighin));
+}
+
+// Validates a typed weight or length. Lengths must land on a quarter inch. Returns { value } or { error }.
+function parseMeasureInput(raw, mode) {
+  const value = Number(String(raw).trim());
+  if (!Number.isFinite(value) || value <= 0) {
+    return { error: `${MEASURES[mode].label} must be a valid number (example: ${MEASURES[mode].example}).` };
+  }
+  if (mode === "length" && Math.abs(value * 4 - Math.round(value * 4)) > 1e-9) {
+    return { error: "Length must be to the quarter inch (e.g. 18, 18.25, 18.5, 18.75)." };
+  }
+  return { value };
+}
+
+// SQLite datetime('now') strings are UTC without a zone marker
+function parseSqliteDate(text) {
+  return new Date(`${String(text).replace(" ", "T")}Z`);
+}
+
+function toSqliteDate(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+// Discord renders <t:unix:F> in each reader's own timezone
+function discordTime(sqliteDate, style = "F") {
+  return `<t:${Math.floor(parseSqliteDate(sqliteDate).getTime() / 1000)}:${style}>`;
+}
+
+// -------------------- REGISTRATION & PAYOUTS --------------------
+function getRegistrationSettings(tournament) {
+  let stored = {};
+  try {
+    stored = tournament?.registration ? JSON.parse(tournament.registration) : {};
+  } catch {
+    // corrupt JSON falls back to defaults
+  }
+  return { ...DEFAULT_REGISTRATION, ...stored };
+}
+
+function setTournamentRegistration(guildId, tournamentId, settings) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE tournaments SET registration = ? WHERE guild_id = ? AND id = ?`,
+      [JSON.stringify(settings), guildId, tournamentId],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+// Registration is taken for running tournaments, or ahead of time for scheduled ones.
+async function getRegistrationTournaments(guildId) {
+  return [...(await getActiveTournaments(guildId)), ...(await getScheduledTournaments(guildId))];
+}
+
+function getRegistrations(guildId, tournamentId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM registrations WHERE guild_id = ? AND tournament_id = ? ORDER BY id ASC`,
+      [guildId, tournamentId],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+function getRegistration(guildId, tournamentId, userId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM registrations WHERE guild_id = ? AND tournament_id = ? AND user_id = ?`,
+      [guildId, tournamentId, userId],
+      (err, row) => (err ? reject(err) : resolve(row || null))
+    );
+  });
+}
+
+function registerAngler(guildId, tournamentId, userId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT OR IGNORE INTO registrations (guild_id, tournament_id, user_id) VALUES (?, ?, ?)`,
+      [guildId, tournamentId, userId],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+function removeRegistration(guildId, tournamentId, userId) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM registrations WHERE guild_id = ? AND tournament_id = ? AND user_id = ?`,
+      [guildId, tournamentId, userId],
+      function (err) {
+        if (err) return reject(err);
+        resolve(this.changes > 0);
+      }
+    );
+  });
+}
+
+// Admin payment marks register the angler too (walk-up entries paid at the ramp).
+function setRegistrationPayment({ guildId, tournamentId, userId, paid, sidePots, markedBy }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `
+      INSERT INTO registrations (guild_id, tournament_id, user_id, paid, side_pots, marked_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(tournament_id, user_id) DO UPDATE SET
+        paid=excluded.paid,
+        side_pots=excluded.side_pots,
+        marked_by=excluded.marked_by
+      `,
+      [guildId, tournamentId, userId, paid ? 1 : 0, JSON.stringify(sidePots), markedBy],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+function registrationSidePots(registration) {
+  try {
+    return registration?.side_pots ? JSON.parse(registration.side_pots) : [];
+  } catch {
+    return [];
+  }
+}
+
+function parseMoney(raw) {
+  const text = String(raw || "")
+    .trim()
+    .replace(/^\$/, "");
+  if (!text) return 0;
+  const value = Number(text);
+  return Number.isFinite(value) && value >= 0 ? Math.round(value * 100) / 100 : null;
+}
+
+function formatMoney(value) {
+  return `$${Number(value || 0).toFixed(2)}`;
+}
+
+// Always rounds down, so a split never pays out more than the pot holds.
+function floorCents(value) {
+  return Math.floor(value * 100 + 1e-6) / 100;
+}
+
+// The "Entry & Payouts" modal. Side pots: "name=buy-in" per line (or comma separated); add ":big"
+// for a pot paid on the biggest fish instead of the bag. Returns { settings } or { error }.
+function parseRegistrationSettings({ mode, fee, places, bigBass, sidePots }) {
+  const modeText = String(mode || "").trim().toLowerCase();
+  const aliases = { "": "off", no: "off", yes: "required", on: "required", "paid only": "paid" };
+  const parsedMode = aliases[modeText] ?? modeText;
+  if (!REGISTRATION_MODES.includes(parsedMode)) {
+    return { error: `Registration must be one of: ${REGISTRATION_MODES.join(", ")}.` };
+  }
+
+  const parsedFee = parseMoney(fee);
+  if (parsedFee == null) return { error: "Entry fee must be an amount like 50 or 25.50." };
+
+  const parsedPlaces = String(places || "")
+    .split(",")
+    .map((p) => p.trim().replace(/%$/, ""))
+    .filter(Boolean)
+    .map(Number);
+  if (parsedPlaces.some((p) => !Number.isFinite(p) || p <= 0) || parsedPlaces.length > 25) {
+    return { error: "Payout by place must be up to 25 percentages, e.g. 50, 30, 20." };
+  }
+
+  const bigBassText = String(bigBass || "").trim().replace(/%$/, "");
+  const parsedBigBass = bigBassText ? Number(bigBassText) : 0;
+  if (!Number.isFinite(parsedBigBass) || parsedBigBass < 0) {
+    return { error: "Big bass pot must be a percentage of the pool, e.g. 10." };
+  }
+  const total = parsedPlaces.reduce((sum, p) => sum + p, 0) + parsedBigBass;
+  if (total > 100 + 1e-9) return { error: `Place payouts + big bass pot add up to ${total}% (max 100%).` };
+
+  const parsedSidePots = [];
+  for (const entry of String(sidePots || "")
+    .split(/[\n,]+/)
+    .map((e) => e.trim())
+    .filter(Boolean)) {
+    const match = entry.match(/^([a-z0-9][a-z0-9 -]{0,19})\s*=\s*\$?([\d.]+)\s*(?::\s*(bag|big))?$/i);
+    const buyIn = match ? parseMoney(match[2]) : null;
+    if (!match || !buyIn) return { error: `Side pot "${entry}" should look like lunker=10 or lunker=10:big.` };
+    const name = match[1].trim().toLowerCase();
+    if (parsedSidePots.some((sp) => sp.name === name)) return { error: `Side pot "${name}" is listed twice.` };
+    parsedSidePots.push({ name, buyIn, board: (match[3] || "bag").toLowerCase() });
+  }
+  if (parsedSidePots.length > MAX_SIDE_POTS) return { error: `Up to ${MAX_SIDE_POTS} side pots.` };
+
+  return {
+    settings: {
+      mode: parsedMode,
+      fee: parsedFee,
+      places: parsedPlaces,
+      bigBass: parsedBigBass,
+      sidePots: parsedSidePots,
+    },
+  };
+}
+
+function describeRegistration(settings) {
+  if (settings.mode === "off") return "Off — anyone can weigh in";
+  const parts = [settings.mode === "paid" ? "Required + paid" : "Required"];
+  if (settings.fee) parts.push(`entry ${formatMoney(settings.fee)}`);
+  if (settings.places.length) {
+    parts.push(`pays ${settings.places.map((p, i) => `${ordinal(i + 1)} ${p}%`).join(", ")}`);
+  }
+  if (settings.bigBass) parts.push(`big bass ${settings.bigBass}%`);
+  for (const sp of settings.sidePots) parts.push(`side pot ${sp.name} ${formatMoney(sp.buyIn)} (${sp.board})`);
+  return parts.join(" • ");
+}
+
+// Money only goes to paid anglers (every member, for team rows). Rows keep their board order, so
+// tied rows stay together: a tie splits the percentages of every place it covers.
+function payoutGroups(rows, isEligible) {
+  const eligible = rows.filter(isEligible);
+  const groups = [];
+  for (const row of eligible) {
+    const last = groups[groups.length - 1];
+    if (last && last[0].place === row.place && row.place != null) last.push(row);
+    else groups.push([row]);
+  }
+  return groups;
+}
+
+// The prize pool is entry fee × paid anglers. Place percentages pay on the bag board, the big bass
+// percentage on the big fish board; side pots are winner-take-all among the anglers who paid in.
+function calculatePayouts(settings, registrations, bagRows, bigRows) {
+  const paidIds = new Set(registrations.filter((r) => r.paid).map((r) => r.user_id));
+  const isPaid = (row) =>
+    row.team_id ? row.members.length > 0 && row.members.every((id) => paidIds.has(id)) : paidIds.has(row.user_id);
+  const pool = Math.round(settings.fee * paidIds.size * 100) / 100;
+
+  const places = [];
+  let position = 0;
+  for (const group of payoutGroups(bagRows, isPaid)) {
+    if (position >= settings.places.length) break;
+    const percent = settings.places.slice(position, position + group.length).reduce((sum, p) => sum + p, 0);
+    places.push({ position, rows: group, each: floorCents((pool * percent) / 100 / group.length) });
+    position += group.length;
+  }
+
+  const bigLeaders = payoutGroups(bigRows, isPaid)[0] || [];
+  const bigBass =
+    settings.bigBass && bigLeaders.length
+      ? { rows: bigLeaders, each: floorCents((pool * settings.bigBass) / 100 / bigLeaders.length) }
+      : null;
+
+  const sidePots = settings.sidePots.map((sp) => {
+    const entrants = registrations.filter((r) => r.paid && registrationSidePots(r).includes(sp.name));
+    const ids = new Set(entrants.map((r) => r.user_id));
+    const total = Math.round(sp.buyIn * entrants.length * 100) / 100;
+    const rows = sp.board === "big" ? bigRows : bagRows;
+    const inPot = (row) => (row.team_id ? row.members.some((id) => ids.has(id)) : ids.has(row.user_id));
+    const winners = payoutGroups(rows, inPot)[0] || [];
+    const each = winners.length ? floorCents(total / winners.length) : 0;
+    return { ...sp, entrants: entrants.length, total, rows: winners, each };
+  });
+
+  const paidOut =
+    places.reduce((sum, p) => sum + p.each * p.rows.length, 0) + (bigBass ? bigBass.each * bigBass.rows.length : 0);
+  const unallocated = Math.round((pool - paidOut) * 100) / 100;
+  return { pool, paidCount: paidIds.size, places, bigBass, sidePots, unallocated };
+}
+
+function hasPayouts(settings) {
+  return settings.mode !== "off" && (settings.fee > 0 || settings.sidePots.length > 0);
+}
+
+// -------------------- DIVISIONS --------------------
+// user_id -> division for one tournament
+function getAnglerDivisions(guildId, tournamentId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT user_id, division FROM angler_divisions WHERE guild_id = ? AND tournament_id = ?`,
+      [guildId, tournamentId],
+      (err, rows) => (err ? reject(err) : resolve(new Map(rows.map((r) => [r.user_id, r.division]))))
+    );
+  });
+}
+
+async function getAnglerDivision(guildId, tournamentId, userId) {
+  return (await getAnglerDivisions(guildId, tournamentId)).get(userId) || null;
+}
+
+function setAnglerDivision(guildId, tournamentId, userId, division, assignedBy) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `
+      INSERT INTO angler_divisions (guild_id, tournament_id, user_id, division, assigned_by)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(tournament_id, user_id) DO UPDATE SET
+        division=excluded.division,
+        assigned_by=excluded.assigned_by
+      `,
+      [guildId, tournamentId, userId, division, assignedBy],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+// The tournament's own spelling of a typed division name, or null.
+function matchDivision(rules, text) {
+  const wanted = String(text || "").trim().toLowerCase();
+  return (rules.divisions || []).find((d) => d.toLowerCase() === wanted) || null;
+}
+
+function divisionSelectRow(customId, rules, placeholder = "Pick your division") {
+  return new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(customId)
+      .setPlaceholder(placeholder)
+      .addOptions(rules.divisions.map((d, i) => ({ label: d, value: String(i) })))
+  );
+}
+
+// Submit Weigh-in gate: anglers without a division pick one before their first fish.
+// Returns an ephemeral reply, or null when the angler is placed (or the tournament has no divisions).
+async function divisionMissingReply(guildId, tournament, userId, isSelf = true) {
+  const rules = getScoringRules(tournament);
+  if (!rules.divisions || (await getAnglerDivision(guildId, tournament.id, userId))) return null;
+  if (!isSelf) {
+    return ephContent(`🏷️ <@${userId}> hasn't picked a division yet. They pick one on their first weigh-in.`);
+  }
+  return {
+    content: `🏷️ **${tournament.name}** has divisions. Pick the one you're fishing — it can't be changed later.`,
+    components: [divisionSelectRow(`weighin_division:${tournament.id}`, rules)],
+    flags: EPHEMERAL_FLAG,
+  };
+}
+
+// -------------------- SCORING RULES --------------------
+// Built-in species plus the guild's extras from Species Settings
+function getSpeciesList(cfg) {
+  const extras = (cfg?.extra_species || "")
+    .split(",")
+    .map((sp) => sp.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set([...DEFAULT_SPECIES, ...extras])];
+}
+
+// Accepts full names, short aliases (lm, sm, spot) or an unambiguous prefix. Returns the canonical name or null.
+function resolveSpecies(input, speciesList) {
+  const text = String(input).trim().toLowerCase();
+  if (!text) return null;
+  if (speciesList.includes(text)) return text;
+  if (SPECIES_ALIASES[text] && speciesList.includes(SPECIES_ALIASES[text])) return SPECIES_ALIASES[text];
+
+  const matches = speciesList.filter((sp) => sp.startsWith(text));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+function speciesLabel(species) {
+  if (!species) return "Unknown";
+  return species.charAt(0).toUpperCase() + species.slice(1);
+}
+
+function getScoringRules(tournament) {
+  let stored = {};
+  try {
+    stored = tournament?.scoring_rules ? JSON.parse(tournament.scoring_rules) : {};
+  } catch {
+    // corrupt JSON falls back to defaults
+  }
+  return { ...DEFAULT_SCORING_RULES, ...stored };
+}
+
+// Parses the Start Tourney "Scoring rules" box: one key=value per line (or ; separated).
+// `speciesList` is the guild's allowed species (see getSpeciesList). Returns { rules } or { error }.
+function parseScoringRules(text, speciesList = DEFAULT_SPECIES) {
+  const rules = { ...DEFAULT_SCORING_RULES };
+  const entries = text
+    .split(/[\n;]+/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const [rawKey, ...rest] = entry.split("=");
+    const key = rawKey.trim().toLowerCase();
+    const value = rest.join("=").trim().toLowerCase();
+
+    if (key === "limit") {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1 || n > 25) return { error: "limit must be a whole number from 1 to 25." };
+      rules.bagLimit = n;
+    } else if (key === "metric") {
+      if (!SCORING_METRICS.includes(value)) return { error: `metric must be one of: ${SCORING_METRICS.join(", ")}.` };
+      rules.metric = value;
+    } else if (key === "dead") {
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0) return { error: "dead must be a penalty amount, e.g. dead=0.25." };
+      rules.deadFishPenalty = n;
+    } else if (key === "mode") {
+      if (!MEASURES[value]) return { error: `mode must be one of: ${Object.keys(MEASURES).join(", ")}.` };
+      rules.mode = value;
+    } else if (key === "species") {
+      const list = [];
+      for (const raw of value.split(",").map((v) => v.trim()).filter(Boolean)) {
+        const species = resolveSpecies(raw, speciesList);
+        if (!species) return { error: `Unknown species "${raw}". Known: ${speciesList.join(", ")}.` };
+        if (!list.includes(species)) list.push(species);
+      }
+      rules.species = list.length ? list : null;
+    } else if (key === "slots") {
+      const slots = {};
+      for (const part of value.split(",").map((v) => v.trim()).filter(Boolean)) {
+        const [rawSpecies, rawCount] = part.split(":").map((v) => v.trim());
+        const species = resolveSpecies(rawSpecies || "", speciesList);
+        const n = Number(rawCount);
+        if (!species || !Number.isInteger(n) || n < 1) {
+          return { error: `slots must look like smallmouth:2,largemouth:3 (bad: "${part}").` };
+        }
+        slots[species] = n;
+      }
+      rules.slots = Object.keys(slots).length ? slots : null;
+    } else if (key === "teams") {
+      if (!["yes", "no", "on", "off"].includes(value)) return { error: "teams must be yes or no." };
+      rules.teams = value === "yes" || value === "on";
+    } else if (key === "divisions") {
+      // Names keep the admin's capitalization
+      const names = rest.join("=").split(",").map((v) => v.trim()).filter(Boolean);
+      const unique = names.filter((n, i) => names.findIndex((m) => m.toLowerCase() === n.toLowerCase()) === i);
+      if (unique.length > MAX_DIVISIONS || unique.some((n) => n.length > MAX_DIVISION_NAME)) {
+        return { error: `divisions must be up to ${MAX_DIVISIONS} names of ${MAX_DIVISION_NAME} characters or less.` };
+      }
+      rules.divisions = unique.length ? unique : null;
+    } else if (key === "overall") {
+      if (!["yes", "no", "on", "off"].includes(value)) return { error: "overall must be yes or no." };
+      rules.overall = value === "yes" || value === "on";
+    } else if (key === "tiebreak") {
+      const list = value === "none" ? [] : [...new Set(value.split(",").map((v) => v.trim()).filter(Boolean))];
+      if (list.some((tb) => !TIEBREAKERS.includes(tb))) {
+        return { error: `tiebreak must be a list of: ${TIEBREAKERS.join(", ")} (or none).` };
+      }
+      rules.tiebreakers = list;
+    } else {
+      return {
+        error:
+          `Unknown scoring rule "${key}". ` +
+          "Use limit, metric, dead, mode, species, slots, teams, tiebreak, divisions, overall.",
+      };
+    }
+  }
+
+  if (rules.slots) {
+    // Slots define the bag: its limit is their sum, and only slotted species count
+    rules.bagLimit = Object.values(rules.slots).reduce((sum, n) => sum + n, 0);
+    rules.species = Object.keys(rules.slots);
+  }
+
+  return { rules };
+}
+
+function describeScoringRules(rules) {
+  const by = rules.mode === "length" ? "length (CPR)" : "weight";
+  const parts = [
+    rules.metric === "count" ? `Most fish (best ${rules.bagLimit}, ${by})` : `Best ${rules.bagLimit} fish by ${by}`,
+  ];
+  if (rules.slots) {
+    parts.push(
+      Object.entries(rules.slots)
+        .map(([sp, n]) => `${n} ${speciesLabel(sp)}`)
+        .join(" + ")
+    );
+  } else if (rules.species) {
+    parts.push(`${rules.species.map(speciesLabel).join(", ")} only`);
+  }
+  if (rules.deadFishPenalty) parts.push(`dead fish −${formatMeasure(rules.deadFishPenalty, rules.mode)}`);
+  if (rules.teams) parts.push(`${TEAM_SIZE}-angler teams share one bag`);
+  if (rules.tiebreakers?.length) parts.push(`ties: ${rules.tiebreakers.join(" → ")}`);
+  if (rules.divisions) parts.push(`divisions: ${rules.divisions.join(", ")}${rules.overall ? "" : " (no overall)"}`);
+  return parts.join(" • ");
+}
+
+function countsForRules(fish, rules) {
+  return !rules.species || rules.species.includes(fish.species);
+}
+
+// Best fish for one angler's bag: heaviest N per species when slots are set, then capped at bagLimit.
+function pickBag(list, rules, measure) {
+  const sorted = [...list].sort((a, b) => measure(b) - measure(a));
+  if (!rules.slots) return sorted.slice(0, rules.bagLimit);
+
+  const used = {};
+  const bag = sorted.filter((f) => {
+    const cap = rules.slots[f.species] || 0;
+    used[f.species] = (used[f.species] || 0) + 1;
+    return used[f.species] <= cap;
+  });
+  return bag.slice(0, rules.bagLimit);
+}
+
+// One row per angler (or per team with groupKey "team_id"): the best `bagLimit` fish by the
+// tournament's measure, minus dead-fish penalties (never below zero).
+function computeBagStandings(fish, rules, groupKey = "user_id") {
+  const byUser = new Map();
+  for (const f of fish) {
+    if (!countsForRules(f, rules) || f[groupKey] == null) continue;
+    if (!byUser.has(f[groupKey])) byUser.set(f[groupKey], []);
+    byUser.get(f[groupKey]).push(f);
+  }
+
+  const column = MEASURES[rules.mode].column;
+  const measure = (f) => f[column] || 0;
+
+  const rows = [];
+  for (const [userId, list] of byUser) {
+    const bag = pickBag(list, rules, measure);
+    const gross = bag.reduce((sum, f) => sum + measure(f), 0);
+    const deadCount = bag.filter((f) => f.is_dead).length;
+    const penalty = deadCount * (rules.deadFishPenalty || 0);
+
+    rows.push({
+      [groupKey]: userId,
+      total_bag: Math.max(0, gross - penalty),
+      fish_count: bag.length,
+      dead_count: deadCount,
+      penalty,
+      big_fish: bag[0] ? measure(bag[0]) : 0,
+      // When the bag reached its final total: its latest counted fish
+      completed_at: bag.reduce((latest, f) => (f.created_at > latest ? f.created_at : latest), ""),
+    });
+  }
+
+  return assignPlaces(rows, (a, b) => compareBagRows(a, b, rules));
+}
+
+// Measures are summed floats: treat anything closer than this as equal.
+function compareMeasure(a, b) {
+  return Math.abs(a - b) < 1e-9 ? 0 : a - b;
+}
+
+// Earlier wins; rows without a time (imported results) can't be separated this way.
+function compareTimes(a, b) {
+  if (!a || !b || a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+// Bag order: the metric first, then the tournament's tie-breakers. Works on computeBagStandings
+// rows and on tournament_results rows (big_bass / bag_completed_at).
+function compareBagRows(a, b, rules) {
+  const primary =
+    rules.metric === "count"
+      ? b.fish_count - a.fish_count || compareMeasure(b.total_bag, a.total_bag)
+      : compareMeasure(b.total_bag, a.total_bag);
+  if (primary) return primary;
+
+  for (const tiebreaker of rules.tiebreakers || []) {
+    let diff = 0;
+    if (tiebreaker === "bigfish") diff = compareMeasure(b.big_fish ?? b.big_bass, a.big_fish ?? a.big_bass);
+    if (tiebreaker === "earliest") {
+      diff = compareTimes(a.completed_at ?? a.bag_completed_at, b.completed_at ?? b.bag_completed_at);
+    }
+    if (tiebreaker === "fewer") diff = a.fish_count - b.fish_count;
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+// Big fish order: only "earliest" (who weighed that fish in first) applies here.
+function compareBigRows(a, b, rules) {
+  const primary = compareMeasure(b.big_bass, a.big_bass);
+  if (primary || !(rules.tiebreakers || []).includes("earliest")) return primary;
+  return compareTimes(a.caught_at, b.caught_at);
+}
+
+// Sorts rows and numbers them 1, 2, 2, 4: rows the comparator can't separate share a place
+// (place + tied are added to each row).
+function assignPlaces(rows, compare) {
+  const sorted = [...rows].sort(compare);
+  sorted.forEach((row, i) => {
+    const prev = sorted[i - 1];
+    row.place = prev && compare(prev, row) === 0 ? prev.place : i + 1;
+  });
+  const perPlace = new Map();
+  for (const row of sorted) perPlace.set(row.place, (perPlace.get(row.place) || 0) + 1);
+  for (const row of sorted) row.tied = perPlace.get(row.place) > 1;
+  return sorted;
+}
+
+function placeLabel(row, index) {
+  if (row.place == null) return String(index + 1);
+  return row.tied ? `T-${row.place}` : String(row.place);
+}
+
+// -------------------- VERIFICATION CODES --------------------
+// A code the angler shows in every catch photo (on paper, the phone screen...) so photos taken
+// before the tournament can't be used. Stored per tournament as JSON:
+//   { codes: ["BASS42"] }            fixed code (auto-generated or set by the admin)
+//   { codes: ["BASS", "SHAD", ...] } admin list, one per day in order (repeats when it runs out)
+//   { secret: "<hex>" }              auto code that changes every day, derived from the secret
+// Days are calendar days in TOURNAMENT_TZ.
+
+function randomVerificationCode() {
+  let code = "";
+  for (let i = 0; i < VERIFICATION_CODE_LENGTH; i++) {
+    code += VERIFICATION_ALPHABET[crypto.randomInt(VERIFICATION_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Start Tourney input: blank = none, "auto", "auto daily", "BASS42" or "BASS, SHAD, CRAW" (one per day).
+// Returns { verification } (null when blank) or { error }.
+function parseVerificationInput(text) {
+  const raw = String(text || "").trim();
+  if (!raw) return { verification: null };
+
+  const lower = raw.toLowerCase().replace(/\s+/g, " ");
+  if (lower === "auto") return { verification: { codes: [randomVerificationCode()] } };
+  if (lower === "auto daily") return { verification: { secret: crypto.randomBytes(16).toString("hex") } };
+
+  const codes = raw
+    .split(",")
+    .map((c) => c.trim().toUpperCase())
+    .filter(Boolean);
+  if (!codes.length || codes.some((c) => !/^[A-Z0-9-]+$/.test(c) || c.length > VERIFICATION_MAX_LENGTH)) {
+    return {
+      error: `Photo codes use letters, numbers and dashes (max ${VERIFICATION_MAX_LENGTH} each), or type auto / auto daily.`,
+    };
+  }
+  return { verification: { codes } };
+}
+
+function parseVerification(tournament) {
+  try {
+    return tournament?.verification ? JSON.parse(tournament.verification) : null;
+  } catch {
+    return null;
+  }
+}
+
+function isDailyVerification(verification) {
+  return !!verification?.secret || verification?.codes?.length > 1;
+}
+
+// YYYY-MM-DD of `date` on the TOURNAMENT_TZ calendar
+function tournamentDay(date) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: TOURNAMENT_TZ,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+// The code in effect at `at` (null when the tournament has none).
+function getVerificationCode(tournament, at = new Date()) {
+  const verification = parseVerification(tournament);
+  if (!verification) return null;
+
+  const day = tournamentDay(at);
+  if (verification.secret) {
+    const digest = crypto.createHmac("sha256", verification.secret).update(day).digest();
+    return [...digest.subarray(0, VERIFICATION_CODE_LENGTH)]
+      .map((b) => VERIFICATION_ALPHABET[b % VERIFICATION_ALPHABET.length])
+      .join("");
+  }
+
+  const codes = verification.codes || [];
+  if (codes.length <= 1) return codes[0] || null;
+  const firstDay = tournamentDay(parseSqliteDate(tournament.scheduled_start_at || tournament.started_at));
+  const dayIndex = Math.max(0, Math.round((Date.parse(day) - Date.parse(firstDay)) / (24 * 60 * 60 * 1000)));
+  return codes[dayIndex % codes.length];
+}
+
+// When a weigh-in's photos were posted: its earliest upload.
+function photosPostedAt(uploads) {
+  return new Date(Math.min(...uploads.map((u) => parseSqliteDate(u.created_at).getTime())));
+}
+
+function describeVerification(verification) {
+  if (!verification) return "none";
+  if (verification.secret) return "auto, new code every day";
+  if (verification.codes.length > 1) return `${verification.codes.join(", ")} (one per day)`;
+  return verification.codes[0];
+}
+
+// -------------------- LEADERBOARD QUERIES --------------------
+// division: only anglers assigned to it, placed among themselves (null = everyone).
+async function getBigBassLeaderboard(guildId, tournamentId, division = null) {
+  const tournament = await getTournament(guildId, tournamentId);
+  const rules = getScoringRules(tournament);
+  const column = MEASURES[rules.mode].column;
+  const speciesJson = rules.species ? JSON.stringify(rules.species) : null;
+
+  // Each angler's biggest fish + when it was weighed in (the "earliest" tie-breaker)
+  const rows = await new Promise((resolve, reject) => {
+    db.all(
+      `
+      WITH ranked AS (
+        SELECT
+          user_id,
+          ${column} AS big_bass,
+          created_at AS caught_at,
+          ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY ${column} DESC, datetime(created_at) ASC, id ASC) AS rn
+        FROM weighins
+        WHERE guild_id = ? AND tournament_id = ? AND status = 'approved'
+          AND (? IS NULL OR species IN (SELECT value FROM json_each(?)))
+      )
+      SELECT user_id, big_bass, caught_at FROM ranked WHERE rn = 1
+      `,
+      [guildId, tournamentId, speciesJson, speciesJson],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+
+  const divisions = division ? await getAnglerDivisions(guildId, tournamentId) : null;
+  const counted = divisions ? rows.filter((r) => divisions.get(r.user_id) === division) : rows;
+  return assignPlaces(counted, (a, b) => compareBigRows(a, b, rules));
+}
+
+function getApprovedWeighIns(guildId, tournamentId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT * FROM weighins
+      WHERE guild_id = ? AND tournament_id = ? AND status = 'approved'
+      ORDER BY datetime(created_at) ASC, id ASC
+      `,
+      [guildId, tournamentId],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+// Biggest approved fish of each counted species in one tournament (legacy weigh-ins without a species are skipped).
+async function getSpeciesBigFishLeaders(guildId, tournamentId) {
+  const tournament = await getTournament(guildId, tournamentId);
+  const rules = getScoringRules(tournament);
+  const column = MEASURES[rules.mode].column;
+  const speciesJson = rules.species ? JSON.stringify(rules.species) : null;
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      WITH ranked AS (
+        SELECT
+          species,
+          user_id,
+          ${column} AS big,
+          ROW_NUMBER() OVER (PARTITION BY species ORDER BY ${column} DESC, datetime(created_at) ASC, id ASC) AS rn
+        FROM weighins
+        WHERE guild_id = ? AND tournament_id = ? AND status = 'approved' AND species IS NOT NULL
+          AND (? IS NULL OR species IN (SELECT value FROM json_each(?)))
+      )
+      SELECT species, user_id, big FROM ranked WHERE rn = 1 ORDER BY big DESC
+      `,
+      [guildId, tournamentId, speciesJson, speciesJson],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+// Per-species big-fish award across ended tournaments in a month ('%Y-%m') or year ('%Y').
+// Only anglers with finalized results count, so reset or re-imported standings drop their fish too.
+function getSpeciesBigFishAwards(guildId, periodFormat, period, mode = "weight") {
+  const column = MEASURES[mode].column;
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      WITH ranked AS (
+        SELECT
+          w.species,
+          w.user_id,
+          w.${column} AS big,
+          ROW_NUMBER() OVER (PARTITION BY w.species ORDER BY w.${column} DESC, datetime(w.created_at) ASC, w.id ASC) AS rn
+        FROM weighins w
+        JOIN tournaments t ON t.id = w.tournament_id
+        JOIN tournament_results tr
+          ON tr.guild_id = w.guild_id AND tr.tournament_id = w.tournament_id AND tr.user_id = w.user_id
+        WHERE w.guild_id = ?
+          AND w.status = 'approved'
+          AND w.species IS NOT NULL
+          AND (
+            json_extract(t.scoring_rules, '$.species') IS NULL
+            OR w.species IN (SELECT value FROM json_each(t.scoring_rules, '$.species'))
+          )
+          AND t.ended_at IS NOT NULL
+          AND strftime(?, t.ended_at) = ?
+          AND COALESCE(json_extract(t.scoring_rules, '$.mode'), 'weight') = ?
+      )
+      SELECT species, user_id, big FROM ranked WHERE rn = 1 ORDER BY species ASC
+      `,
+      [guildId, periodFormat, String(period), mode],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+// Bags are built in JS rather than SQL so each tournament's rules (limit, penalties, metric) can apply.
+async function getTotalBagLeaderboard(guildId, tournamentId, division = null) {
+  const tournament = await getTournament(guildId, tournamentId);
+  const fish = await getApprovedWeighIns(guildId, tournamentId);
+  const divisions = division ? await getAnglerDivisions(guildId, tournamentId) : null;
+  const counted = divisions ? fish.filter((f) => divisions.get(f.user_id) === division) : fish;
+  return computeBagStandings(counted, getScoringRules(tournament));
+}
+
+// Team bags: each team's bag limit applies across every member's approved fish.
+// A team fishes in its captain's division.
+async function getTeamBagLeaderboard(guildId, tournamentId, division = null) {
+  const tournament = await getTournament(guildId, tournamentId);
+  const divisions = division ? await getAnglerDivisions(guildId, tournamentId) : null;
+  const teams = (await getTeams(guildId, tournamentId)).filter(
+    (t) => !divisions || divisions.get(t.captain_id) === division
+  );
+  const fish = await new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT w.*, tm.team_id
+      FROM weighins w
+      JOIN team_members tm
+        ON tm.guild_id = w.guild_id
+        AND tm.tournament_id = w.tournament_id
+        AND tm.user_id = w.user_id
+        AND tm.status = 'joined'
+      WHERE w.guild_id = ? AND w.tournament_id = ? AND w.status = 'approved'
+      ORDER BY datetime(w.created_at) ASC, w.id ASC
+      `,
+      [guildId, tournamentId],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+
+  const counted = divisions ? fish.filter((f) => teams.some((t) => t.id === f.team_id)) : fish;
+  return computeBagStandings(counted, getScoringRules(tournament), "team_id").map((r) => {
+    const team = teams.find((t) => t.id === r.team_id);
+    return { ...r, team_name: team?.name || `Team #${r.team_id}`, members: team?.members || [] };
+  });
+}
+
+// The bag board for a tournament: team rows for team events, angler rows otherwise.
+async function getBagBoard(guildId, tournament, division = null) {
+  if (!tournament) return [];
+  return getScoringRules(tournament).teams
+    ? getTeamBagLeaderboard(guildId, tournament.id, division)
+    : getTotalBagLeaderboard(guildId, tournament.id, division);
+}
+
+// Both boards for each of the tournament's divisions: [{ division, big, bag }]
+async function getDivisionBoards(guildId, tournament) {
+  const boards = [];
+  for (const division of getScoringRules(tournament).divisions || []) {
+    boards.push({
+      division,
+      big: await getBigBassLeaderboard(guildId, tournament.id, division),
+      bag: await getBagBoard(guildId, tournament, division),
+    });
+  }
+  return boards;
+}
+
+async function snapshotTournamentResults(guildId, tournamentId) {
+  const big = await getBigBassLeaderboard(guildId, tournamentId);
+  const bag = await getTotalBagLeaderboard(guildId, tournamentId);
+  const users = new Set([...big.map((r) => r.user_id), ...bag.map((r) => r.user_id)]);
+  const divisions = await getAnglerDivisions(guildId, tournamentId);
+
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      // Re-snapshots after corrections must drop anglers who no longer have any counted fish
+      db.run(
+        `DELETE FROM tournament_results
+         WHERE guild_id = ? AND tournament_id = ? AND user_id NOT IN (SELECT value FROM json_each(?))`,
+        [guildId, tournamentId, JSON.stringify([...users])]
+      );
+
+      const stmt = db.prepare(`
+        INSERT INTO tournament_results
+          (guild_id, tournament_id, user_id, big_bass, total_bag, fish_count, bag_completed_at, division)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(tournament_id, user_id) DO UPDATE SET
+          big_bass=excluded.big_bass,
+          total_bag=excluded.total_bag,
+          fish_count=excluded.fish_count,
+          bag_completed_at=excluded.bag_completed_at,
+          division=excluded.division
+      `);
+
+      for (const userId of users) {
+        const bigRow = big.find((r) => r.user_id === userId);
+        const bagRow = bag.find((r) => r.user_id === userId);
+
+        stmt.run([
+          guildId,
+          tournamentId,
+          userId,
+          bigRow?.big_bass ?? 0,
+          bagRow?.total_bag ?? 0,
+          bagRow?.fish_count ?? 0,
+          bagRow?.completed_at || null,
+          divisions.get(userId) || null,
+        ]);
+      }
+
+      stmt.finalize((err) => (err ? reject(err) : resolve()));
+    });
+  });
+}
+
+// Imported tournaments have no weigh-ins, so their boards are rebuilt from the stored results.
+function getStoredResultBoards(guildId, tournament) {
+  const rules = getScoringRules(tournament);
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT user_id, big_bass, total_bag, fish_count, bag_completed_at
+       FROM tournament_results WHERE guild_id = ? AND tournament_id = ?`,
+      [guildId, tournament.id],
+      (err, rows) => {
+        if (err) return reject(err);
+        resolve({
+          big: assignPlaces(
+            rows.filter((r) => r.big_bass > 0).map((r) => ({ ...r })),
+            (a, b) => compareBigRows(a, b, rules)
+          ),
+          bag: rankTournamentResults(rows.map((r) => ({ ...r })), rules),
+        });
+      }
+    );
+  });
+}
+
+// Tie-breakers for a period's winners: those of the period's latest tournament (of that mode).
+function getPeriodTieRules(guildId, periodFormat, period, mode) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `
+      SELECT * FROM tournaments
+      WHERE guild_id = ?
+        AND ended_at IS NOT NULL
+        AND strftime(?, ended_at) = ?
+        AND COALESCE(json_extract(scoring_rules, '$.mode'), 'weight') = ?
+      ORDER BY datetime(ended_at) DESC, id DESC
+      LIMIT 1
+      `,
+      [guildId, periodFormat, String(period), mode],
+      (err, row) =>
+        err ? reject(err) : resolve({ ...DEFAULT_SCORING_RULES, tiebreakers: getScoringRules(row).tiebreakers })
+    );
+  });
+}
+
+// Month ('%Y-%m') or year ('%Y') winners from finalized results. Weight and length (CPR) events are
+// never mixed: pass mode to pick which events to total. Bag title: period total; big fish title: best
+// fish. Ties go through the latest tournament's tie-breakers, taken over the whole period (bigfish:
+// best fish, earliest: first bag completed, fewer: fewest fish in total; the big fish title has no
+// catch times to compare). Anglers still level share the title (…_winner_ids).
+// division (optional) limits results to anglers who fished that division, matched case-insensitively
+// so "Kayak" in one event and "kayak" in the next count together.
+async function getPeriodWinners(guildId, periodFormat, period, mode = "weight", division = null) {
+  const rules = await getPeriodTieRules(guildId, periodFormat, period, mode);
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT
+        tr.user_id,
+        SUM(tr.total_bag) AS bag_sum,
+        MAX(tr.big_bass) AS best_big,
+        SUM(tr.fish_count) AS fish_count,
+        MIN(tr.bag_completed_at) AS bag_completed_at
+      FROM tournament_results tr
+      JOIN tournaments t ON t.id = tr.tournament_id
+      WHERE tr.guild_id = ?
+        AND t.ended_at IS NOT NULL
+        AND strftime(?, t.ended_at) = ?
+        AND COALESCE(json_extract(t.scoring_rules, '$.mode'), 'weight') = ?
+        AND (? IS NULL OR LOWER(tr.division) = LOWER(?))
+      GROUP BY tr.user_id
+      `,
+      [guildId, periodFormat, String(period), mode, division, division],
+      (err, rows) => {
+        if (err) return reject(err);
+        if (!rows.length) return resolve(null);
+
+        // Shaped like tournament_results rows so the tournament comparators apply
+        const totals = rows.map((r) => ({ ...r, total_bag: r.bag_sum, big_bass: r.best_big }));
+        const leaders = (compare) => assignPlaces(totals.map((r) => ({ ...r })), compare).filter((r) => r.place === 1);
+        const bag = leaders((a, b) => compareBagRows(a, b, rules));
+        const big = leaders((a, b) => compareBigRows(a, b, rules));
+
+        resolve({
+          bag_winner_id: bag[0].user_id,
+          bag_winner_ids: bag.map((r) => r.user_id),
+          bag_winner_bag: bag[0].bag_sum,
+          big_winner_id: big[0].user_id,
+          big_winner_ids: big.map((r) => r.user_id),
+          big_winner_big: big[0].best_big,
+        });
+      }
+    );
+  });
+}
+
+// Divisions fished in a period, one spelling per case-insensitive name.
+function getPeriodDivisions(guildId, periodFormat, period, mode = "weight") {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT MIN(tr.division) AS division
+      FROM tournament_results tr
+      JOIN tournaments t ON t.id = tr.tournament_id
+      WHERE tr.guild_id = ?
+        AND t.ended_at IS NOT NULL
+        AND strftime(?, t.ended_at) = ?
+        AND COALESCE(json_extract(t.scoring_rules, '$.mode'), 'weight') = ?
+        AND tr.division IS NOT NULL
+      GROUP BY LOWER(tr.division)
+      ORDER BY LOWER(tr.division)
+      `,
+      [guildId, periodFormat, String(period), mode],
+      (err, rows) => (err ? reject(err) : resolve(rows.map((r) => r.division)))
+    );
+  });
+}
+
+// [{ division, mode, winners }] for every division fished in the period, weight events first.
+async function getPeriodDivisionWinners(guildId, periodFormat, period) {
+  const results = [];
+  for (const mode of ["weight", "length"]) {
+    for (const division of await getPeriodDivisions(guildId, periodFormat, period, mode)) {
+      const winners = await getPeriodWinners(guildId, periodFormat, period, mode, division);
+      if (winners) results.push({ division, mode, winners });
+    }
+  }
+  return results;
+}
+
+// -------------------- ANGLER OF THE YEAR --------------------
+function getAoySettings(cfg) {
+  const points = (cfg?.aoy_points || "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map(Number)
+    .filter((p) => Number.isFinite(p) && p >= 0);
+  return {
+    points: points.length ? points : DEFAULT_AOY_SETTINGS.points,
+    participation: cfg?.aoy_participation ?? DEFAULT_AOY_SETTINGS.participation,
+    dropWorst: cfg?.aoy_drop_worst ?? DEFAULT_AOY_SETTINGS.dropWorst,
+  };
+}
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : { 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+// Finishing order for one tournament's results, using that tournament's own metric and
+// tie-breakers. Rows get place + tied (shared places).
+function rankTournamentResults(rows, rules) {
+  return assignPlaces(rows, (a, b) => compareBagRows(a, b, rules));
+}
+
+// Season points from finalized tournament_results. Weight and length events both count: points
+// come from finishing places, so the units never mix.
+function getAoyStandings(guildId, yyyy, settings) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT tr.tournament_id, tr.user_id, tr.total_bag, tr.big_bass, tr.fish_count, t.scoring_rules
+      FROM tournament_results tr
+      JOIN tournaments t ON t.id = tr.tournament_id
+      WHERE tr.guild_id = ?
+        AND t.ended_at IS NOT NULL
+        AND strftime('%Y', t.ended_at) = ?
+      ORDER BY datetime(t.ended_at) ASC, t.id ASC
+      `,
+      [guildId, String(yyyy)],
+      (err, rows) => (err ? reject(err) : resolve(computeAoyStandings(rows, settings)))
+    );
+  });
+}
+
+// Season standings from result rows (tournament_id, user_id, total_bag, big_bass, fish_count,
+// scoring_rules), one tournament's rows after another.
+function computeAoyStandings(rows, settings) {
+  const byTournament = new Map();
+  for (const row of rows) {
+    if (!byTournament.has(row.tournament_id)) byTournament.set(row.tournament_id, []);
+    byTournament.get(row.tournament_id).push(row);
+  }
+
+  const anglers = new Map();
+  for (const results of byTournament.values()) {
+    // Tied anglers share a place and both get its points
+    for (const r of rankTournamentResults(results, getScoringRules(results[0]))) {
+      if (!anglers.has(r.user_id)) anglers.set(r.user_id, { user_id: r.user_id, scores: [], best_place: r.place });
+      const angler = anglers.get(r.user_id);
+      angler.scores.push((settings.points[r.place - 1] || 0) + settings.participation);
+      angler.best_place = Math.min(angler.best_place, r.place);
+    }
+  }
+
+  const eventCount = byTournament.size;
+  const standings = [...anglers.values()].map((a) => {
+    // Missed events score 0, so they're the first to be dropped
+    const all = [...a.scores, ...Array(eventCount - a.scores.length).fill(0)].sort((x, y) => x - y);
+    const counted = all.slice(Math.min(settings.dropWorst, all.length - 1));
+    return {
+      user_id: a.user_id,
+      points: counted.reduce((sum, p) => sum + p, 0),
+      events: a.scores.length,
+      best_place: a.best_place,
+    };
+  });
+
+  const ranked = assignPlaces(
+    standings,
+    (a, b) => compareMeasure(b.points, a.points) || a.best_place - b.best_place || b.events - a.events
+  );
+  return { standings: ranked, eventCount };
+}
+
+// -------------------- ANGLER PROFILE --------------------
+// Career stats for one angler: personal bests + totals from approved weigh-ins, finishes from
+// finalized tournament_results (imported seasons included), season rank from the AOY race.
+async function getAnglerProfile(guildId, userId, cfg) {
+  const get = (sql, params) =>
+    new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row || null)));
+    });
+
+  const bestOf = (column) =>
+    get(
+      `
+      SELECT w.*, t.name AS tournament_name
+      FROM weighins w
+      JOIN tournaments t ON t.id = w.tournament_id
+      WHERE w.guild_id = ? AND w.user_id = ? AND w.status = 'approved' AND w.${column} > 0
+      ORDER BY w.${column} DESC, datetime(w.created_at) ASC
+      LIMIT 1
+      `,
+      [guildId, userId]
+    );
+
+  const totals = await get(
+    `
+    SELECT COUNT(*) AS fish, SUM(weight_lbs) AS lbs
+    FROM weighins
+    WHERE guild_id = ? AND user_id = ? AND status = 'approved'
+    `,
+    [guildId, userId]
+  );
+
+  const results = await new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT tr.*, t.scoring_rules
+      FROM tournament_results tr
+      JOIN tournaments t ON t.id = tr.tournament_id
+      WHERE tr.guild_id = ?
+        AND t.ended_at IS NOT NULL
+        AND tr.tournament_id IN (SELECT tournament_id FROM tournament_results WHERE guild_id = ? AND user_id = ?)
+      `,
+      [guildId, guildId, userId],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+
+  const byTournament = new Map();
+  for (const r of results) {
+    if (!byTournament.has(r.tournament_id)) byTournament.set(r.tournament_id, []);
+    byTournament.get(r.tournament_id).push(r);
+  }
+
+  let wins = 0;
+  let top3 = 0;
+  const bags = { weight: [], length: [] };
+  for (const rows of byTournament.values()) {
+    const rules = getScoringRules(rows[0]);
+    const place = rankTournamentResults(rows, rules).find((r) => r.user_id === userId)?.place;
+    if (place === 1) wins++;
+    if (place >= 1 && place <= 3) top3++;
+    bags[rules.mode].push(rows.find((r) => r.user_id === userId).total_bag);
+  }
+  const average = (list) => (list.length ? list.reduce((sum, n) => sum + n, 0) / list.length : null);
+
+  const yyyy = new Date().getFullYear();
+  const aoy = await getAoyStandings(guildId, yyyy, getAoySettings(cfg));
+  const seasonRow = aoy.standings.find((r) => r.user_id === userId);
+
+  return {
+    bestWeight: await bestOf("weight_lbs"),
+    bestLength: await bestOf("length_in"),
+    fish: totals?.fish || 0,
+    totalLbs: totals?.lbs || 0,
+    tournaments: byTournament.size,
+    wins,
+    top3,
+    avgBag: average(bags.weight),
+    avgLength: average(bags.length),
+    season: {
+      year: yyyy,
+      rank: seasonRow?.place ?? null,
+      tied: !!seasonRow?.tied,
+      of: aoy.standings.length,
+      points: seasonRow?.points || 0,
+    },
+  };
+}
+
+// -------------------- EMBEDS --------------------
+// Status, closing time and photo code for one running tournament
+function activePanelLines(tournament) {
+  const lines = [`🟢 **ACTIVE:** ${tournament.name}`];
+  if (tournament.scheduled_end_at) lines.push(`⏱️ Weigh-ins close ${discordTime(tournament.scheduled_end_at)}`);
+  const code = getVerificationCode(tournament);
+  if (code) {
+    lines.push(
+      `🔑 **Photo code:** \`${code}\`` +
+        (isDailyVerification(parseVerification(tournament)) ? ` (today — changes daily, ${TOURNAMENT_TZ})` : "")
+    );
+  }
+  return lines;
+}
+
+// actives: every running tournament (getActiveTournaments)
+function panelEmbed(actives, cfg, scheduled = []) {
+  const status = actives.length ? actives.flatMap(activePanelLines) : ["🔴 **No active tournament**"];
+  const upcoming = scheduled.map(
+    (t) =>
+      `• **${t.name}** — ${discordTime(t.scheduled_start_at)}` +
+      (t.scheduled_end_at ? ` → ${discordTime(t.scheduled_end_at)}` : "")
+  );
+  const code = actives.some((t) => getVerificationCode(t));
+  const activeRules = actives.length ? actives.map(getScoringRules) : [DEFAULT_SCORING_RULES];
+  const measures = [...new Set(activeRules.map((r) => MEASURES[r.mode].label.toLowerCase()))].join(" or ");
+
+  const panelCh = cfg?.panel_channel_id ? `<#${cfg.panel_channel_id}>` : "Not set";
+  const bigCh = cfg?.bigbass_channel_id ? `<#${cfg.bigbass_channel_id}>` : "Not set";
+  const topCh = cfg?.top5_channel_id ? `<#${cfg.top5_channel_id}>` : "Not set";
+  const resCh = cfg?.results_channel_id ? `<#${cfg.results_channel_id}>` : "Not set";
+  const judgeCh = cfg?.judges_channel_id ? `<#${cfg.judges_channel_id}>` : "Not set";
+  const archiveCh = cfg?.archive_channel_id ? `<#${cfg.archive_channel_id}>` : PHOTO_ARCHIVE_DIR ? "local folder" : "Not set";
+  const feedCh = cfg?.feed_channel_id
+    ? `<#${cfg.feed_channel_id}>${cfg.feed_callouts === 0 ? "" : " (+ lead call-outs)"}`
+    : "Not set";
+  const review = cfg?.review_required ? "🟡 ON (judges approve each weigh-in)" : "⚪ OFF (instant)";
+
+  return new EmbedBuilder()
+    .setTitle("🎣 Bass Tournament Panel")
+    .setDescription(
+      [
+        ...status,
+        ...(upcoming.length ? ["", "🗓️ **Scheduled**", ...upcoming] : []),
+        "",
+        "✅ **Weigh-in steps**",
+        code
+          ? "1) Upload your photo in the PANEL channel — the photo code must be visible in it"
+          : "1) Upload your photo in the PANEL channel",
+        actives.length > 1
+          ? "2) Click **Submit Weigh-in** and pick the tournament (or all you're entered in)"
+          : "2) Click **Submit Weigh-in**",
+        `3) Enter ${measures} + notes`,
+        "Typo? Use **My Weigh-ins** to fix or withdraw it before the tournament ends.",
+        ...(activeRules.some((r) => r.teams)
+          ? ["🚤 Team event: set up your boat under **Teams**, then either partner can submit."]
+          : []),
+        ...(actives.some((t) => getRegistrationSettings(t).mode !== "off")
+          ? ["📝 Registration required: click **Register** before your first weigh-in."]
+          : []),
+        "",
+        "📌 **Channels**",
+        `• Panel: ${panelCh}`,
+        `• Big Bass: ${bigCh}`,
+        `• Top 5: ${topCh}`,
+        `• Results: ${resCh}`,
+        `• Judges: ${judgeCh}`,
+        `• Photo archive: ${archiveCh}`,
+        `• Weigh-in feed: ${feedCh}`,
+        "",
+        `⚖️ **Judge review:** ${review}`,
+      ].join("\n")
+    )
+    .setTimestamp(new Date());
+}
+
+function panelComponents(isAdmin) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId("submit_weighin").setLabel("Submit Weigh-in").setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId("start_tournament")
+        .setLabel("Start Tourney")
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(!isAdmin),
+      new ButtonBuilder()
+        .setCustomId("end_tournament")
+        .setLabel("End Tourney")
+        .setStyle(ButtonStyle.Danger)
+        .setDisabled(!isAdmin),
+      new ButtonBuilder()
+        .setCustomId("set_channels")
+        .setLabel("Set Channels")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!isAdmin),
+      new ButtonBuilder().setCustomId("my_weighins").setLabel("My Weigh-ins").setStyle(ButtonStyle.Secondary)
+    ),
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId("reset_month")
+        .setLabel("Reset Monthly")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!isAdmin),
+      new ButtonBuilder()
+        .setCustomId("reset_year")
+        .setLabel("Reset Yearly")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!isAdmin),
+      new ButtonBuilder()
+        .setCustomId("review_settings")
+        .setLabel("Review Settings")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!isAdmin),
+      new ButtonBuilder()
+        .setCustomId("weighin_tools")
+        .setLabel("Weigh-in Tools")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!isAdmin),
+      new ButtonBuilder()
+        .setCustomId("species_settings")
+        .setLabel("Species Settings")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!isAdmin)
+    ),
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId("teams").setLabel("Teams").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId("aoy_settings")
+        .setLabel("AOY Settings")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!isAdmin),
+      new ButtonBuilder().setCustomId("profile").setLabel("Profile").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId("history").setLabel("History").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId("export_data")
+        .setLabel("Export Data")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!isAdmin)
+    ),
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId("register").setLabel("Register").setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId("feed_settings")
+        .setLabel("Feed Settings")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!isAdmin),
+      new ButtonBuilder()
+        .setCustomId("reset_history")
+        .setLabel("Reset History")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!isAdmin),
+      new ButtonBuilder()
+        .setCustomId("cancel_scheduled")
+        .setLabel("Cancel Scheduled")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(!isAdmin)
+    ),
+  ];
+}
+
+function bigBoardTitle(rules) {
+  return rules.mode === "length" ? "Longest Bass" : "Big Bass";
+}
+
+function bigBassLine(r, i, rules) {
+  return `**${placeLabel(r, i)}.** <@${r.user_id}> — **${formatMeasure(r.big_bass, rules.mode)}**`;
+}
+
+function speciesLeaderLines(leaders, mode) {
+  return leaders.map((l) => `🐟 **${speciesLabel(l.species)}:** <@${l.user_id}> — **${formatMeasure(l.big, mode)}**`);
+}
+
+// Board embeds only list the top LEADERBOARD_TOP rows; the footer says how many more there are.
+function boardLines(rows, lineFn, empty) {
+  if (!rows?.length) return empty;
+  return rows
+    .slice(0, LEADERBOARD_TOP)
+    .map(lineFn)
+    .join("\n");
+}
+
+function boardCountNote(rows) {
+  return rows?.length > LEADERBOARD_TOP ? `Top ${LEADERBOARD_TOP} of ${rows.length}` : null;
+}
+
+// speciesLeaders is only passed when the guild has per-species leaders turned on
+function bigBassCurrentEmbed(tournamentName, rows, rules = DEFAULT_SCORING_RULES, speciesLeaders = []) {
+  const embed = new EmbedBuilder()
+    .setTitle(`🏆 ${bigBoardTitle(rules)} — ${tournamentName || "No Active Tournament"}`)
+    .setDescription(boardLines(rows, (r, i) => bigBassLine(r, i, rules), "No weigh-ins yet."))
+    .setTimestamp(new Date());
+
+  const countNote = boardCountNote(rows);
+  if (countNote) embed.setFooter({ text: countNote });
+  if (speciesLeaders.length) {
+    embed.addFields({ name: "By Species", value: speciesLeaderLines(speciesLeaders, rules.mode).join("\n") });
+  }
+  return embed;
+}
+
+function teamLabel(team) {
+  const members = team.members.length ? team.members.map((id) => `<@${id}>`).join(" & ") : "no members";
+  return `🚤 **${team.team_name || team.name}** (${members})`;
+}
+
+// Works for angler rows and team rows (getTeamBagLeaderboard) alike.
+function bagStandingLine(r, i, rules) {
+  const who = r.team_id ? teamLabel(r) : `<@${r.user_id}>`;
+  const penaltyNote = r.dead_count ? `, ${r.dead_count} dead −${formatMeasure(r.penalty, rules.mode)}` : "";
+  if (rules.metric === "count") {
+    return `**${placeLabel(r, i)}.** ${who} — **${r.fish_count} fish** *(${formatMeasure(r.total_bag, rules.mode)}${penaltyNote})*`;
+  }
+  return `**${placeLabel(r, i)}.** ${who} — **${formatMeasure(r.total_bag, rules.mode)}** *(top ${r.fish_count} fish${penaltyNote})*`;
+}
+
+function bagBoardTitle(rules) {
+  const prefix = rules.teams ? "Team " : "";
+  if (rules.metric === "count") return `${prefix}Fish Count (Best ${rules.bagLimit})`;
+  return rules.mode === "length"
+    ? `${prefix}Total Length (Top ${rules.bagLimit})`
+    : `${prefix}Total Bag (Top ${rules.bagLimit})`;
+}
+
+function top5Embed(tournamentName, rows, rules = DEFAULT_SCORING_RULES) {
+  return new EmbedBuilder()
+    .setTitle(`🎣 ${bagBoardTitle(rules)} — ${tournamentName || "No Active Tournament"}`)
+    .setDescription(boardLines(rows, (r, i) => bagStandingLine(r, i, rules), "No weigh-ins yet."))
+    .setFooter({ text: [describeScoringRules(rules), boardCountNote(rows)].filter(Boolean).join(" • ") })
+    .setTimestamp(new Date());
+}
+
+// Division boards are kept short so several fit on one message next to the overall board.
+function divisionBoardLines(rows, lineFn, empty) {
+  if (!rows?.length) return empty;
+  const lines = rows.slice(0, DIVISION_BOARD_TOP).map(lineFn);
+  if (rows.length > DIVISION_BOARD_TOP) lines.push(`*…and ${rows.length - DIVISION_BOARD_TOP} more*`);
+  return lines.join("\n");
+}
+
+// board is "big" or "bag"; divisionBoards comes from getDivisionBoards.
+function divisionBoardEmbeds(board, divisionBoards, rules, tournamentName) {
+  return divisionBoards.map(({ division, big, bag }) => {
+    const title = board === "big" ? `🏆 ${bigBoardTitle(rules)}` : `🎣 ${bagBoardTitle(rules)}`;
+    const description =
+      board === "big"
+        ? divisionBoardLines(big, (r, i) => bigBassLine(r, i, rules), "No weigh-ins yet.")
+        : divisionBoardLines(bag, (r, i) => bagStandingLine(r, i, rules), "No weigh-ins yet.");
+    return new EmbedBuilder()
+      .setTitle(`${title} — 🏷️ ${division}`)
+      .setDescription(description)
+      .setFooter({ text: tournamentName });
+  });
+}
+
+// -------------------- FULL STANDINGS (PAGED) --------------------
+// board is "big" or "bag". Buttons without a tournament id (boards posted before tournaments could
+// overlap) follow the latest active tournament when clicked.
+function standingsButton(board, tournamentId = null, label = "View Full Standings") {
+  return new ButtonBuilder()
+    .setCustomId(`standings_view:${board}${tournamentId ? `:${tournamentId}` : ""}`)
+    .setLabel(label.slice(0, 80))
+    .setStyle(ButtonStyle.Secondary);
+}
+
+function standingsRow(board, tournamentId = null) {
+  return new ActionRowBuilder().addComponents(standingsButton(board, tournamentId));
+}
+
+async function getStandingsRows(guildId, tournament, board, division = null) {
+  return board === "big"
+    ? getBigBassLeaderboard(guildId, tournament.id, division)
+    : getBagBoard(guildId, tournament, division);
+}
+
+// Division customId segment: "all" for the overall board, otherwise the index into rules.divisions.
+function standingsDivision(rules, raw) {
+  if (raw == null || raw === "" || raw === "all") return null;
+  return rules.divisions?.[Number(raw)] || null;
+}
+
+// Where the plain View Full Standings button opens: the overall board unless it's turned off,
+// then the viewer's own division (or the first one).
+async function defaultStandingsDivision(guildId, tournament, userId) {
+  const rules = getScoringRules(tournament);
+  if (!rules.divisions || rules.overall) return null;
+  return (await getAnglerDivision(guildId, tournament.id, userId)) || rules.divisions[0];
+}
+
+// Angler rows match on user_id; team rows match any member.
+function isOwnStandingsRow(row, userId) {
+  return row.user_id === userId || !!row.members?.includes(userId);
+}
+
+// page is 0-based and clamped, so stale Prev/Next buttons still land on a real page.
+function standingsPagePayload(tournament, board, rows, page, userId, division = null) {
+  const rules = getScoringRules(tournament);
+  const pageCount = Math.max(1, Math.ceil(rows.length / STANDINGS_PAGE_SIZE));
+  const current = Math.min(Math.max(0, page), pageCount - 1);
+  const start = current * STANDINGS_PAGE_SIZE;
+
+  const lines = rows.slice(start, start + STANDINGS_PAGE_SIZE).map((r, k) => {
+    const line = board === "big" ? bigBassLine(r, start + k, rules) : bagStandingLine(r, start + k, rules);
+    return isOwnStandingsRow(r, userId) ? `${line} ⬅️` : line;
+  });
+  const boardTitle = board === "big" ? `🏆 ${bigBoardTitle(rules)}` : `🎣 ${bagBoardTitle(rules)}`;
+  const title = division ? `${boardTitle} — 🏷️ ${division}` : boardTitle;
+  const entrants = rules.teams && board === "bag" ? "team" : "angler";
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${title} — ${tournament.name}`)
+    .setDescription(lines.length ? lines.join("\n") : "No weigh-ins yet.")
+    .setFooter({
+      text: `Page ${current + 1} of ${pageCount} • ${rows.length} ${entrants}${rows.length === 1 ? "" : "s"}`,
+    })
+    .setTimestamp(new Date());
+
+  const divisionIndex = division ? rules.divisions.indexOf(division) : -1;
+  const base = `${board}:${tournament.id}`;
+  const divisionKey = divisionIndex >= 0 ? String(divisionIndex) : "all";
+  const components = [];
+  if (rules.divisions) {
+    const options = rules.divisions.map((d, i) => ({ label: d, value: String(i), default: i === divisionIndex }));
+    if (rules.overall) options.unshift({ label: "Overall", value: "all", default: divisionIndex < 0 });
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`standings_div:${base}`)
+          .setPlaceholder("Division")
+          .addOptions(options)
+      )
+    );
+  }
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [
+      ...components,
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`standings_page:${base}:${current - 1}:${divisionKey}`)
+          .setLabel("◀ Prev")
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(current === 0),
+        new ButtonBuilder()
+          .setCustomId(`standings_page:${base}:${current + 1}:${divisionKey}`)
+          .setLabel("Next ▶")
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(current >= pageCount - 1),
+        new ButtonBuilder()
+          .setCustomId(`standings_me:${base}:${divisionKey}`)
+          .setLabel("My Position")
+          .setStyle(ButtonStyle.Primary)
+      ),
+    ],
+  };
+}
+
+// Shared titles list every angler: "<@a> & <@b> (tie)"
+function winnerMentions(ids, fallbackId) {
+  const list = ids?.length ? ids : [fallbackId];
+  return list.map((id) => `<@${id}>`).join(" & ") + (list.length > 1 ? " (tie)" : "");
+}
+
+function winnersLines(winners, mode) {
+  const bagLine =
+    winners?.bag_winner_id
+      ? `🏅 **Bag Winner:** ${winnerMentions(winners.bag_winner_ids, winners.bag_winner_id)} — ` +
+        `**${formatMeasure(winners.bag_winner_bag, mode)}**`
+      : "🏅 **Bag Winner:** —";
+  const bigLabel = mode === "length" ? "Longest Bass Winner" : "Big Bass Winner";
+  const bigLine =
+    winners?.big_winner_id
+      ? `🐷 **${bigLabel}:** ${winnerMentions(winners.big_winner_ids, winners.big_winner_id)} — ` +
+        `**${formatMeasure(winners.big_winner_big, mode)}**`
+      : `🐷 **${bigLabel}:** —`;
+  return [bagLine, bigLine];
+}
+
+// Length (CPR) winners get their own section, and only once a length event has results.
+// speciesAwards: { weight: [...], length: [...] } from getSpeciesBigFishAwards.
+// divisionWinners (from getPeriodDivisionWinners) adds a section per division.
+function winnersDescription(winners, lengthWinners, speciesAwards, divisionWinners = []) {
+  const lines = winnersLines(winners, "weight");
+  if (speciesAwards?.weight?.length) lines.push(...speciesLeaderLines(speciesAwards.weight, "weight"));
+  if (lengthWinners?.bag_winner_id) {
+    lines.push("", "📏 **CPR (length) events**", ...winnersLines(lengthWinners, "length"));
+    if (speciesAwards?.length?.length) lines.push(...speciesLeaderLines(speciesAwards.length, "length"));
+  }
+  for (const d of divisionWinners) {
+    const heading = `🏷️ **${d.division}**${d.mode === "length" ? " (CPR)" : ""}`;
+    lines.push("", heading, ...winnersLines(d.winners, d.mode));
+  }
+  return [...lines, "", "_Updates when tournaments end._"].join("\n").slice(0, 4096);
+}
+
+function monthlyWinnersEmbed(yyyyMm, winners, lengthWinners = null, speciesAwards = null, divisionWinners = []) {
+  return new EmbedBuilder()
+    .setTitle(`📆 Monthly Winners — ${yyyyMm}`)
+    .setDescription(winnersDescription(winners, lengthWinners, speciesAwards, divisionWinners))
+    .setTimestamp(new Date());
+}
+
+function yearlyWinnersEmbed(yyyy, winners, lengthWinners = null, speciesAwards = null, divisionWinners = []) {
+  return new EmbedBuilder()
+    .setTitle(`📅 Yearly Winners — ${yyyy}`)
+    .setDescription(winnersDescription(winners, lengthWinners, speciesAwards, divisionWinners))
+    .setTimestamp(new Date());
+}
+
+function describeAoySettings(settings) {
+  const places = settings.points
+    .slice(0, 3)
+    .map((p, i) => `${ordinal(i + 1)} ${p}`)
+    .join(", ");
+  const parts = [`Points: ${places}${settings.points.length > 3 ? "…" : ""}`];
+  if (settings.participation) parts.push(`+${settings.participation} per event fished`);
+  if (settings.dropWorst) parts.push(`worst ${settings.dropWorst} dropped`);
+  return parts.join(" • ");
+}
+
+function aoyStandingsEmbed(yyyy, aoy, settings = DEFAULT_AOY_SETTINGS) {
+  const lines = (aoy?.standings || [])
+    .slice(0, 25)
+    .map(
+      (r, i) =>
+        `**${placeLabel(r, i)}.** <@${r.user_id}> — **${Number(r.points.toFixed(2))} pts** ` +
+        `*(${r.events} event${r.events === 1 ? "" : "s"}, best ${ordinal(r.best_place)})*`
+    );
+
+  return new EmbedBuilder()
+    .setTitle(`⭐ Angler of the Year — ${yyyy}`)
+    .setDescription(
+      [lines.length ? lines.join("\n") : "No finished tournaments yet.", "", "_Updates when tournaments end._"].join("\n")
+    )
+    .setFooter({
+      text: `${describeAoySettings(settings)} • ${aoy?.eventCount || 0} event${aoy?.eventCount === 1 ? "" : "s"} so far`,
+    })
+    .setTimestamp(new Date());
+}
+
+function profileEmbed(user, profile, pbPhotoUrl = profile.bestWeight?.photo_url) {
+  const pb = profile.bestWeight;
+  const longest = profile.bestLength;
+  const season = profile.season;
+
+  const fields = [
+    {
+      name: "🐷 Personal Best",
+      value: pb
+        ? `**${formatMeasure(pb.weight_lbs)}**${pb.species ? ` ${pb.species}` : ""}\n${pb.tournament_name}`
+        : "—",
+      inline: true,
+    },
+    ...(longest
+      ? [{ name: "📏 Longest", value: `**${formatMeasure(longest.length_in, "length")}**\n${longest.tournament_name}`, inline: true }]
+      : []),
+    {
+      name: "⭐ Season Rank",
+      value: season.rank
+        ? `**${season.tied ? "T-" : ""}${ordinal(season.rank)}** of ${season.of} (${Number(season.points.toFixed(2))} pts)`
+        : "Unranked",
+      inline: true,
+    },
+    { name: "Tournaments", value: String(profile.tournaments), inline: true },
+    { name: "Wins", value: String(profile.wins), inline: true },
+    { name: "Top 3", value: String(profile.top3), inline: true },
+    { name: "Average Bag", value: profile.avgBag != null ? formatMeasure(profile.avgBag) : "—", inline: true },
+    ...(profile.avgLength != null
+      ? [{ name: "Average Length (CPR)", value: formatMeasure(profile.avgLength, "length"), inline: true }]
+      : []),
+    {
+      name: "Fish Weighed",
+      value: `${profile.fish}${profile.totalLbs ? ` • ${formatMeasure(profile.totalLbs)}` : ""}`,
+      inline: true,
+    },
+  ];
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🎣 ${user.displayName || user.username}`)
+    .setThumbnail(user.displayAvatarURL?.() || null)
+    .addFields(fields)
+    .setFooter({ text: `Season ${season.year} • finishes from finalized results` })
+    .setTimestamp(new Date());
+  if (pbPhotoUrl) embed.setImage(pbPhotoUrl);
+  return embed;
+}
+
+// Profile reply with the personal-best photo served from the archive.
+async function profilePayload(guild, user, profile) {
+  const [photo] = profile.bestWeight ? await loadWeighinPhotos(guild, profile.bestWeight) : [];
+  return {
+    embeds: [profileEmbed(user, profile, photo?.url)],
+    files: photo?.file ? [photo.file] : [],
+    flags: EPHEMERAL_FLAG,
+  };
+}
+
+const WEIGHIN_STATUS_LABELS = {
+  pending: "⏳ Pending review",
+  approved: "✅ Approved",
+  rejected: "❌ Rejected",
+  void: "🚫 Void",
+  withdrawn: "↩️ Withdrawn",
+};
+
+function photoMatchDescription(match) {
+  const how = match.distance === 0 ? "Same photo as" : "Looks like";
+  const original =
+    match.type === "weighin"
+      ? `weigh-in **#${match.weighin_id}** by <@${match.user_id}> (${match.tournament_name})`
+      : `a photo <@${match.user_id}> posted ${discordTime(match.created_at, "R")}`;
+  return `${how} ${original}`;
+}
+
+// Shows the earlier photo next to a flagged weigh-in (judges/admins only).
+function photoMatchEmbed(match, imageUrl = match.image_url) {
+  return new EmbedBuilder()
+    .setTitle("🔁 Matching Original")
+    .setDescription(photoMatchDescription(match))
+    .setImage(imageUrl)
+    .setTimestamp(parseSqliteDate(match.created_at));
+}
+
+function weighinPhotoUrls(weighin) {
+  try {
+    const urls = weighin.photo_urls ? JSON.parse(weighin.photo_urls) : null;
+    if (Array.isArray(urls) && urls.length) return urls;
+  } catch {
+    // fall through to the single photo
+  }
+  return [weighin.photo_url];
+}
+
+// Embeds sharing a URL render as one image gallery, so extra photos ride along as image-only embeds.
+// linkUrl must be http(s) (archived local files are attachment:// URLs).
+function photoGalleryEmbeds(embed, photoUrls, linkUrl = photoUrls[0]) {
+  const [first, ...rest] = photoUrls;
+  embed.setImage(first);
+  if (!rest.length) return [embed];
+  embed.setURL(linkUrl);
+  return [embed, ...rest.map((url) => new EmbedBuilder().setURL(linkUrl).setImage(url))];
+}
+
+// showPhotoMatch: judge/admin views only — anglers don't see who the photo matched.
+function weighinDetailEmbed(weighin, tournamentName, { showPhotoMatch = false } = {}) {
+  const fields = [
+    { name: "Tournament", value: `**${tournamentName}**`, inline: false },
+    { name: "Angler", value: `<@${weighin.user_id}>`, inline: true },
+    ...(weighin.submitted_by && weighin.submitted_by !== weighin.user_id
+      ? [{ name: "Submitted By", value: `<@${weighin.submitted_by}>`, inline: true }]
+      : []),
+    {
+      name: MEASURES[weighinMode(weighin)].label,
+      value: `**${formatWeighIn(weighin)}**${weighin.is_dead ? " 💀 dead" : ""}`,
+      inline: true,
+    },
+    { name: "Species", value: speciesLabel(weighin.species), inline: true },
+    { name: "Status", value: WEIGHIN_STATUS_LABELS[weighin.status] || weighin.status, inline: true },
+    ...(weighin.verification_code
+      ? [{ name: "🔑 Photo Code", value: `Photo should show \`${weighin.verification_code}\``, inline: true }]
+      : []),
+    { name: "Notes", value: weighin.notes || "—", inline: false },
+  ];
+
+  const original = weighin[`original_${MEASURES[weighinMode(weighin)].column}`];
+  if (original != null) {
+    fields.push({ name: "Adjusted From", value: formatMeasure(original, weighinMode(weighin)), inline: true });
+  }
+  if (weighin.reviewed_by) {
+    fields.push({ name: "Reviewed By", value: `<@${weighin.reviewed_by}>`, inline: true });
+  }
+  if (weighin.reject_reason) {
+    fields.push({ name: "Reason", value: weighin.reject_reason, inline: false });
+  }
+  const match = showPhotoMatch ? parsePhotoMatch(weighin) : null;
+  if (match) {
+    fields.push({ name: "⚠️ Possible Duplicate Photo", value: photoMatchDescription(match), inline: false });
+  }
+
+  return new EmbedBuilder()
+    .setTitle(`⚖️ Weigh-in #${weighin.id}`)
+    .addFields(fields)
+    .setTimestamp(parseSqliteDate(weighin.created_at));
+}
+
+// Message body for showing a weigh-in: detail embed + photo gallery (archived copies) and, in the
+// admin/review views, the matching original of a flagged photo. view: "angler" | "admin" | "review".
+// `attachments: []` drops files from an earlier render when a message is updated.
+async function weighinMessage(guild, weighin, tournamentName, view = "angler") {
+  const photos = await loadWeighinPhotos(guild, weighin);
+  const match = view === "angler" ? null : parsePhotoMatch(weighin);
+  const original = match ? await loadMatchPhoto(guild, match) : null;
+
+  const detail = weighinDetailEmbed(weighin, tournamentName, { showPhotoMatch: view !== "angler" });
+  if (view === "review") detail.setTitle(`⚖️ Weigh-in #${weighin.id} — Review`);
+
+  const embeds = photoGalleryEmbeds(detail, photos.map((p) => p.url), weighin.photo_url);
+  if (match) embeds.push(photoMatchEmbed(match, original.url));
+
+  return {
+    embeds,
+    files: [...photos, ...(original ? [original] : [])].map((p) => p.file).filter(Boolean),
+    attachments: [],
+  };
+}
+
+function judgeReviewComponents(weighin, disabled) {
+  const weighinId = weighin.id;
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`judge_approve:${weighinId}`)
+        .setLabel("Approve")
+        .setStyle(ButtonStyle.Success)
+        .setDisabled(disabled),
+      new ButtonBuilder()
+        .setCustomId(`judge_reject:${weighinId}`)
+        .setLabel("Reject")
+        .setStyle(ButtonStyle.Danger)
+        .setDisabled(disabled),
+      new ButtonBuilder()
+        .setCustomId(`judge_adjust:${weighinId}`)
+        .setLabel(`Adjust ${MEASURES[weighinMode(weighin)].label}`)
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(disabled)
+    ),
+  ];
+}
+
+function weighinSummaryLine(w) {
+  return `**#${w.id}** • ${formatWeighIn(w)} ${speciesLabel(w.species).toLowerCase()} • ${WEIGHIN_STATUS_LABELS[w.status] || w.status} • ${w.created_at} UTC`;
+}
+
+function tournamentSelectOptions(tournaments) {
+  return tournaments.map((t) => ({
+    label: t.name.slice(0, 100),
+    description: t.is_active
+      ? `#${t.id} • active`
+      : t.ended_at
+        ? `#${t.id} • ended ${t.ended_at}`
+        : `#${t.id} • scheduled ${t.scheduled_start_at || "—"}`,
+    value: String(t.id),
+  }));
+}
+
+// One select menu for whichever panel action needs the angler or admin to name a tournament.
+function tournamentPickerPayload(customId, tournaments, content, extraOptions = []) {
+  return {
+    content,
+    embeds: [],
+    components: [
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(customId)
+          .setPlaceholder("Pick a tournament")
+          .addOptions([...tournamentSelectOptions(tournaments.slice(0, 25 - extraOptions.length)), ...extraOptions])
+      ),
+    ],
+  };
+}
+
+function cancelScheduledConfirmPayload(tournament) {
+  return {
+    content:
+      `⚠️ Cancel scheduled tournament **${tournament.name}**, starting ` +
+      `${discordTime(tournament.scheduled_start_at)}?\nIt won't start and its settings are deleted.`,
+    embeds: [],
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`cancel_scheduled_confirm:${tournament.id}`)
+          .setLabel("Cancel Tournament")
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId("cancel_scheduled_keep").setLabel("Keep It").setStyle(ButtonStyle.Secondary)
+      ),
+    ],
+  };
+}
+
+function adminWeighInSearchPayload(tournament, userId, weighins) {
+  const embed = new EmbedBuilder()
+    .setTitle(`🛠️ Weigh-ins — ${tournament.name}`)
+    .setDescription(
+      [
+        `Angler: <@${userId}>`,
+        "",
+        weighins.length ? weighins.map(weighinSummaryLine).join("\n") : "No weigh-ins for this angler.",
+      ].join("\n")
+    );
+
+  const components = [];
+  if (weighins.length) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId("admin_wi_pick")
+          .setPlaceholder("Pick a weigh-in to correct")
+          // Newest last in the list above, but the select is capped at 25 so keep the newest
+          .addOptions(
+            weighins.slice(-25).map((w) => ({
+              label: `#${w.id} — ${formatWeighIn(w)}`,
+              description: `${w.status} • ${w.created_at}`,
+              value: String(w.id),
+            }))
+          )
+      )
+    );
+  }
+  components.push(
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`admin_audit_history:${userId}`)
+        .setLabel("Audit History")
+        .setStyle(ButtonStyle.Secondary)
+    )
+  );
+
+  return { embeds: [embed], components };
+}
+
+function adminWeighInComponents(weighin) {
+  const isVoid = weighin.status === "void";
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`admin_wi_edit:${weighin.id}`)
+        .setLabel("Edit")
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(isVoid),
+      new ButtonBuilder()
+        .setCustomId(`admin_wi_void:${weighin.id}`)
+        .setLabel("Void")
+        .setStyle(ButtonStyle.Danger)
+        .setDisabled(isVoid),
+      new ButtonBuilder()
+        .setCustomId(`admin_wi_restore:${weighin.id}`)
+        .setLabel("Restore")
+        .setStyle(ButtonStyle.Success)
+        .setDisabled(!isVoid),
+      new ButtonBuilder()
+        .setCustomId(`admin_wi_dead:${weighin.id}`)
+        .setLabel(weighin.is_dead ? "Mark Alive" : "Mark Dead")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(isVoid),
+      new ButtonBuilder()
+        .setCustomId(`admin_audit_history:${weighin.user_id}`)
+        .setLabel("Audit History")
+        .setStyle(ButtonStyle.Secondary)
+    ),
+  ];
+}
+
+function myWeighInsPayload(tournament, weighins) {
+  const embed = new EmbedBuilder()
+    .setTitle(`🐟 My Weigh-ins — ${tournament.name}`)
+    .setDescription(weighins.length ? weighins.map(weighinSummaryLine).join("\n") : "You have no weigh-ins yet.")
+    .setFooter({ text: "Edits and withdrawals lock when the tournament ends." });
+
+  const editable = weighins.filter(isAnglerEditable);
+  const components = editable.length
+    ? [
+        new ActionRowBuilder().addComponents(
+          new StringSelectMenuBuilder()
+            .setCustomId("my_wi_pick")
+            .setPlaceholder("Pick a weigh-in to edit or withdraw")
+            .addOptions(
+              editable.slice(-25).map((w) => ({
+                label: `#${w.id} — ${formatWeighIn(w)}`,
+                description: `${w.status} • ${w.created_at}`,
+                value: String(w.id),
+              }))
+            )
+        ),
+      ]
+    : [];
+
+  return { embeds: [embed], components };
+}
+
+// Shown when an angler has several unused photos: numbered thumbnails + a multi-select.
+function photoPickerPayload(uploads, target) {
+  const embeds = uploads.map((u, i) =>
+    new EmbedBuilder()
+      .setTitle(`📷 Photo ${i + 1}`)
+      .setDescription(`Posted ${discordTime(u.created_at, "R")}`)
+      .setThumbnail(u.image_url)
+  );
+
+  const components = [
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`weighin_photos:${target}`)
+        .setPlaceholder(`Pick the photos for this fish (up to ${MAX_WEIGHIN_PHOTOS})`)
+        .setMinValues(1)
+        .setMaxValues(Math.min(MAX_WEIGHIN_PHOTOS, uploads.length))
+        .addOptions(uploads.map((u, i) => ({ label: `Photo ${i + 1}`, value: String(u.id) })))
+    ),
+  ];
+
+  return {
+    content: "📸 You have several photos waiting. Pick the ones that go with this fish (e.g. the scale + the fish on board).",
+    embeds,
+    components,
+  };
+}
+
+function myWeighInComponents(weighin) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`my_wi_edit:${weighin.id}`).setLabel("Edit").setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId(`my_wi_withdraw:${weighin.id}`)
+        .setLabel("Withdraw")
+        .setStyle(ButtonStyle.Danger)
+    ),
+  ];
+}
+
+// Anglers may only touch live entries (not rejected/void/withdrawn) in a tournament that's still running.
+function isAnglerEditable(weighin) {
+  return weighin.status === "approved" || weighin.status === "pending";
+}
+
+async function getOwnEditableWeighIn(interaction, weighinId) {
+  const weighin = await getWeighIn(interaction.guildId, weighinId);
+  if (!weighin || weighin.user_id !== interaction.user.id) return { error: "❌ That's not your weigh-in." };
+  if (!isAnglerEditable(weighin)) return { error: "❌ That weigh-in can't be changed anymore." };
+
+  const tournament = await getTournament(interaction.guildId, weighin.tournament_id);
+  if (!tournament?.is_active || isPastScheduledEnd(tournament)) {
+    return { error: "🔒 That tournament has ended — weigh-ins are locked." };
+  }
+
+  return { weighin, tournament };
+}
+
+// The Teams view for one angler: every team in the tournament plus the buttons that fit them.
+function teamsPayload(tournament, teams, userId, invites, isAdmin) {
+  const myTeam = teams.find((t) => t.members.includes(userId));
+  const lines = teams.map((t) => {
+    const invited = t.invited.length ? ` • invited: ${t.invited.map((id) => `<@${id}>`).join(", ")}` : "";
+    return `${teamLabel(t)}${invited}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🚤 Teams — ${tournament.name}`)
+    .setDescription(
+      [
+        lines.length ? lines.join("\n") : "No teams yet.",
+        "",
+        myTeam ? `You fish with **${myTeam.name}**.` : "You're not on a team yet.",
+        ...invites.map((t) => `📨 <@${t.invited_by}> invited you to **${t.name}**.`),
+      ].join("\n")
+    )
+    .setFooter({ text: `${TEAM_SIZE} anglers per team • either partner can submit the team's fish` });
+
+  // Invites (two at most, accept + decline each) get their own row so they never crowd out the team actions
+  const inviteButtons = [];
+  for (const t of invites.slice(0, 2)) {
+    inviteButtons.push(
+      new ButtonBuilder().setCustomId(`team_accept:${t.id}`).setLabel(`Join ${t.name}`.slice(0, 80)).setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`team_decline:${t.id}`).setLabel("Decline").setStyle(ButtonStyle.Secondary)
+    );
+  }
+  const buttons = [];
+  if (myTeam) {
+    if (myTeam.captain_id === userId && myTeam.members.length + myTeam.invited.length < TEAM_SIZE) {
+      buttons.push(
+        new ButtonBuilder().setCustomId(`team_invite:${myTeam.id}`).setLabel("Invite Partner").setStyle(ButtonStyle.Primary)
+      );
+    }
+    buttons.push(new ButtonBuilder().setCustomId(`team_leave:${myTeam.id}`).setLabel("Leave Team").setStyle(ButtonStyle.Danger));
+  }
+  if (!myTeam || isAdmin) {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(`team_create:${tournament.id}`)
+        .setLabel(isAdmin ? "Create Team (admin)" : "Create Team")
+        .setStyle(ButtonStyle.Primary)
+    );
+  }
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [inviteButtons, buttons]
+      .filter((row) => row.length)
+      .map((row) => new ActionRowBuilder().addComponents(row)),
+  };
+}
+
+async function loadTeamsPayload(guildId, tournament, userId, isAdmin) {
+  const teams = await getTeams(guildId, tournament.id);
+  const invites = await getTeamInvites(guildId, tournament.id, userId);
+  return teamsPayload(tournament, teams, userId, invites, isAdmin);
+}
+
+// Shared checks for putting an angler on a team. Returns an error message or null.
+async function teamMemberError(guildId, tournamentId, userId) {
+  const existing = await getAnglerTeam(guildId, tournamentId, userId);
+  return existing ? `❌ <@${userId}> is already on **${existing.name}**.` : null;
+}
+
+// Team fish score in the captain's division, so every teammate has to fish it too. `pick` is a
+// division about to be set for one of `userIds` ({ userId, division }). Error text, or null.
+async function teamDivisionError(guildId, tournament, userIds, pick = null) {
+  const rules = getScoringRules(tournament);
+  if (!rules.teams || !rules.divisions) return null;
+  const divisions = await getAnglerDivisions(guildId, tournament.id);
+  if (pick) divisions.set(pick.userId, pick.division);
+
+  const placed = userIds.filter((id) => divisions.get(id));
+  if (new Set(placed.map((id) => divisions.get(id))).size <= 1) return null;
+  const who = placed.map((id) => `<@${id}> fishes **${divisions.get(id)}**`).join(", ");
+  return `❌ Teammates must fish the same division: ${who}.`;
+}
+
+async function sendTeamInvite(guild, userId, captainId, teamName, tournamentName) {
+  const user = await guild.client.users.fetch(userId).catch(() => null);
+  await user
+    ?.send(
+      `📨 <@${captainId}> invited you to the boat team **${teamName}** for **${tournamentName}**.\n` +
+        "Open **Teams** on the tournament panel to accept."
+    )
+    .catch(() => {});
+}
+
+function registrationLine(r, divisions = new Map()) {
+  const sidePots = registrationSidePots(r);
+  const division = divisions.get(r.user_id) ? ` • 🏷️ ${divisions.get(r.user_id)}` : "";
+  const side = sidePots.length ? ` • side: ${sidePots.join(", ")}` : "";
+  return `${r.paid ? "💵" : "⏳"} <@${r.user_id}>${division}${side}`;
+}
+
+// The Register view: the angler's own status, plus the whole list and payment tools for admins.
+// In division tournaments the division picker stands in for the Register button.
+function registrationPayload(tournament, registrations, userId, isAdmin, content = "", divisions = new Map()) {
+  const settings = getRegistrationSettings(tournament);
+  const rules = getScoringRules(tournament);
+  const mine = registrations.find((r) => r.user_id === userId);
+  const paidCount = registrations.filter((r) => r.paid).length;
+
+  let status = "You're not registered yet.";
+  if (settings.mode === "off") status = "Registration is off for this tournament.";
+  else if (mine?.paid) status = "✅ You're registered and paid.";
+  else if (mine) status = "📝 You're registered — entry not marked paid yet.";
+
+  const lines = [`**${describeRegistration(settings)}**`, "", status];
+  if (mine && registrationSidePots(mine).length) lines.push(`Side pots: ${registrationSidePots(mine).join(", ")}`);
+  if (divisions.get(userId)) lines.push(`Division: **${divisions.get(userId)}**`);
+  else if (rules.divisions) lines.push(`Divisions: ${rules.divisions.join(", ")}`);
+  if (isAdmin) {
+    const summary = `**${registrations.length} registered • ${paidCount} paid**`;
+    lines.push("", summary, ...registrations.map((r) => registrationLine(r, divisions)));
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📝 Registration — ${tournament.name}`)
+    .setDescription(lines.join("\n").slice(0, 4096));
+  if (settings.mode !== "off") {
+    embed.setFooter({
+      text:
+        settings.mode === "paid"
+          ? "Only paid anglers can submit weigh-ins • admins mark payments"
+          : "Only registered anglers can submit weigh-ins",
+    });
+  }
+
+  const pickDivision = rules.divisions && !divisions.get(userId);
+  const buttons = [];
+  if (settings.mode !== "off" && !mine && !pickDivision) {
+    buttons.push(
+      new ButtonBuilder().setCustomId(`reg_join:${tournament.id}`).setLabel("Register").setStyle(ButtonStyle.Success)
+    );
+  }
+  if (settings.mode !== "off" && mine && !mine.paid) {
+    buttons.push(
+      new ButtonBuilder().setCustomId(`reg_leave:${tournament.id}`).setLabel("Withdraw").setStyle(ButtonStyle.Danger)
+    );
+  }
+  if (isAdmin) {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(`reg_payment:${tournament.id}`)
+        .setLabel("Mark Payment")
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId(`reg_settings:${tournament.id}`)
+        .setLabel("Entry & Payouts")
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+
+  const components = [];
+  if (pickDivision) {
+    const placeholder = settings.mode !== "off" && !mine ? "Register — pick your division" : "Pick your division";
+    components.push(divisionSelectRow(`reg_division:${tournament.id}`, rules, placeholder));
+  }
+  if (buttons.length) components.push(new ActionRowBuilder().addComponents(buttons));
+
+  return { content, embeds: [embed], components };
+}
+
+async function loadRegistrationPayload(guildId, tournament, userId, isAdmin, content = "") {
+  const registrations = await getRegistrations(guildId, tournament.id);
+  const divisions = await getAnglerDivisions(guildId, tournament.id);
+  return registrationPayload(tournament, registrations, userId, isAdmin, content, divisions);
+}
+
+// Submit Weigh-in gate. Returns an ephemeral reply, or null when the angler may weigh in.
+async function registrationClosedReply(guildId, tournament, userId, isSelf = true) {
+  const settings = getRegistrationSettings(tournament);
+  if (settings.mode === "off") return null;
+
+  const registration = await getRegistration(guildId, tournament.id, userId);
+  const who = isSelf ? "You're" : `<@${userId}> is`;
+  if (!registration) {
+    return ephContent(`📝 ${who} not registered for **${tournament.name}**. Click **Register** on the panel first.`);
+  }
+  if (settings.mode === "paid" && !registration.paid) {
+    return ephContent(`💵 ${who} registered, but the entry isn't marked paid yet. An admin marks payments.`);
+  }
+  return null;
+}
+
+function payoutsEmbed(tournament, payouts) {
+  const settings = getRegistrationSettings(tournament);
+  const rules = getScoringRules(tournament);
+  const who = (rows) => rows.map(boardRowName).join(" & ");
+  const amount = (p) => `**${formatMoney(p.each)}**${p.rows.length > 1 ? " each" : ""}`;
+
+  const lines = [
+    `Prize pool: **${formatMoney(payouts.pool)}** (${payouts.paidCount} paid × ${formatMoney(settings.fee)})`,
+    "",
+    ...payouts.places.map(
+      (p) => `**${p.rows.length > 1 ? "T-" : ""}${ordinal(p.position + 1)}** — ${who(p.rows)} — ${amount(p)}`
+    ),
+  ];
+  if (payouts.bigBass) {
+    lines.push(`🐷 **${bigBoardTitle(rules)}** — ${who(payouts.bigBass.rows)} — ${amount(payouts.bigBass)}`);
+  }
+  for (const sp of payouts.sidePots) {
+    const winner = sp.rows.length ? `${who(sp.rows)} — ${amount(sp)}` : "no eligible catch";
+    lines.push(`🎯 **${sp.name}** side pot (${sp.entrants} in, ${formatMoney(sp.total)}) — ${winner}`);
+  }
+  if (!payouts.places.length && !payouts.bigBass && !payouts.sidePots.length) lines.push("No paid anglers placed.");
+  if (payouts.unallocated > 0) lines.push("", `Not paid out: ${formatMoney(payouts.unallocated)}`);
+
+  return new EmbedBuilder()
+    .setTitle(`💰 Payouts — ${tournament.name}`)
+    .setDescription(lines.join("\n").slice(0, 4096))
+    .setFooter({ text: "Only paid anglers are eligible • ties split the places they cover" });
+}
+
+async function buildPayoutsEmbed(guildId, tournament) {
+  const registrations = await getRegistrations(guildId, tournament.id);
+  const bag = await getBagBoard(guildId, tournament);
+  const big = await getBigBassLeaderboard(guildId, tournament.id);
+  return payoutsEmbed(tournament, calculatePayouts(getRegistrationSettings(tournament), registrations, bag, big));
+}
+
+// History browser: one select for ended tournaments, one for months/years. `selected` marks
+// what's on screen ("t:<id>", "month:YYYY-MM" or "year:YYYY"). `focus` is the month or year being
+// browsed: the period select lists that year's months and the tournament select that period's
+// tournaments, so picking a month (then a tournament) reaches past the 25-option cap.
+function historyPayload(tournaments, months, embeds, selected = null, focus = null) {
+  const years = [...new Set(months.map((m) => m.slice(0, 4)))];
+  const focusYear = focus ? focus.slice(0, 4) : years[0];
+  const periodOptions = [
+    ...years.map((y) => ({ label: `Year ${y}`, description: "Yearly winners + Angler of the Year", value: `year:${y}` })),
+    ...months
+      .filter((m) => m.startsWith(focusYear))
+      .map((m) => ({ label: `Month ${m}`, description: "Monthly winners", value: `month:${m}` })),
+  ].slice(0, 25);
+
+  const components = [];
+  if (tournaments.length) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId("history_tournament")
+          .setPlaceholder(focus ? `Pick a tournament from ${focus}` : "Pick a past tournament")
+          .addOptions(
+            tournamentSelectOptions(tournaments).map((o) => ({ ...o, default: selected === `t:${o.value}` }))
+          )
+      )
+    );
+  }
+  if (periodOptions.length) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId("history_period")
+          .setPlaceholder("Pick a month or year")
+          .addOptions(periodOptions.map((o) => ({ ...o, default: selected === o.value })))
+      )
+    );
+  }
+
+  return {
+    content: tournaments.length ? "" : "No tournaments have ended yet.",
+    embeds,
+    components,
+  };
+}
+
+// Admin export picker: the scope select, then CSV / JSON buttons for whatever was picked.
+// Periods and tournaments get a select each, so a long tournament list can't crowd out the months.
+function exportPayload(tournaments, months, scope = null, scopeLabel = null) {
+  const years = [...new Set(months.map((m) => m.slice(0, 4)))];
+  const periodOptions = [
+    ...years.map((y) => ({ label: `Year ${y}`, description: "Every tournament that ended this year", value: `year:${y}` })),
+    ...months.map((m) => ({ label: `Month ${m}`, description: "Every tournament that ended this month", value: `month:${m}` })),
+  ]
+    .slice(0, 25)
+    .map((o) => ({ ...o, default: o.value === scope }));
+  const tournamentOptions = tournamentSelectOptions(tournaments)
+    .slice(0, 25)
+    .map((o) => ({ ...o, value: `t:${o.value}`, default: `t:${o.value}` === scope }));
+
+  const components = [];
+  if (periodOptions.length) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId("export_scope_period")
+          .setPlaceholder("Pick a month or year")
+          .addOptions(periodOptions)
+      )
+    );
+  }
+  if (tournamentOptions.length) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId("export_scope")
+          .setPlaceholder("Pick a single tournament")
+          .addOptions(tournamentOptions)
+      )
+    );
+  }
+  if (scope) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`export_file:csv:${scope}`).setLabel("Download CSV").setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`export_file:json:${scope}`).setLabel("Download JSON").setStyle(ButtonStyle.Secondary)
+      )
+    );
+  }
+
+  return {
+    content: !tournamentOptions.length
+      ? "No tournaments to export yet."
+      : scope
+        ? `📤 Export **${scopeLabel}**: weigh-ins (all statuses, photo URLs, notes, timestamps), final results and tournaments.`
+        : "📤 Pick what to export.",
+    embeds: [],
+    components,
+  };
+}
+
+function importPreviewEmbed(plan, errors, fileName) {
+  const resultCount = plan.tournaments.reduce((sum, t) => sum + t.results.length, 0);
+  const lines = plan.tournaments.slice(0, 15).map((t) => {
+    const winner = [...t.results].sort((a, b) => b.total_bag - a.total_bag || b.big_bass - a.big_bass)[0];
+    return `• ${t.date} — **${t.name}** (${t.results.length} anglers, winner <@${winner.user_id}> ${formatMeasure(winner.total_bag)})`;
+  });
+  if (plan.tournaments.length > 15) lines.push(`…and ${plan.tournaments.length - 15} more`);
+
+  const embed = new EmbedBuilder()
+    .setTitle(errors.length ? "❌ Import Check Failed" : "🧪 Import Dry Run")
+    .setDescription(
+      [
+        `File: **${fileName}**`,
+        `${plan.tournaments.length} tournament(s), ${resultCount} result row(s).`,
+        "",
+        ...(lines.length ? lines : ["No valid rows."]),
+      ]
+        .join("\n")
+        .slice(0, 4000)
+    )
+    .setFooter({
+      text: errors.length
+        ? "Nothing was saved. Fix the rows below and run /import-results again."
+        : "Nothing is saved until you press Import.",
+    });
+
+  if (errors.length) {
+    const shown = errors.slice(0, 15).join("\n");
+    const more = errors.length > 15 ? `\n…and ${errors.length - 15} more` : "";
+    embed.addFields({ name: `Errors (${errors.length})`, value: `${shown}${more}`.slice(0, 1024) });
+  }
+  return embed;
+}
+
+function importComponents(importId) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`import_confirm:${importId}`).setLabel("Import").setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`import_cancel:${importId}`).setLabel("Cancel").setStyle(ButtonStyle.Secondary)
+    ),
+  ];
+}
+
+async function loadHistoryPayload(guildId, embeds, selected, focus = null) {
+  const tournaments = await getEndedTournaments(guildId, focus);
+  const months = await getResultMonths(guildId);
+  return historyPayload(tournaments, months, embeds, selected, focus);
+}
+
+function formatAuditValue(key, value) {
+  if (key === "is_dead") return value ? "dead" : "alive";
+  if (key === "species") return speciesLabel(value);
+  if (value == null || value === "") return "—";
+  if (key === "user_id") return `<@${value}>`;
+  if (key === "weight_lbs") return formatMeasure(value, "weight");
+  if (key === "length_in") return formatMeasure(value, "length");
+  return String(value);
+}
+
+function auditHistoryEmbed(userId, entries) {
+  const lines = entries.map((a) => {
+    const oldValues = a.old_values ? JSON.parse(a.old_values) : {};
+    const newValues = a.new_values ? JSON.parse(a.new_values) : {};
+    const changes = Object.keys(newValues)
+      .map((k) => `${k}: ${formatAuditValue(k, oldValues[k])} → ${formatAuditValue(k, newValues[k])}`)
+      .join(", ");
+
+    return [
+      `**${a.created_at} UTC** • #${a.weighin_id} (${a.tournament_name || `Tournament #${a.tournament_id}`})`,
+      `↳ **${a.action}** by <@${a.actor_id}> — ${changes || "no field changes"}`,
+      `↳ Reason: ${a.reason || "—"}`,
+    ].join("\n");
+  });
+
+  return new EmbedBuilder()
+    .setTitle("📜 Weigh-in Audit History")
+    .setDescription(
+      [`Angler: <@${userId}>`, "", lines.length ? lines.join("\n\n") : "No corrections on record."]
+        .join("\n")
+        .slice(0, 4096)
+    )
+    .setTimestamp(new Date());
+}
+
+function resetConfirmPayload(scope, period, counts) {
+  return {
+    content: [
+      `⚠️ Reset ${RESET_SCOPES[scope].label.toLowerCase()} results for **${period}**?`,
+      `This archives **${counts.results}** result(s) from **${counts.tournaments}** tournament(s) ` +
+        "and removes them from winners and AOY.",
+      "They can be restored later from **Reset History**.",
+    ].join("\n"),
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`reset_confirm:${scope}:${period}`)
+          .setLabel(`Reset ${counts.results} Result(s)`)
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId("reset_cancel").setLabel("Cancel").setStyle(ButtonStyle.Secondary)
+      ),
+    ],
+  };
+}
+
+function resetBatchLine(b) {
+  const status = b.restored_at ? `↩️ restored by <@${b.restored_by}> (${b.restored_at} UTC)` : "🗄️ archived";
+  return (
+    `**#${b.id}** • ${RESET_SCOPES[b.scope]?.label || b.scope} **${b.period}** — ${b.result_count} result(s)` +
+    ` by <@${b.reset_by}> (${b.created_at} UTC) • ${status}`
+  );
+}
+
+function adminAuditLine(a) {
+  let details = {};
+  try {
+    details = a.details ? JSON.parse(a.details) : {};
+  } catch {
+    // unreadable details — show the action alone
+  }
+  const scope = RESET_SCOPES[a.action.replace(/^reset_/, "")];
+  const what =
+    a.action === "restore_reset"
+      ? `restored batch #${details.batch_id} (${details.restored} back, ${details.skipped} already present)`
+      : `reset ${scope ? scope.label.toLowerCase() : a.action} **${details.period}** → ` +
+        `batch #${details.batch_id} (${details.results} result(s))`;
+  return `**${a.created_at} UTC** • <@${a.actor_id}> ${what}`;
+}
+
+// batches: the most recent ones for the embed; restorable: every unrestored one, for the select.
+function resetHistoryPayload(batches, restorable, audit, content = "") {
+  const embed = new EmbedBuilder()
+    .setTitle("🗄️ Reset History")
+    .addFields(
+      {
+        name: "Reset batches",
+        value: (batches.length ? batches.map(resetBatchLine).join("\n") : "No resets yet.").slice(0, 1024),
+      },
+      {
+        name: "Audit log",
+        value: (audit.length ? audit.map(adminAuditLine).join("\n") : "Nothing logged yet.").slice(0, 1024),
+      }
+    )
+    .setTimestamp(new Date());
+
+  const components = restorable.length
+    ? [
+        new ActionRowBuilder().addComponents(
+          new StringSelectMenuBuilder()
+            .setCustomId("reset_restore")
+            .setPlaceholder("Restore a reset batch")
+            .addOptions(
+              restorable.map((b) => ({
+                label: `#${b.id} ${RESET_SCOPES[b.scope]?.label || b.scope} ${b.period}`.slice(0, 100),
+                description: `${b.result_count} result(s) • reset ${b.created_at} UTC`.slice(0, 100),
+                value: String(b.id),
+              }))
+            )
+        ),
+      ]
+    : [];
+
+  return { content, embeds: [embed], components };
+}
+
+async function loadResetHistoryPayload(guildId, content) {
+  return resetHistoryPayload(
+    await getResetBatches(guildId),
+    await getRestorableBatches(guildId),
+    await getAdminAudit(guildId),
+    content
+  );
+}
+
+// After an admin correction: ended tournaments get re-snapshotted so month/year winners follow.
+async function afterWeighInCorrection(guild, tournamentId) {
+  const tournament = await getTournament(guild.id, tournamentId);
+  if (tournament && !tournament.is_active) {
+    await snapshotTournamentResults(guild.id, tournament.id);
+  }
+  await updateAutoEmbeds(guild);
+}
+
+async function postForReview(guild, judgesChannelId, weighin, tournamentName) {
+  const channel = judgesChannelId ? await guild.channels.fetch(judgesChannelId).catch(() => null) : null;
+  if (!channel) {
+    console.error(`judges channel missing for guild ${guild.id}; weigh-in #${weighin.id} left pending`);
+    return;
+  }
+  await channel.send({
+    ...(await weighinMessage(guild, weighin, tournamentName, "review")),
+    components: judgeReviewComponents(weighin, false),
+  });
+}
+
+// Block mode: the weigh-in never exists, so judges get the attempt + the original side by side.
+async function postPhotoBlockedAlert(guild, cfg, userId, upload, match) {
+  const channel = cfg?.judges_channel_id ? await guild.channels.fetch(cfg.judges_channel_id).catch(() => null) : null;
+  if (!channel) return;
+
+  const attempt = new EmbedBuilder()
+    .setTitle("🚫 Weigh-in Blocked — Reused Photo")
+    .setDescription(`<@${userId}> tried to submit this photo.\n${photoMatchDescription(match)}`)
+    .setImage(upload.image_url)
+    .setTimestamp(new Date());
+  const original = await loadMatchPhoto(guild, match);
+  await channel
+    .send({ embeds: [attempt, photoMatchEmbed(match, original.url)], files: original.file ? [original.file] : [] })
+    .catch(() => {});
+}
+
+async function notifyAnglerDecision(weighin, tournamentName) {
+  const lines = [`Your weigh-in #${weighin.id} in **${tournamentName}** was reviewed.`, ""];
+
+  const mode = weighinMode(weighin);
+  const original = weighin[`original_${MEASURES[mode].column}`];
+
+  if (weighin.status === "approved") {
+    lines.push(`✅ **Approved** at **${formatWeighIn(weighin)}**.`);
+    if (original != null) {
+      lines.push(
+        `⚖️ ${MEASURES[mode].label} adjusted by a judge (you entered ${formatMeasure(original, mode)}).`
+      );
+    }
+  } else {
+    lines.push(`❌ **Rejected** (${formatWeighIn(weighin)}).`);
+    lines.push(`Reason: ${weighin.reject_reason || "—"}`);
+  }
+
+  try {
+    const user = await client.users.fetch(weighin.user_id);
+    await user.send({ content: lines.join("\n") });
+  } catch {
+    // DMs closed — nothing else to do
+  }
+}
+
+// "Derby • Challenge" for a fish entered in several tournaments.
+function entryTournamentNames(entries) {
+  return entries.map((e) => e.tournament?.name || `Tournament #${e.weighin.tournament_id}`).join(" • ");
+}
+
+// The boards before a decision for each of the weigh-ins' tournaments, by weigh-in id.
+async function feedBoardsBeforeEach(guildId, cfg, weighins) {
+  const before = new Map();
+  for (const w of weighins) {
+    before.set(w.id, await feedBoardsBefore(guildId, cfg, await getTournament(guildId, w.tournament_id)));
+  }
+  return before;
+}
+
+// Shared tail of every judge decision: refresh the review post, DM the angler, update boards.
+// weighinIds: every entry the decision covered (reviewWeighIn); one DM and one feed post for all.
+// Decisions on an already-ended tournament re-snapshot its results so month/year totals stay right.
+// feedBefore: the boards from before the decision (feedBoardsBeforeEach), for the feed's lead call-outs.
+async function finishReview(interaction, weighinIds, feedBefore = new Map()) {
+  const entries = [];
+  for (const id of weighinIds) {
+    const weighin = await getWeighIn(interaction.guildId, id);
+    entries.push({ weighin, tournament: await getTournament(interaction.guildId, weighin.tournament_id) });
+  }
+  const [{ weighin }] = entries;
+  const tournamentName = entryTournamentNames(entries);
+
+  await interaction.update({
+    ...(await weighinMessage(interaction.guild, weighin, tournamentName, "review")),
+    components: judgeReviewComponents(weighin, true),
+  });
+
+  await notifyAnglerDecision(weighin, tournamentName);
+
+  for (const { tournament } of entries) {
+    if (tournament && !tournament.is_active) await snapshotTournamentResults(interaction.guildId, tournament.id);
+  }
+  await updateAutoEmbeds(interaction.guild);
+
+  if (weighin.status === "approved") {
+    const counted = entries.filter((e) => e.tournament);
+    for (const entry of counted) {
+      const before = feedBefore.get(entry.weighin.id) || null;
+      entry.callouts = await feedCallouts(interaction.guildId, entry.tournament, before, weighin.user_id);
+    }
+    await postWeighInFeed(interaction.guild, await getConfig(interaction.guildId), counted);
+  }
+}
+
+// -------------------- WEIGH-IN FEED --------------------
+// Optional public channel ("Feed Settings"): a post for every weigh-in once it counts, plus call-outs
+// when the standings change hands. Lead changes come from comparing both boards before and after.
+async function getBoardSnapshot(guildId, tournament) {
+  return { big: await getBigBassLeaderboard(guildId, tournament.id), bag: await getBagBoard(guildId, tournament) };
+}
+
+// The boards before a weigh-in starts counting; null when there'll be no call-outs to compare for.
+async function feedBoardsBefore(guildId, cfg, tournament) {
+  if (!cfg?.feed_channel_id || cfg.feed_callouts === 0 || !tournament?.is_active) return null;
+  return getBoardSnapshot(guildId, tournament);
+}
+
+function bagValueText(row, rules) {
+  return rules.metric === "count" ? `${row.fish_count} fish` : formatMeasure(row.total_bag, rules.mode);
+}
+
+function boardRowName(row) {
+  return row.team_id ? `🚤 **${row.team_name}**` : `<@${row.user_id}>`;
+}
+
+// Call-outs for the angler (or their team) whose fish just counted. A lead taken from nobody isn't
+// news, and neither is reaching a top 3 that wasn't full yet.
+function leadChangeCallouts(before, after, userId, rules) {
+  const callouts = [];
+  const own = (rows) => rows.find((r) => isOwnStandingsRow(r, userId)) || null;
+  const leaders = (rows, except = null) =>
+    rows
+      .filter((r) => r.place === 1 && r !== except)
+      .map(boardRowName)
+      .join(" & ");
+  const leadLine = (emoji, row, rows, previous, title, value) =>
+    row.tied
+      ? `${emoji} ${boardRowName(row)} ties ${leaders(rows, row)} for the **${title}** lead with **${value}**`
+      : `${emoji} ${boardRowName(row)} takes over the **${title}** lead with **${value}** (was ${leaders(previous)})`;
+
+  const bigBefore = own(before.big);
+  const bigAfter = own(after.big);
+  if (bigAfter?.place === 1 && bigBefore?.place !== 1 && before.big.length) {
+    const value = formatMeasure(bigAfter.big_bass, rules.mode);
+    callouts.push(leadLine("🐷", bigAfter, after.big, before.big, bigBoardTitle(rules), value));
+  }
+
+  const bagBefore = own(before.bag);
+  const bagAfter = own(after.bag);
+  if (bagAfter?.place === 1 && bagBefore?.place !== 1 && before.bag.length) {
+    const value = bagValueText(bagAfter, rules);
+    callouts.push(leadLine("🏆", bagAfter, after.bag, before.bag, bagBoardTitle(rules), value));
+  } else if (bagAfter?.place <= 3 && !(bagBefore?.place <= 3) && before.bag.length >= 3) {
+    const place = `${bagAfter.tied ? "T-" : ""}${ordinal(bagAfter.place)}`;
+    callouts.push(
+      `📈 ${boardRowName(bagAfter)} culls into **${place}** on ${bagBoardTitle(rules)} ` +
+        `with **${bagValueText(bagAfter, rules)}**`
+    );
+  }
+  return callouts;
+}
+
+async function feedCallouts(guildId, tournament, before, userId) {
+  if (!before) return [];
+  const after = await getBoardSnapshot(guildId, tournament);
+  return leadChangeCallouts(before, after, userId, getScoringRules(tournament));
+}
+
+// Posted after archiving, so the feed shows the archived copies of the photos. entries:
+// [{ weighin, tournament, callouts }] — one post for a fish entered in several tournaments.
+async function postWeighInFeed(guild, cfg, entries) {
+  if (!cfg?.feed_channel_id || !entries.length) return;
+  const [{ weighin }] = entries;
+
+  try {
+    const channel = await guild.channels.fetch(cfg.feed_channel_id).catch(() => null);
+    if (!channel) return;
+
+    const photos = await loadWeighinPhotos(guild, weighin);
+    const embed = new EmbedBuilder()
+      .setTitle(`🎣 Weigh-in — ${entryTournamentNames(entries)}`.slice(0, 256))
+      .setDescription(
+        `<@${weighin.user_id}> — **${formatWeighIn(weighin)}**` +
+          (weighin.species ? ` ${speciesLabel(weighin.species).toLowerCase()}` : "") +
+          (weighin.is_dead ? " 💀 dead" : "")
+      )
+      .setTimestamp(parseSqliteDate(weighin.created_at));
+
+    await channel.send({
+      embeds: photoGalleryEmbeds(embed, photos.map((p) => p.url), weighin.photo_url),
+      files: photos.map((p) => p.file).filter(Boolean),
+      allowedMentions: { parse: [] },
+    });
+    // Lead changes name their tournament when the fish counts in more than one
+    const callouts = entries.flatMap((e) =>
+      entries.length > 1 ? (e.callouts || []).map((c) => `**${e.tournament.name}:** ${c}`) : e.callouts || []
+    );
+    if (callouts.length) {
+      await channel.send({ content: callouts.join("\n"), allowedMentions: { users: [weighin.user_id] } });
+    }
+  } catch (e) {
+    console.error(`weigh-in feed error (weigh-in #${weighin.id}):`, e);
+  }
+}
+
+// Final Big Bass + bag boards for an ended tournament (also used by the History browser).
+// big/bag are null when the tournament has divisions with the overall board turned off;
+// divisions holds one embed per division with both of its boards.
+async function finalStandingsEmbeds(guildId, tournament) {
+  const rules = getScoringRules(tournament);
+  const imported = tournament.source === "import";
+  const divisionBoards = imported ? [] : await getDivisionBoards(guildId, tournament);
+  const divisions = divisionBoards.map(({ division, big, bag }) =>
+    new EmbedBuilder().setTitle(`🏷️ ${division} — Final`).addFields(
+      {
+        name: `🏆 ${bigBoardTitle(rules)}`,
+        value: divisionBoardLines(big, (r, i) => bigBassLine(r, i, rules), "No weigh-ins."),
+      },
+      {
+        name: `🎣 ${bagBoardTitle(rules)}`,
+        value: divisionBoardLines(bag, (r, i) => bagStandingLine(r, i, rules), "No weigh-ins."),
+      }
+    )
+  );
+  if (rules.divisions && !rules.overall) return { big: null, bag: null, divisions };
+
+  const { big, bag } = imported
+    ? await getStoredResultBoards(guildId, tournament)
+    : { big: await getBigBassLeaderboard(guildId, tournament.id), bag: await getBagBoard(guildId, tournament) };
+
+  const bigEmbed = new EmbedBuilder()
+    .setTitle(`🏆 ${bigBoardTitle(rules)} (Final)`)
+    .setDescription(boardLines(big, (r, i) => bigBassLine(r, i, rules), "No weigh-ins."));
+  if (boardCountNote(big)) bigEmbed.setFooter({ text: boardCountNote(big) });
+
+  const bagEmbed = new EmbedBuilder()
+    .setTitle(`🎣 ${bagBoardTitle(rules)} — Final`)
+    .setDescription(boardLines(bag, (r, i) => bagStandingLine(r, i, rules), "No weigh-ins."))
+    .setFooter({
+      text: [imported ? "Imported results" : describeScoringRules(rules), boardCountNote(bag)]
+        .filter(Boolean)
+        .join(" • "),
+    });
+
+  return { big: bigEmbed, bag: bagEmbed, divisions };
+}
+
+async function postFinalStandings(guild, resultsChannelId, tournament) {
+  const header = new EmbedBuilder()
+    .setTitle(`✅ FINAL RESULTS — ${tournament.name}`)
+    .setDescription("Tournament ended. Submissions are now locked.")
+    .setTimestamp(new Date());
+
+  const final = await finalStandingsEmbeds(guild.id, tournament);
+
+  const channel = await guild.channels.fetch(resultsChannelId).catch(() => null);
+  if (channel) {
+    await channel.send({ embeds: [header] });
+    if (final.big) await channel.send({ embeds: [final.big], components: [standingsRow("big", tournament.id)] });
+    if (final.bag) await channel.send({ embeds: [final.bag], components: [standingsRow("bag", tournament.id)] });
+    if (final.divisions.length) {
+      const rules = getScoringRules(tournament);
+      await channel.send({
+        embeds: final.divisions,
+        components: [
+          new ActionRowBuilder().addComponents(
+            standingsButton("big", tournament.id, `Full ${bigBoardTitle(rules)}`),
+            standingsButton("bag", tournament.id, `Full ${bagBoardTitle(rules)}`)
+          ),
+        ],
+      });
+    }
+    if (hasPayouts(getRegistrationSettings(tournament))) {
+      await channel.send({ embeds: [await buildPayoutsEmbed(guild.id, tournament)] });
+    }
+  }
+}
+
+// Winners embeds for any month ('YYYY-MM') or year, shared by the auto embeds and History.
+async function buildMonthlyWinnersEmbed(guildId, yyyyMm) {
+  const winners = await getPeriodWinners(guildId, "%Y-%m", yyyyMm).catch(() => null);
+  const lengthWinners = await getPeriodWinners(guildId, "%Y-%m", yyyyMm, "length").catch(() => null);
+  const speciesAwards = {
+    weight: await getSpeciesBigFishAwards(guildId, "%Y-%m", yyyyMm).catch(() => []),
+    length: await getSpeciesBigFishAwards(guildId, "%Y-%m", yyyyMm, "length").catch(() => []),
+  };
+  const divisionWinners = await getPeriodDivisionWinners(guildId, "%Y-%m", yyyyMm).catch(() => []);
+  return monthlyWinnersEmbed(yyyyMm, winners, lengthWinners, speciesAwards, divisionWinners);
+}
+
+async function buildYearlyWinnersEmbed(guildId, yyyy) {
+  const winners = await getPeriodWinners(guildId, "%Y", yyyy).catch(() => null);
+  const lengthWinners = await getPeriodWinners(guildId, "%Y", yyyy, "length").catch(() => null);
+  const speciesAwards = {
+    weight: await getSpeciesBigFishAwards(guildId, "%Y", yyyy).catch(() => []),
+    length: await getSpeciesBigFishAwards(guildId, "%Y", yyyy, "length").catch(() => []),
+  };
+  const divisionWinners = await getPeriodDivisionWinners(guildId, "%Y", yyyy).catch(() => []);
+  return yearlyWinnersEmbed(yyyy, winners, lengthWinners, speciesAwards, divisionWinners);
+}
+
+async function buildAoyEmbed(guildId, yyyy, cfg) {
+  const settings = getAoySettings(cfg);
+  const aoy = await getAoyStandings(guildId, yyyy, settings).catch(() => null);
+  return aoyStandingsEmbed(yyyy, aoy, settings);
+}
+
+// The one end path shared by the End Tourney button and the scheduler.
+async function runEndTournament(guild, tournament, fallbackChannelId) {
+  const cfg = await getConfig(guild.id);
+  const resultsChannelId = cfg?.results_channel_id || fallbackChannelId;
+
+  await endTournament(guild.id, tournament.id);
+  await snapshotTournamentResults(guild.id, tournament.id);
+  await postFinalStandings(guild, resultsChannelId, tournament);
+  await removeTournamentBoards(guild, cfg, await getTournament(guild.id, tournament.id));
+
+  await updateAutoEmbeds(guild);
+}
+
+// End Tourney (button or tournament pick): ends it and returns the admin's confirmation.
+async function endTournamentFromPanel(guild, tournament, channelId) {
+  await runEndTournament(guild, tournament, channelId);
+
+  const pending = await countPendingWeighIns(guild.id, tournament.id);
+  const pendingNote = pending
+    ? `\n⚠️ ${pending} weigh-in(s) still pending review — results update as judges decide them.`
+    : "";
+  return `🛑 Ended **${tournament.name}**. Finals posted.${pendingNote}`;
+}
+
+// -------------------- AUTO-UPDATING EMBEDS (SEPARATE CHANNELS) --------------------
+async function ensureMessage(guild, channelId, existingMessageId, createEmbed) {
+  const channel = await guild.channels.fetch(channelId).catch(() => null);
+  if (!channel) return { messageId: null };
+
+  if (existingMessageId) {
+    try {
+      const msg = await channel.messages.fetch(existingMessageId);
+      return { messageId: msg.id };
+    } catch {
+      // fall through
+    }
+  }
+  const created = await channel.send({ embeds: [createEmbed()] });
+  return { messageId: created.id };
+}
+
+async function ensureAllAutoEmbeds(guild) {
+  const cfg = await getConfig(guild.id);
+  if (!cfg?.bigbass_channel_id || !cfg?.top5_channel_id || !cfg?.results_channel_id) return;
+
+  const now = new Date();
+  const yyyyMm = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+  const yyyy = now.getFullYear();
+
+  const big = await ensureMessage(guild, cfg.bigbass_channel_id, cfg.cur_bigbass_msg_id, () =>
+    bigBassCurrentEmbed("No Active Tournament", [])
+  );
+
+  const top5 = await ensureMessage(guild, cfg.top5_channel_id, cfg.cur_top5_msg_id, () =>
+    top5Embed("No Active Tournament", [])
+  );
+
+  const mon = await ensureMessage(guild, cfg.results_channel_id, cfg.monthly_winners_msg_id, () =>
+    monthlyWinnersEmbed(yyyyMm, null)
+  );
+
+  const yr = await ensureMessage(guild, cfg.results_channel_id, cfg.yearly_winners_msg_id, () =>
+    yearlyWinnersEmbed(yyyy, null)
+  );
+
+  const aoy = await ensureMessage(guild, cfg.results_channel_id, cfg.aoy_msg_id, () =>
+    aoyStandingsEmbed(yyyy, null, getAoySettings(cfg))
+  );
+
+  await upsertConfig(guild.id, {
+    cur_bigbass_msg_id: big.messageId,
+    cur_top5_msg_id: top5.messageId,
+    monthly_winners_msg_id: mon.messageId,
+    yearly_winners_msg_id: yr.messageId,
+    aoy_msg_id: aoy.messageId,
+  });
+}
+
+// Each running tournament keeps its own Big Bass + Top 5 messages (ids on the tournament row).
+async function ensureTournamentBoards(guild, cfg, tournament) {
+  const big = await ensureMessage(guild, cfg.bigbass_channel_id, tournament.bigbass_msg_id, () =>
+    bigBassCurrentEmbed(tournament.name, [])
+  );
+  const top5 = await ensureMessage(guild, cfg.top5_channel_id, tournament.top5_msg_id, () =>
+    top5Embed(tournament.name, [])
+  );
+  if (big.messageId !== tournament.bigbass_msg_id || top5.messageId !== tournament.top5_msg_id) {
+    await setTournamentBoardMessages(guild.id, tournament.id, big.messageId, top5.messageId);
+  }
+  return { bigMsgId: big.messageId, top5MsgId: top5.messageId };
+}
+
+// Ended tournaments' live boards are removed; their finals live in the Results channel.
+async function removeTournamentBoards(guild, cfg, tournament) {
+  if (!tournament?.bigbass_msg_id && !tournament?.top5_msg_id) return;
+  for (const [channelId, messageId] of [
+    [cfg?.bigbass_channel_id, tournament.bigbass_msg_id],
+    [cfg?.top5_channel_id, tournament.top5_msg_id],
+  ]) {
+    if (!channelId || !messageId) continue;
+    const channel = await guild.channels.fetch(channelId).catch(() => null);
+    await channel?.messages
+      .fetch(messageId)
+      .then((msg) => msg.delete())
+      .catch(() => {});
+  }
+  await setTournamentBoardMessages(guild.id, tournament.id, null, null);
+}
+
+async function updateTournamentBoards(guild, cfg, tournament) {
+  const { bigMsgId, top5MsgId } = await ensureTournamentBoards(guild, cfg, tournament);
+  const rules = getScoringRules(tournament);
+  const bigRows = await getBigBassLeaderboard(guild.id, tournament.id);
+  const bagRows = await getBagBoard(guild.id, tournament);
+  const speciesLeaders = cfg.species_leaders ? await getSpeciesBigFishLeaders(guild.id, tournament.id) : [];
+  const divisionBoards = await getDivisionBoards(guild.id, tournament);
+  const showOverall = !divisionBoards.length || rules.overall;
+
+  try {
+    const ch = await guild.channels.fetch(cfg.bigbass_channel_id);
+    const msg = await ch.messages.fetch(bigMsgId);
+    await msg.edit({
+      embeds: [
+        ...(showOverall ? [bigBassCurrentEmbed(tournament.name, bigRows, rules, speciesLeaders)] : []),
+        ...divisionBoardEmbeds("big", divisionBoards, rules, tournament.name),
+      ],
+      components: [standingsRow("big", tournament.id)],
+    });
+  } catch {}
+
+  try {
+    const ch = await guild.channels.fetch(cfg.top5_channel_id);
+    const msg = await ch.messages.fetch(top5MsgId);
+    await msg.edit({
+      embeds: [
+        ...(showOverall ? [top5Embed(tournament.name, bagRows, rules)] : []),
+        ...divisionBoardEmbeds("bag", divisionBoards, rules, tournament.name),
+      ],
+      components: [standingsRow("bag", tournament.id)],
+    });
+  } catch {}
+
+  return { bigMsgId, top5MsgId };
+}
+
+// The channel's first Big Bass / Top 5 message: a placeholder while nothing runs, otherwise
+// links to each running tournament's board. boards: [{ tournament, messageId }]
+function liveBoardsEmbed(board, guildId, channelId, boards) {
+  if (!boards.length) {
+    return board === "big" ? bigBassCurrentEmbed("No Active Tournament", []) : top5Embed("No Active Tournament", []);
+  }
+  const lines = boards.map(
+    ({ tournament, messageId }) =>
+      `• **${tournament.name}** — [live board](https://discord.com/channels/${guildId}/${channelId}/${messageId})`
+  );
+  return new EmbedBuilder()
+    .setTitle(board === "big" ? "🏆 Live Big Bass Boards" : "🎣 Live Bag Boards")
+    .setDescription(lines.join("\n"))
+    .setTimestamp(new Date());
+}
+
+async function refreshPanel(guild) {
+  const cfg = await getConfig(guild.id);
+  if (!cfg?.panel_channel_id || !cfg?.panel_msg_id) return;
+  try {
+    const ch = await guild.channels.fetch(cfg.panel_channel_id);
+    const msg = await ch.messages.fetch(cfg.panel_msg_id);
+    const actives = await getActiveTournaments(guild.id);
+    const scheduled = await getScheduledTournaments(guild.id);
+    await msg.edit({ embeds: [panelEmbed(actives, cfg, scheduled)] });
+  } catch {}
+}
+
+async function updateAutoEmbeds(guild) {
+  await refreshPanel(guild);
+
+  const cfg = await getConfig(guild.id);
+  if (!cfg?.bigbass_channel_id || !cfg?.top5_channel_id || !cfg?.results_channel_id) return;
+
+  await ensureAllAutoEmbeds(guild);
+
+  const actives = await getActiveTournaments(guild.id);
+  const boards = [];
+  for (const tournament of actives) {
+    try {
+      boards.push({ tournament, ...(await updateTournamentBoards(guild, cfg, tournament)) });
+    } catch (e) {
+      console.error(`live boards error (tournament ${tournament.id}):`, e);
+    }
+  }
+
+  const now = new Date();
+  const yyyyMm = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+  const yyyy = now.getFullYear();
+
+  const monthlyEmbed = await buildMonthlyWinnersEmbed(guild.id, yyyyMm);
+  const yearlyEmbed = await buildYearlyWinnersEmbed(guild.id, yyyy);
+  const aoyEmbed = await buildAoyEmbed(guild.id, yyyy, cfg);
+
+  // Big Bass channel
+  try {
+    const ch = await guild.channels.fetch(cfg.bigbass_channel_id);
+    const msg = await ch.messages.fetch(cfg.cur_bigbass_msg_id);
+    const links = boards.map((b) => ({ tournament: b.tournament, messageId: b.bigMsgId }));
+    await msg.edit({ embeds: [liveBoardsEmbed("big", guild.id, ch.id, links)], components: [] });
+  } catch {}
+
+  // Top 5 channel
+  try {
+    const ch = await guild.channels.fetch(cfg.top5_channel_id);
+    const msg = await ch.messages.fetch(cfg.cur_top5_msg_id);
+    const links = boards.map((b) => ({ tournament: b.tournament, messageId: b.top5MsgId }));
+    await msg.edit({ embeds: [liveBoardsEmbed("bag", guild.id, ch.id, links)], components: [] });
+  } catch {}
+
+  // Results channel (monthly + yearly)
+  try {
+    const ch = await guild.channels.fetch(cfg.results_channel_id);
+    const msg = await ch.messages.fetch(cfg.monthly_winners_msg_id);
+    await msg.edit({ embeds: [monthlyEmbed] });
+  } catch {}
+
+  try {
+    const ch = await guild.channels.fetch(cfg.results_channel_id);
+    const msg = await ch.messages.fetch(cfg.yearly_winners_msg_id);
+    await msg.edit({ embeds: [yearlyEmbed] });
+  } catch {}
+
+  try {
+    const ch = await guild.channels.fetch(cfg.results_channel_id);
+    const msg = await ch.messages.fetch(cfg.aoy_msg_id);
+    await msg.edit({ embeds: [aoyEmbed] });
+  } catch {}
+}
+
+// -------------------- SCHEDULER --------------------
+async function postToPanel(guild, content) {
+  const cfg = await getConfig(guild.id);
+  if (!cfg?.panel_channel_id) return;
+  const channel = await guild.channels.fetch(cfg.panel_channel_id).catch(() => null);
+  if (channel) await channel.send({ content });
+}
+
+// Posts only the closest due reminder (a bot that was offline shouldn't fire a backlog of them).
+async function sendDueReminder(guild, tournament, reminders, msRemaining, buildContent) {
+  const sent = JSON.parse(tournament.reminders_sent || "[]");
+  const due = reminders.filter((r) => msRemaining <= r.minutes * 60 * 1000 && !sent.includes(r.key));
+  if (!due.length) return;
+
+  await setRemindersSent(guild.id, tournament.id, [...sent, ...due.map((r) => r.key)]);
+  await postToPanel(guild, buildContent());
+}
+
+// Posts the photo code once per code (once per day when it rotates) and refreshes the panel.
+// Tracked with the reminders so restarts don't repeat it.
+async function announcePhotoCode(guild, tournament) {
+  const code = getVerificationCode(tournament);
+  if (!code) return;
+
+  const daily = isDailyVerification(parseVerification(tournament));
+  const key = daily ? `code_${tournamentDay(new Date())}` : "code";
+  const sent = JSON.parse(tournament.reminders_sent || "[]");
+  if (sent.includes(key)) return;
+
+  await setRemindersSent(guild.id, tournament.id, [...sent, key]);
+  tournament.reminders_sent = JSON.stringify([...sent, key]); // later reminders this tick append to it
+  await refreshPanel(guild);
+  await postToPanel(
+    guild,
+    `🔑 ${daily ? "Today's photo code" : "Photo code"} for **${tournament.name}**: \`${code}\` — ` +
+      "it must be visible in every catch photo."
+  );
+}
+
+// Runs alongside any tournaments already going
+async function startScheduledTournament(guild, tournament) {
+  await activateScheduledTournament(guild.id, tournament.id);
+  await updateAutoEmbeds(guild);
+
+  await postToPanel(
+    guild,
+    `🟢 **${tournament.name}** has started! Weigh-ins are open` +
+      (tournament.scheduled_end_at ? ` until ${discordTime(tournament.scheduled_end_at)}.` : ".")
+  );
+}
+
+async function runScheduledEnd(guild, tournament) {
+  const cfg = await getConfig(guild.id);
+  await runEndTournament(guild, tournament, cfg?.panel_channel_id);
+  await postToPanel(guild, `🛑 **${tournament.name}** has ended. Weigh-ins are closed — finals are posted.`);
+}
+
+let schedulerRunning = false;
+
+async function runSchedulerTick() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+
+  try {
+    const tournaments = await getSchedulerTournaments();
+    const now = Date.now();
+
+    for (const t of tournaments) {
+      try {
+        const guild = client.guilds.cache.get(t.guild_id) || (await client.guilds.fetch(t.guild_id).catch(() => null));
+        if (!guild) continue;
+
+        if (!t.is_active) {
+          const startMs = parseSqliteDate(t.scheduled_start_at).getTime();
+          if (startMs <= now) {
+            await startScheduledTournament(guild, t);
+          } else {
+            await sendDueReminder(guild, t, START_REMINDERS, startMs - now, () =>
+              `⏰ **${t.name}** starts ${discordTime(t.scheduled_start_at, "R")} (${discordTime(t.scheduled_start_at)}).`
+            );
+          }
+          continue;
+        }
+
+        await announcePhotoCode(guild, t);
+        if (!t.scheduled_end_at) continue;
+
+        const endMs = parseSqliteDate(t.scheduled_end_at).getTime();
+        if (endMs <= now) {
+          await runScheduledEnd(guild, t);
+        } else {
+          await sendDueReminder(guild, t, END_REMINDERS, endMs - now, () =>
+            `⏰ Weigh-ins for **${t.name}** close ${discordTime(t.scheduled_end_at, "R")}. Get your fish in!`
+          );
+        }
+      } catch (e) {
+        console.error(`scheduler error (tournament ${t.id}):`, e);
+      }
+    }
+  } catch (e) {
+    console.error("scheduler error:", e);
+  } finally {
+    schedulerRunning = false;
+  }
+}
+
+function startScheduler() {
+  runSchedulerTick();
+  setInterval(runSchedulerTick, SCHEDULER_INTERVAL_MS);
+}
+
+// -------------------- GUILD JOIN / LEAVE --------------------
+// Creates (or un-archives) the guild's config row. A brand-new guild gets a setup note in its
+// system channel; a returning one is told its archived data is back.
+async function setupGuild(guild) {
+  const existing = await getConfig(guild.id);
+  await upsertConfig(guild.id, { archived_at: "" });
+
+  let note = null;
+  if (!existing) {
+    note =
+      "🎣 Thanks for adding the Bass Tournament bot!\n" +
+      "An admin can run **/panel** in the channel anglers should post weigh-ins in, then use **Set Channels** " +
+      "to pick the Big Bass, Top 5 and Results channels.";
+  } else if (existing.archived_at) {
+    note = "🎣 Welcome back! Your tournaments, results and settings have been restored. Run **/panel** to post a fresh panel.";
+  }
+  if (!note) return;
+
+  const channel = guild.systemChannel;
+  if (channel?.permissionsFor(guild.members.me)?.has(PermissionFlagsBits.SendMessages)) {
+    await channel.send(note).catch(() => {});
+  }
+}
+
+async function handleGuildRemoved(guildId) {
+  if (GUILD_LEAVE_ACTION === "delete") {
+    await purgeGuildData(guildId);
+    if (PHOTO_ARCHIVE_DIR) await fs.promises.rm(path.join(PHOTO_ARCHIVE_DIR, guildId), { recursive: true, force: true });
+    console.log(`Removed from guild ${guildId}: data deleted.`);
+  } else {
+    await archiveGuildData(guildId);
+    console.log(`Removed from guild ${guildId}: data archived.`);
+  }
+}
+
+client.on("guildCreate", async (guild) => {
+  try {
+    await setupGuild(guild);
+  } catch (e) {
+    console.error(`guild setup error (${guild.id}):`, e);
+  }
+});
+
+client.on("guildDelete", async (guild) => {
+  // An outage also fires guildDelete, with the guild marked unavailable: keep its data
+  if (guild.available === false) return;
+  try {
+    await handleGuildRemoved(guild.id);
+  } catch (e) {
+    console.error(`guild cleanup error (${guild.id}):`, e);
+  }
+});
+
+// Catches joins/removals that happened while the bot was offline. A guild missing from the cache
+// here may only be on another shard (or this is a different app on the same DB), so it is only
+// ever archived, which undoes itself if the guild shows up again; deleting waits for guildDelete.
+async function syncGuilds() {
+  const known = await getConfiguredGuildIds();
+  for (const guild of client.guilds.cache.values()) {
+    await setupGuild(guild).catch((e) => console.error(`guild setup error (${guild.id}):`, e));
+  }
+  for (const row of known) {
+    if (!row.archived_at && !client.guilds.cache.has(row.guild_id)) {
+      await archiveGuildData(row.guild_id)
+        .then(() => console.log(`Not in guild ${row.guild_id} at startup: data archived.`))
+        .catch((e) => console.error(`guild cleanup error (${row.guild_id}):`, e));
+    }
+  }
+}
+
+// -------------------- TRACK IMAGE UPLOADS --------------------
+client.on("messageCreate", async (message) => {
+  try {
+    if (!message.guild) return;
+    if (message.author?.bot) return;
+
+    // Each image counts as its own upload, so a scale shot + fish shot can go in one message
+    const images = [...message.attachments.filter((a) => (a.contentType || "").startsWith("image/")).values()];
+    if (!images.length) return;
+
+    // Weigh-ins are only taken in the panel channel, so photos anywhere else are never offered
+    const cfg = await getConfig(message.guild.id);
+    if (cfg?.panel_channel_id && message.channel.id !== cfg.panel_channel_id) return;
+
+    const uploads = [];
+    for (const img of images) {
+      const uploadId = await insertUpload({
+        guildId: message.guild.id,
+        channelId: message.channel.id,
+        userId: message.author.id,
+        messageId: message.id,
+        imageUrl: img.url,
+      });
+      uploads.push({ uploadId, img });
+    }
+
+    // Hashed after the rows exist so a slow download never holds up Submit Weigh-in
+    // (the weigh-in form fingerprints any upload still missing its hashes)
+    for (const { uploadId, img } of uploads) {
+      const fingerprint = await fingerprintUrl(img.url, img.size);
+      if (fingerprint) await setUploadFingerprint(message.guild.id, uploadId, fingerprint);
+    }
+  } catch (e) {
+    console.error("upload tracking error:", e);
+  }
+});
+
+// -------------------- READY --------------------
+client.once("clientReady", async () => {
+  console.log(`Logged in as ${client.user.tag}`);
+  try {
+    await registerCommands();
+  } catch (e) {
+    console.error("Failed to register commands:", e);
+  }
+  try {
+    await syncGuilds();
+  } catch (e) {
+    console.error("Failed to sync guilds:", e);
+  }
+  startScheduler();
+});
+
+// -------------------- HELPERS --------------------
+function parseChannelIdFromText(text) {
+  const mention = text.match(/<#(\d{15,25})>/);
+  if (mention) return mention[1];
+  const raw = text.match(/\b(\d{15,25})\b/);
+  if (raw) return raw[1];
+  return null;
+}
+
+function parseRoleIdFromText(text) {
+  const mention = text.match(/<@&(\d{15,25})>/);
+  if (mention) return mention[1];
+  const raw = text.match(/\b(\d{15,25})\b/);
+  if (raw) return raw[1];
+  return null;
+}
+
+function isJudge(interaction, cfg, isAdmin) {
+  if (isAdmin) return true;
+  if (!cfg?.judge_role_id) return false;
+  const roles = interaction.member?.roles;
+  // Cached guilds give a GuildMemberRoleManager, uncached ones a raw array of IDs
+  return Array.isArray(roles) ? roles.includes(cfg.judge_role_id) : !!roles?.cache?.has(cfg.judge_role_id);
+}
+
+function parseUserIdFromText(text) {
+  const mention = text.match(/<@!?(\d{15,25})>/);
+  if (mention) return mention[1];
+  const raw = text.match(/\b(\d{15,25})\b/);
+  if (raw) return raw[1];
+  return null;
+}
+
+// Offset (ms) between a zone's wall clock and UTC at the given instant
+function timeZoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  const wallAsUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return wallAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// "YYYY-MM-DD HH:MM" read as wall-clock time in timeZone. Returns a Date or null.
+function parseScheduleDateTime(text, timeZone) {
+  const m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+
+  const [y, mo, d, h, mi] = m.slice(1).map(Number);
+  const wallAsUtc = Date.UTC(y, mo - 1, d, h, mi);
+  const check = new Date(wallAsUtc);
+  if (check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== d || h > 23) return null;
+
+  // Second pass settles instants that sit across a DST change from the first guess
+  let utc = wallAsUtc - timeZoneOffsetMs(new Date(wallAsUtc), timeZone);
+  utc = wallAsUtc - timeZoneOffsetMs(new Date(utc), timeZone);
+  return new Date(utc);
+}
+
+function isPastScheduledEnd(tournament) {
+  return !!tournament?.scheduled_end_at && parseSqliteDate(tournament.scheduled_end_at) <= new Date();
+}
+
+// Species a tournament accepts: its own restriction, else everything the guild knows
+function allowedSpecies(rules, cfg) {
+  return rules.species || getSpeciesList(cfg);
+}
+
+function speciesTextInput(allowed, value) {
+  const input = new TextInputBuilder()
+    .setCustomId("species")
+    .setLabel("Species")
+    .setPlaceholder(allowed.join(", ").slice(0, 100))
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true);
+  if (value) input.setValue(value);
+  return input;
+}
+
+// Returns { species } or { error }
+function readSpeciesInput(interaction, allowed) {
+  const raw = optionalTextInput(interaction, "species");
+  const species = resolveSpecies(raw, allowed);
+  if (!species) return { error: `❌ Species must be one of: ${allowed.join(", ")}.` };
+  return { species };
+}
+
+// Shared gate for the Submit Weigh-in button, the photo picker and the weigh-in modal (null = open).
+function weighinClosedReply(interaction, cfg, active) {
+  if (cfg?.panel_channel_id && interaction.channelId !== cfg.panel_channel_id) {
+    return ephContent(`❌ Submit weigh-ins in <#${cfg.panel_channel_id}>`);
+  }
+  if (!active) return ephContent("❌ No active tournament. Admin must start one first.");
+  if (isPastScheduledEnd(active)) return ephContent("🔒 Weigh-ins for this tournament are closed.");
+  return null;
+}
+
+// Running tournaments still taking weigh-ins
+async function getOpenTournaments(guildId) {
+  return (await getActiveTournaments(guildId)).filter((t) => !isPastScheduledEnd(t));
+}
+
+// Registration, division and team checks for one angler in one tournament (null = may weigh in).
+async function weighinEntryReply(guildId, tournament, userId) {
+  const unregistered = await registrationClosedReply(guildId, tournament, userId);
+  if (unregistered) return unregistered;
+
+  const noDivision = await divisionMissingReply(guildId, tournament, userId);
+  if (noDivision) return noDivision;
+
+  if (getScoringRules(tournament).teams && !(await getAnglerTeam(guildId, tournament.id, userId))) {
+    return ephContent("🚤 This is a team tournament. Create or join a team under **Teams** first.");
+  }
+  return null;
+}
+
+async function eligibleWeighinTournaments(guildId, tournaments, userId) {
+  const eligible = [];
+  for (const t of tournaments) {
+    if (!(await weighinEntryReply(guildId, t, userId))) eligible.push(t);
+  }
+  return eligible;
+}
+
+// "All" is only offered when the tournaments measure fish the same way, so one form fits them all.
+function weighinTargetPayload(open, eligible) {
+  const modes = new Set(eligible.map((t) => getScoringRules(t).mode));
+  const all =
+    eligible.length > 1 && modes.size === 1
+      ? [
+          {
+            label: `All my tournaments (${eligible.length})`,
+            description: eligible
+              .map((t) => t.name)
+              .join(", ")
+              .slice(0, 100),
+            value: "all",
+          },
+        ]
+      : [];
+  const content = "🎣 Several tournaments are open. Which is this fish for?";
+  return tournamentPickerPayload("weighin_target", open, content, all);
+}
+
+// The weigh-in target rides along in the photo picker and modal custom IDs: a tournament id, or "all"
+// for every open tournament the angler can enter. No target (older buttons) means the latest active one.
+// Returns { tournaments, team, target } or { reply }.
+async function resolveWeighinTarget(interaction, cfg, target) {
+  const guildId = interaction.guildId;
+  const userId = interaction.user.id;
+
+  if (target === "all") {
+    const open = await getOpenTournaments(guildId);
+    const closed = weighinClosedReply(interaction, cfg, open[0] || null);
+    if (closed) return { reply: closed };
+
+    const tournaments = await eligibleWeighinTournaments(guildId, open, userId);
+    if (!tournaments.length) {
+      return { reply: ephContent("❌ You can't weigh in to any open tournament yet. Pick one to see why.") };
+    }
+    if (new Set(tournaments.map((t) => getScoringRules(t).mode)).size > 1) {
+      return { reply: ephContent("❌ These tournaments measure fish differently. Submit to one at a time.") };
+    }
+    return { tournaments, team: null, target };
+  }
+
+  const found = target ? await getTournament(guildId, Number(target)) : await getActiveTournament(guildId);
+  const tournament = found?.is_active ? found : null;
+  const closed = weighinClosedReply(interaction, cfg, tournament);
+  if (closed) return { reply: closed };
+
+  const notEntered = await weighinEntryReply(guildId, tournament, userId);
+  if (notEntered) return { reply: notEntered };
+
+  const team = getScoringRules(tournament).teams ? await getAnglerTeam(guildId, tournament.id, userId) : null;
+  return { tournaments: [tournament], team, target: String(tournament.id) };
+}
+
+// One form for several tournaments: any tournament's dead-fish question and every species any of them takes.
+function combinedWeighinRules(tournaments) {
+  const all = tournaments.map(getScoringRules);
+  const species = all.some((r) => !r.species) ? null : [...new Set(all.flatMap((r) => r.species))];
+  return { ...all[0], species, deadFishPenalty: Math.max(...all.map((r) => r.deadFishPenalty)) };
+}
+
+// After the tournament pick: straight to the form for a single waiting photo, else the photo picker
+// (replacing the tournament picker when there was one).
+async function openWeighinForm(interaction, cfg, { tournaments, team, target }) {
+  const uploads = await getUnusedUploads({
+    guildId: interaction.guildId,
+    channelId: interaction.channelId,
+    userId: interaction.user.id,
+  });
+  if (!uploads.length) {
+    return interaction.reply(
+      ephContent("❌ I don’t see a recent photo from you here.\nUpload your photo first, then try again.")
+    );
+  }
+  if (uploads.length === 1) {
+    return interaction.showModal(weighinModal(tournaments, cfg, team, [uploads[0].id], target));
+  }
+
+  const picker = photoPickerPayload(uploads, target);
+  if (interaction.isStringSelectMenu()) return interaction.update(picker);
+  return interaction.reply({ ...picker, flags: EPHEMERAL_FLAG });
+}
+
+// The chosen upload ids and the target ride along in the custom ID: weighin_modal:<id>-<id>...:<target>
+// The title reminds the angler of the photo code(s) in effect.
+function weighinModal(tournaments, cfg, team, uploadIds, target) {
+  const rules = combinedWeighinRules(tournaments);
+  const codes = [...new Set(tournaments.map(getVerificationCode).filter(Boolean))];
+  const modal = new ModalBuilder()
+    .setCustomId(`weighin_modal:${uploadIds.join("-")}:${target}`)
+    .setTitle((codes.length ? `Submit Weigh-in — Code ${codes.join("/")}` : "Submit Weigh-in").slice(0, 45));
+
+  const weightInput = new TextInputBuilder()
+    .setCustomId("weight")
+    .setLabel(MEASURES[rules.mode].inputLabel)
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true);
+
+  const notesInput = new TextInputBuilder()
+    .setCustomId("notes")
+    .setLabel("Notes (optional)")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(false);
+
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(weightInput),
+    new ActionRowBuilder().addComponents(speciesTextInput(allowedSpecies(rules, cfg))),
+    new ActionRowBuilder().addComponents(notesInput)
+  );
+
+  if (rules.deadFishPenalty) {
+    const deadInput = new TextInputBuilder()
+      .setCustomId("dead")
+      .setLabel("Dead fish? (yes / no)")
+      .setStyle(TextInputStyle.Short)
+      .setValue("no")
+      .setRequired(true);
+    modal.addComponents(new ActionRowBuilder().addComponents(deadInput));
+  }
+
+  if (team?.members.length > 1) {
+    const caughtByInput = new TextInputBuilder()
+      .setCustomId("caught_by")
+      .setLabel("Caught by (blank = you)")
+      .setPlaceholder("@partner or user ID")
+      .setStyle(TextInputStyle.Short)
+      .setRequired(false);
+    modal.addComponents(new ActionRowBuilder().addComponents(caughtByInput));
+  }
+
+  return modal;
+}
+
+// Text inputs that are only added to a modal under some rules (reads "" when absent)
+function optionalTextInput(interaction, customId) {
+  if (!interaction.fields.fields.has(customId)) return "";
+  return (interaction.fields.getTextInputValue(customId) || "").trim();
+}
+
+function csvCell(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns.join(","), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+// RFC 4180-ish: quoted fields may hold commas, quotes ("") and newlines. Returns rows of cells.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// CSV: one file per table. JSON: one file, each table trimmed to its export columns.
+function exportAttachments(data, format, baseName) {
+  if (format === "csv") {
+    return Object.entries(EXPORT_COLUMNS).map(
+      ([table, columns]) =>
+        new AttachmentBuilder(Buffer.from(toCsv(columns, data[table]), "utf8"), { name: `${baseName}-${table}.csv` })
+    );
+  }
+
+  const json = { exported_at: new Date().toISOString() };
+  for (const [table, columns] of Object.entries(EXPORT_COLUMNS)) {
+    json[table] = data[table].map((row) => Object.fromEntries(columns.map((c) => [c, row[c] ?? null])));
+  }
+  return [new AttachmentBuilder(Buffer.from(JSON.stringify(json, null, 2), "utf8"), { name: `${baseName}.json` })];
+}
+
+// YYYY-MM-DD or spreadsheet-style M/D/YYYY -> YYYY-MM-DD, or null.
+function parseImportDate(raw) {
+  const iso = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const us = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!iso && !us) return null;
+
+  const [y, mo, d] = (iso ? [iso[1], iso[2], iso[3]] : [us[3], us[1], us[2]]).map(Number);
+  const date = new Date(Date.UTC(y, mo - 1, d));
+  if (date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// Checks every row of an import CSV. Anglers are left raw here (see resolveImportAnglers).
+// Returns { rows, errors } where errors are "Line N: ..." strings.
+function parseImportCsv(text) {
+  const [header, ...body] = parseCsv(text.replace(/^\uFEFF/, ""));
+  const columns = (header || []).map((h) => h.trim().toLowerCase().replace(/\s+/g, "_"));
+  const missing = IMPORT_COLUMNS.filter((c) => !columns.includes(c));
+  if (missing.length) return { rows: [], errors: [`Header is missing: ${missing.join(", ")}.`] };
+  if (!body.length) return { rows: [], errors: ["The file has no data rows."] };
+  if (body.length > IMPORT_MAX_ROWS) return { rows: [], errors: [`Too many rows (max ${IMPORT_MAX_ROWS}).`] };
+
+  const today = new Date().toISOString().slice(0, 10);
+  const rows = [];
+  const errors = [];
+
+  body.forEach((cells, i) => {
+    const line = i + 2;
+    const get = (c) => (cells[columns.indexOf(c)] || "").trim();
+    const problems = [];
+
+    const name = get("name");
+    if (!name) problems.push("name is empty");
+    if (name.length > 100) problems.push("name is over 100 characters");
+
+    const date = parseImportDate(get("date"));
+    if (!date) problems.push(`date "${get("date")}" isn't YYYY-MM-DD`);
+    else if (date > today) problems.push("date is in the future");
+
+    const angler = get("angler");
+    if (!angler) problems.push("angler is empty");
+
+    const nums = {};
+    for (const c of ["big_bass", "total_bag", "fish_count"]) {
+      const n = Number(get(c) || 0);
+      if (!Number.isFinite(n) || n < 0 || n > 1000) problems.push(`${c} "${get(c)}" isn't a number from 0 to 1000`);
+      nums[c] = n;
+    }
+    if (!Number.isInteger(nums.fish_count)) problems.push("fish_count must be a whole number");
+
+    if (problems.length) errors.push(`Line ${line}: ${problems.join("; ")}.`);
+    else rows.push({ line, name, date, angler, ...nums });
+  });
+
+  return { rows, errors };
+}
+
+// Turns the angler column (ID, <@mention> or username) into user IDs. Usernames are looked up in
+// the guild and must match exactly one member.
+async function resolveImportAnglers(guild, rows, errors) {
+  const cache = new Map();
+  for (const row of rows) {
+    const key = row.angler.toLowerCase();
+    if (!cache.has(key)) {
+      let userId = parseUserIdFromText(row.angler);
+      if (!userId) {
+        const name = row.angler.replace(/^@/, "").toLowerCase();
+        const found = await guild.members.fetch({ query: name, limit: 10 }).catch(() => null);
+        const matches = [...(found?.values() || [])].filter((m) =>
+          [m.user.username, m.user.globalName, m.displayName].some((n) => n?.toLowerCase() === name)
+        );
+        userId = matches.length === 1 ? matches[0].id : null;
+      }
+      cache.set(key, userId);
+    }
+
+    row.user_id = cache.get(key);
+    if (!row.user_id) errors.push(`Line ${row.line}: couldn't find exactly one member named "${row.angler}".`);
+  }
+  return rows.filter((r) => r.user_id);
+}
+
+// Groups rows into tournaments by (name, date) and catches duplicates inside the file and
+// tournaments that were already imported.
+function buildImportPlan(rows, errors, existingKeys) {
+  const tournaments = new Map();
+  for (const row of rows) {
+    const key = `${row.name.toLowerCase()}|${row.date}`;
+    if (existingKeys.has(key)) {
+      errors.push(`Line ${row.line}: "${row.name}" on ${row.date} already exists.`);
+      continue;
+    }
+    if (!tournaments.has(key)) tournaments.set(key, { name: row.name, date: row.date, results: [] });
+
+    const t = tournaments.get(key);
+    if (t.results.some((r) => r.user_id === row.user_id)) {
+      errors.push(`Line ${row.line}: <@${row.user_id}> appears twice in "${row.name}" on ${row.date}.`);
+      continue;
+    }
+    t.results.push({ user_id: row.user_id, big_bass: row.big_bass, total_bag: row.total_bag, fish_count: row.fish_count });
+  }
+
+  return { tournaments: [...tournaments.values()].sort((a, b) => a.date.localeCompare(b.date)) };
+}
+
+// flag (default): send to the judges queue with the original shown; block: refuse the weigh-in.
+function getPhotoCheckMode(cfg) {
+  return PHOTO_CHECK_MODES.includes(cfg?.photo_check) ? cfg.photo_check : "flag";
+}
+
+function parseIdFromCustomId(customId) {
+  const id = Number(customId.split(":")[1]);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// -------------------- INTERACTIONS --------------------
+client.on("interactionCreate", async (interaction) => {
+  // Everything is per-guild; commands are guild-only, this also drops stray DM components
+  if (!interaction.inGuild()) return;
+
+  try {
+    const isAdmin =
+      interaction.memberPermissions?.has(PermissionFlagsBits.Administrator) ||
+      interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
+
+    // /panel (admin only)
+    if (interaction.isChatInputCommand()) {
+      if (interaction.commandName === "import-results") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const file = interaction.options.getAttachment("file", true);
+        if (!file.name.toLowerCase().endsWith(".csv")) return interaction.reply(ephContent("❌ Upload a .csv file."));
+        if (file.size > IMPORT_MAX_BYTES) return interaction.reply(ephContent("❌ That file is over 1 MB."));
+
+        // Downloading + member lookups can take longer than the 3s reply window
+        await interaction.deferReply({ flags: EPHEMERAL_FLAG });
+
+        // The timeout covers reading the body too, so a stalled download can't hold the reply open
+        const signal = AbortSignal.timeout(IMPORT_DOWNLOAD_TIMEOUT_MS);
+        const res = await fetch(file.url, { signal }).catch(() => null);
+        const text = res?.ok ? await res.text().catch(() => null) : null;
+        if (text === null) return interaction.editReply("❌ Couldn't download that file. Try again.");
+
+        const { rows, errors } = parseImportCsv(text);
+        const resolved = await resolveImportAnglers(interaction.guild, rows, errors);
+        const plan = buildImportPlan(resolved, errors, await getEndedTournamentKeys(interaction.guildId));
+
+        if (errors.length || !plan.tournaments.length) {
+          return interaction.editReply({ embeds: [importPreviewEmbed(plan, errors, file.name)] });
+        }
+
+        const importId = await createPendingImport(interaction.guildId, interaction.user.id, file.name, plan);
+        return interaction.editReply({
+          embeds: [importPreviewEmbed(plan, errors, file.name)],
+          components: importComponents(importId),
+        });
+      }
+
+      if (interaction.commandName === "profile") {
+        const user = interaction.options.getUser("angler") || interaction.user;
+        const profile = await getAnglerProfile(interaction.guildId, user.id, await getConfig(interaction.guildId));
+        return interaction.reply(await profilePayload(interaction.guild, user, profile));
+      }
+
+      if (interaction.commandName !== "panel") return;
+      if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+      const existing = await getConfig(interaction.guildId);
+
+      // Default all channels to where /panel ran if not set yet
+      await upsertConfig(interaction.guildId, {
+        panel_channel_id: interaction.channelId,
+        bigbass_channel_id: existing?.bigbass_channel_id || interaction.channelId,
+        top5_channel_id: existing?.top5_channel_id || interaction.channelId,
+        results_channel_id: existing?.results_channel_id || interaction.channelId,
+      });
+
+      const cfg = await getConfig(interaction.guildId);
+      const actives = await getActiveTournaments(interaction.guildId);
+      const scheduled = await getScheduledTournaments(interaction.guildId);
+
+      await ensureAllAutoEmbeds(interaction.guild);
+      await updateAutoEmbeds(interaction.guild);
+
+      const panelMsg = await interaction.channel.send({
+        embeds: [panelEmbed(actives, cfg, scheduled)],
+        components: panelComponents(true),
+      });
+      // The latest /panel post is kept current (active tournament, photo code)
+      await upsertConfig(interaction.guildId, { panel_msg_id: panelMsg.id });
+
+      return interaction.reply(ephContent("✅ Panel posted."));
+    }
+
+    // Buttons
+    if (interaction.isButton()) {
+      const cfg = await getConfig(interaction.guildId);
+      const active = await getActiveTournament(interaction.guildId);
+
+      if (interaction.customId === "set_channels") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const modal = new ModalBuilder().setCustomId("set_channels_modal").setTitle("Set Channels");
+
+        // Labels MUST be <= 45 chars
+        const panelInput = new TextInputBuilder()
+          .setCustomId("panel_ch")
+          .setLabel("Panel channel (#channel or ID)")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true);
+
+        const bigInput = new TextInputBuilder()
+          .setCustomId("big_ch")
+          .setLabel("Big Bass channel (#channel or ID)")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true);
+
+        const topInput = new TextInputBuilder()
+          .setCustomId("top_ch")
+          .setLabel("Top 5 channel (#channel or ID)")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true);
+
+        const resInput = new TextInputBuilder()
+          .setCustomId("res_ch")
+          .setLabel("Results channel (#channel or ID)")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true);
+
+        const archiveInput = new TextInputBuilder()
+          .setCustomId("archive_ch")
+          .setLabel("Photo archive channel (blank = none)")
+          .setPlaceholder("Bot-only channel that keeps weigh-in photos")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false);
+        if (cfg?.archive_channel_id) archiveInput.setValue(cfg.archive_channel_id);
+
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(panelInput),
+          new ActionRowBuilder().addComponents(bigInput),
+          new ActionRowBuilder().addComponents(topInput),
+          new ActionRowBuilder().addComponents(resInput),
+          new ActionRowBuilder().addComponents(archiveInput)
+        );
+
+        return interaction.showModal(modal);
+      }
+
+      if (interaction.customId === "reset_month" || interaction.customId === "reset_year") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const scope = interaction.customId === "reset_month" ? "month" : "year";
+        const period = resetPeriod(scope);
+        const counts = await countResetResults(interaction.guildId, scope, period);
+        if (!counts.results) {
+          return interaction.reply(ephContent(`ℹ️ No finalized results for **${period}** — nothing to reset.`));
+        }
+
+        return interaction.reply({ ...resetConfirmPayload(scope, period, counts), flags: EPHEMERAL_FLAG });
+      }
+
+      if (interaction.customId.startsWith("reset_confirm:")) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        // The period is pinned by the confirmation, so confirming just after midnight can't hit the next month
+        const [, scope, period] = interaction.customId.split(":");
+        if (!RESET_SCOPES[scope]) return interaction.update({ content: "❌ Unknown reset.", components: [] });
+
+        const { batchId, count } = await archiveResetResults(interaction.guildId, scope, period, interaction.user.id);
+        if (!batchId) {
+          return interaction.update({ content: `ℹ️ Nothing left to reset for **${period}**.`, components: [] });
+        }
+        await updateAutoEmbeds(interaction.guild);
+
+        return interaction.update({
+          content:
+            `✅ ${RESET_SCOPES[scope].label} results reset for **${period}**: ${count} result(s) archived as ` +
+            `batch **#${batchId}**. Restore it from **Reset History** if this was a mistake.`,
+          components: [],
+        });
+      }
+
+      if (interaction.customId === "reset_cancel") {
+        return interaction.update({ content: "Reset cancelled. Nothing was changed.", components: [] });
+      }
+
+      if (interaction.customId === "reset_history") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+        return interaction.reply({ ...(await loadResetHistoryPayload(interaction.guildId)), flags: EPHEMERAL_FLAG });
+      }
+
+      if (interaction.customId === "review_settings") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const modal = new ModalBuilder().setCustomId("review_settings_modal").setTitle("Review Settings");
+
+        const requiredInput = new TextInputBuilder()
+          .setCustomId("review_required")
+          .setLabel("Require judge review? (yes / no)")
+          .setStyle(TextInputStyle.Short)
+          .setValue(cfg?.review_required ? "yes" : "no")
+          .setRequired(true);
+
+        const judgesInput = new TextInputBuilder()
+          .setCustomId("judges_ch")
+          .setLabel("Judges channel (#channel or ID)")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false);
+        if (cfg?.judges_channel_id) judgesInput.setValue(cfg.judges_channel_id);
+
+        const roleInput = new TextInputBuilder()
+          .setCustomId("judge_role")
+          .setLabel("Judge role (@role or ID, blank = admins)")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false);
+        if (cfg?.judge_role_id) roleInput.setValue(cfg.judge_role_id);
+
+        const photoCheckInput = new TextInputBuilder()
+          .setCustomId("photo_check")
+          .setLabel("Reused photos? (flag / block / off)")
+          .setStyle(TextInputStyle.Short)
+          .setValue(getPhotoCheckMode(cfg))
+          .setRequired(true);
+
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(requiredInput),
+          new ActionRowBuilder().addComponents(judgesInput),
+          new ActionRowBuilder().addComponents(roleInput),
+          new ActionRowBuilder().addComponents(photoCheckInput)
+        );
+
+        return interaction.showModal(modal);
+      }
+
+      if (interaction.customId.startsWith("judge_approve:")) {
+        if (!isJudge(interaction, cfg, isAdmin)) return interaction.reply(ephContent("❌ Judges only."));
+
+        const weighinId = parseIdFromCustomId(interaction.customId);
+        const group = await getWeighInGroup(interaction.guildId, await getWeighIn(interaction.guildId, weighinId));
+        const pending = group.filter((w) => w.status === "pending");
+        const feedBefore = await feedBoardsBeforeEach(interaction.guildId, cfg, pending);
+
+        const decided = await reviewWeighIn({
+          guildId: interaction.guildId,
+          weighinId,
+          status: "approved",
+          reviewerId: interaction.user.id,
+        });
+        if (!decided.length) return interaction.reply(ephContent("❌ That weigh-in was already reviewed."));
+
+        return finishReview(interaction, decided, feedBefore);
+      }
+
+      if (interaction.customId.startsWith("judge_reject:") || interaction.customId.startsWith("judge_adjust:")) {
+        if (!isJudge(interaction, cfg, isAdmin)) return interaction.reply(ephContent("❌ Judges only."));
+
+        const weighinId = parseIdFromCustomId(interaction.customId);
+        const weighin = await getWeighIn(interaction.guildId, weighinId);
+        const group = await getWeighInGroup(interaction.guildId, weighin);
+        if (!group.some((w) => w.status === "pending")) {
+          return interaction.reply(ephContent("❌ That weigh-in was already reviewed."));
+        }
+
+        const isReject = interaction.customId.startsWith("judge_reject:");
+        const modal = new ModalBuilder()
+          .setCustomId(`${isReject ? "judge_reject_modal" : "judge_adjust_modal"}:${weighinId}`)
+          .setTitle(isReject ? `Reject Weigh-in #${weighinId}` : `Adjust Weigh-in #${weighinId}`);
+
+        const input = isReject
+          ? new TextInputBuilder()
+              .setCustomId("reason")
+              .setLabel("Reason (sent to the angler)")
+              .setStyle(TextInputStyle.Paragraph)
+              .setMaxLength(500)
+              .setRequired(true)
+          : new TextInputBuilder()
+              .setCustomId("weight")
+              .setLabel(`Correct ${MEASURES[weighinMode(weighin)].inputLabel}`.slice(0, 45))
+              .setStyle(TextInputStyle.Short)
+              .setValue(formatLb(weighinValue(weighin)))
+              .setRequired(true);
+
+        modal.addComponents(new ActionRowBuilder().addComponents(input));
+        return interaction.showModal(modal);
+      }
+
+      if (interaction.customId === "species_settings") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const modal = new ModalBuilder().setCustomId("species_settings_modal").setTitle("Species Settings");
+
+        const extrasInput = new TextInputBuilder()
+          .setCustomId("extra_species")
+          .setLabel("Extra species (comma separated)")
+          .setPlaceholder("e.g. guadalupe, redeye, shoal")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false);
+        if (cfg?.extra_species) extrasInput.setValue(cfg.extra_species);
+
+        const leadersInput = new TextInputBuilder()
+          .setCustomId("species_leaders")
+          .setLabel("Per-species leaders on Big Bass? (yes / no)")
+          .setStyle(TextInputStyle.Short)
+          .setValue(cfg?.species_leaders ? "yes" : "no")
+          .setRequired(true);
+
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(extrasInput),
+          new ActionRowBuilder().addComponents(leadersInput)
+        );
+        return interaction.showModal(modal);
+      }
+
+      if (interaction.customId === "aoy_settings") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const settings = getAoySettings(cfg);
+        const modal = new ModalBuilder().setCustomId("aoy_settings_modal").setTitle("Angler of the Year Points");
+
+        const pointsInput = new TextInputBuilder()
+          .setCustomId("points")
+          .setLabel("Points by place (comma separated)")
+          .setPlaceholder("1st, 2nd, 3rd, ... e.g. 25, 20, 18, 16")
+          .setStyle(TextInputStyle.Short)
+          .setValue(settings.points.join(", "))
+          .setRequired(false);
+
+        const participationInput = new TextInputBuilder()
+          .setCustomId("participation")
+          .setLabel("Participation points per event")
+          .setStyle(TextInputStyle.Short)
+          .setValue(String(settings.participation))
+          .setRequired(true);
+
+        const dropInput = new TextInputBuilder()
+          .setCustomId("drop_worst")
+          .setLabel("Drop each angler's worst N events")
+          .setStyle(TextInputStyle.Short)
+          .setValue(String(settings.dropWorst))
+          .setRequired(true);
+
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(pointsInput),
+          new ActionRowBuilder().addComponents(participationInput),
+          new ActionRowBuilder().addComponents(dropInput)
+        );
+        return interaction.showModal(modal);
+      }
+
+      if (interaction.customId === "feed_settings") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const modal = new ModalBuilder().setCustomId("feed_settings_modal").setTitle("Weigh-in Feed");
+
+        const feedInput = new TextInputBuilder()
+          .setCustomId("feed_ch")
+          .setLabel("Feed channel (blank = off)")
+          .setPlaceholder("Public post for every weigh-in")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false);
+        if (cfg?.feed_channel_id) feedInput.setValue(cfg.feed_channel_id);
+
+        const calloutsInput = new TextInputBuilder()
+          .setCustomId("feed_callouts")
+          .setLabel("Lead-change call-outs? (yes / no)")
+          .setStyle(TextInputStyle.Short)
+          .setValue(cfg?.feed_callouts === 0 ? "no" : "yes")
+          .setRequired(true);
+
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(feedInput),
+          new ActionRowBuilder().addComponents(calloutsInput)
+        );
+        return interaction.showModal(modal);
+      }
+
+      if (interaction.customId === "weighin_tools") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const tournaments = await getRecentTournaments(interaction.guildId);
+        if (!tournaments.length) return interaction.reply(ephContent("❌ No tournaments yet."));
+
+        const select = new StringSelectMenuBuilder()
+          .setCustomId("admin_wi_tournament")
+          .setPlaceholder("Pick a tournament")
+          .addOptions(tournamentSelectOptions(tournaments));
+
+        return interaction.reply({
+          content: "🛠️ Pick the tournament to search, then enter the angler.",
+          components: [new ActionRowBuilder().addComponents(select)],
+          flags: EPHEMERAL_FLAG,
+        });
+      }
+
+      if (interaction.customId.startsWith("admin_audit_history:")) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const userId = interaction.customId.split(":")[1];
+        const entries = await getAnglerAuditHistory(interaction.guildId, userId);
+        return interaction.reply(ephEmbeds([auditHistoryEmbed(userId, entries)]));
+      }
+
+      if (
+        interaction.customId.startsWith("admin_wi_edit:") ||
+        interaction.customId.startsWith("admin_wi_void:") ||
+        interaction.customId.startsWith("admin_wi_restore:") ||
+        interaction.customId.startsWith("admin_wi_dead:")
+      ) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const [action, rawId] = interaction.customId.split(":");
+        const weighin = await getWeighIn(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!weighin) return interaction.reply(ephContent("❌ Weigh-in not found."));
+
+        const modal = new ModalBuilder().setCustomId(`${action}_modal:${rawId}`);
+        const rows = [];
+
+        if (action === "admin_wi_edit") {
+          modal.setTitle(`Edit Weigh-in #${weighin.id}`);
+          rows.push(
+            new TextInputBuilder()
+              .setCustomId("weight")
+              .setLabel(MEASURES[weighinMode(weighin)].inputLabel)
+              .setStyle(TextInputStyle.Short)
+              .setValue(formatLb(weighinValue(weighin)))
+              .setRequired(true),
+            new TextInputBuilder()
+              .setCustomId("angler")
+              .setLabel("Angler (@user or ID)")
+              .setStyle(TextInputStyle.Short)
+              .setValue(weighin.user_id)
+              .setRequired(true),
+            speciesTextInput(getSpeciesList(cfg), weighin.species),
+            new TextInputBuilder()
+              .setCustomId("notes")
+              .setLabel("Notes")
+              .setStyle(TextInputStyle.Paragraph)
+              .setValue(weighin.notes || "")
+              .setRequired(false)
+          );
+        } else if (action === "admin_wi_dead") {
+          // The edit modal is already at the 5-input cap, so the dead-fish flag toggles from its own button
+          modal.setTitle(`Mark Weigh-in #${weighin.id} ${weighin.is_dead ? "Alive" : "Dead"}`);
+        } else {
+          modal.setTitle(`${action === "admin_wi_void" ? "Void" : "Restore"} Weigh-in #${weighin.id}`);
+        }
+
+        rows.push(
+          new TextInputBuilder()
+            .setCustomId("reason")
+            .setLabel("Reason (kept in the audit log)")
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(500)
+            .setRequired(true)
+        );
+
+        modal.addComponents(rows.map((input) => new ActionRowBuilder().addComponents(input)));
+        return interaction.showModal(modal);
+      }
+
+      if (interaction.customId === "my_weighins") {
+        const actives = await getActiveTournaments(interaction.guildId);
+        if (!actives.length) return interaction.reply(ephContent("❌ No active tournament."));
+        if (actives.length > 1) {
+          const picker = tournamentPickerPayload("my_weighins_pick", actives, "🐟 Which tournament's weigh-ins?");
+          return interaction.reply({ ...picker, flags: EPHEMERAL_FLAG });
+        }
+
+        const weighins = await getAnglerWeighIns(interaction.guildId, actives[0].id, interaction.user.id);
+        return interaction.reply({ ...myWeighInsPayload(actives[0], weighins), flags: EPHEMERAL_FLAG });
+      }
+
+      if (interaction.customId.startsWith("my_wi_edit:")) {
+        const { weighin, tournament, error } = await getOwnEditableWeighIn(
+          interaction,
+          parseIdFromCustomId(interaction.customId)
+        );
+        if (error) return interaction.reply(ephContent(error));
+
+        const modal = new ModalBuilder().setCustomId(`my_wi_edit_modal:${weighin.id}`).setTitle(`Edit Weigh-in #${weighin.id}`);
+
+        const weightInput = new TextInputBuilder()
+          .setCustomId("weight")
+          .setLabel(MEASURES[weighinMode(weighin)].inputLabel)
+          .setStyle(TextInputStyle.Short)
+          .setValue(formatLb(weighinValue(weighin)))
+          .setRequired(true);
+
+        const notesInput = new TextInputBuilder()
+          .setCustomId("notes")
+          .setLabel("Notes (optional)")
+          .setStyle(TextInputStyle.Paragraph)
+          .setValue(weighin.notes || "")
+          .setRequired(false);
+
+        const allowed = allowedSpecies(getScoringRules(tournament), cfg);
+
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(weightInput),
+          new ActionRowBuilder().addComponents(speciesTextInput(allowed, weighin.species)),
+          new ActionRowBuilder().addComponents(notesInput)
+        );
+        return interaction.showModal(modal);
+      }
+
+      if (interaction.customId.startsWith("my_wi_withdraw:")) {
+        const { weighin, error } = await getOwnEditableWeighIn(interaction, parseIdFromCustomId(interaction.customId));
+        if (error) return interaction.reply(ephContent(error));
+
+        return interaction.update({
+          content: `⚠️ Withdraw weigh-in #${weighin.id} (${formatWeighIn(weighin)})? This can't be undone.`,
+          components: [
+            new ActionRowBuilder().addComponents(
+              new ButtonBuilder()
+                .setCustomId(`my_wi_withdraw_confirm:${weighin.id}`)
+                .setLabel("Yes, withdraw")
+                .setStyle(ButtonStyle.Danger)
+            ),
+          ],
+        });
+      }
+
+      if (interaction.customId.startsWith("my_wi_withdraw_confirm:")) {
+        const { weighin, tournament, error } = await getOwnEditableWeighIn(
+          interaction,
+          parseIdFromCustomId(interaction.customId)
+        );
+        if (error) return interaction.update({ content: error, embeds: [], components: [] });
+
+        await correctWeighIn({
+          guildId: interaction.guildId,
+          weighinId: weighin.id,
+          actorId: interaction.user.id,
+          action: "withdraw",
+          patch: { status: "withdrawn" },
+          reason: "Withdrawn by angler",
+        });
+        await updateAutoEmbeds(interaction.guild);
+
+        const weighins = await getAnglerWeighIns(interaction.guildId, tournament.id, interaction.user.id);
+        return interaction.update({
+          content: `↩️ Weigh-in #${weighin.id} withdrawn.`,
+          ...myWeighInsPayload(tournament, weighins),
+        });
+      }
+
+      if (interaction.customId.startsWith("import_confirm:") || interaction.customId.startsWith("import_cancel:")) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+        // A big import can outlast the 3-second window; answering first keeps the token for the result
+        await interaction.deferUpdate();
+
+        const importId = parseIdFromCustomId(interaction.customId);
+        const pending = await getPendingImport(interaction.guildId, importId);
+        // Deleting first means a double click can't import twice
+        if (!pending || !(await deletePendingImport(interaction.guildId, importId))) {
+          return interaction.editReply({ content: "❌ This import was already used or cancelled.", components: [] });
+        }
+
+        if (interaction.customId.startsWith("import_cancel:")) {
+          return interaction.editReply({ content: "Import cancelled. Nothing was saved.", components: [] });
+        }
+
+        // Re-check in case the same rows were imported since the dry run
+        const errors = [];
+        const existing = await getEndedTournamentKeys(interaction.guildId);
+        for (const t of pending.plan.tournaments) {
+          if (existing.has(`${t.name.toLowerCase()}|${t.date}`)) errors.push(`"${t.name}" on ${t.date} already exists.`);
+        }
+        if (errors.length) {
+          return interaction.editReply({
+            content: `❌ Nothing imported:\n${errors.slice(0, 10).join("\n")}`,
+            components: [],
+          });
+        }
+
+        await commitImport(interaction.guildId, pending.plan);
+        await updateAutoEmbeds(interaction.guild);
+
+        const resultCount = pending.plan.tournaments.reduce((sum, t) => sum + t.results.length, 0);
+        return interaction.editReply({
+          content: `✅ Imported ${pending.plan.tournaments.length} tournament(s) and ${resultCount} result row(s).`,
+          components: [],
+        });
+      }
 
-  if (existingMessageId) {
-    try {
-      const msg = await channel.messages.fetch(existingMessageId);
-      return { messageId: msg.id };
-    } catch {
-      // fall through
-    }
-  }
-  const created = await channel.send({ embeds: [createEmbed()] });
-  return { messageId: created.id };
-}
+      if (interaction.customId === "export_data") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
 
-async function ensureAllAutoEmbeds(guild) {
-  const cfg = await getConfig(guild.id);
-  if (!cfg?.bigbass_channel_id || !cfg?.top5_channel_id || !cfg?.results_channel_id) return;
+        const tournaments = await getRecentTournaments(interaction.guildId);
+        const months = await getResultMonths(interaction.guildId);
+        return interaction.reply({ ...exportPayload(tournaments, months), flags: EPHEMERAL_FLAG });
+      }
 
-  const now = new Date();
-  const yyyyMm = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
-  const yyyy = now.getFullYear();
+      if (interaction.customId.startsWith("export_file:")) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
 
-  const big = await ensureMessage(guild, cfg.bigbass_channel_id, cfg.cur_bigbass_msg_id, () =>
-    bigBassCurrentEmbed("No Active Tournament", [])
-  );
+        const [, format, ...scopeParts] = interaction.customId.split(":");
+        const scope = scopeParts.join(":");
+        const data = await getExportData(interaction.guildId, scope);
+        if (!data.tournaments.length) return interaction.reply(ephContent("❌ Nothing to export for that pick."));
 
-  const top5 = await ensureMessage(guild, cfg.top5_channel_id, cfg.cur_top5_msg_id, () =>
-    top5Embed("No Active Tournament", [])
-  );
+        const baseName = scope.startsWith("t:") ? `tournament-${scope.slice(2)}` : scope.replace(":", "-");
+        return interaction.reply({
+          content: `✅ ${data.tournaments.length} tournament(s), ${data.weighins.length} weigh-in(s), ${data.results.length} result row(s).`,
+          files: exportAttachments(data, format, baseName),
+          flags: EPHEMERAL_FLAG,
+        });
+      }
 
-  const mon = await ensureMessage(guild, cfg.results_channel_id, cfg.monthly_winners_msg_id, () =>
-    monthlyWinnersEmbed(yyyyMm, null)
-  );
+      if (interaction.customId === "profile") {
+        const modal = new ModalBuilder().setCustomId("profile_modal").setTitle("Angler Profile");
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId("angler")
+              .setLabel("Angler (@mention or user ID, blank = you)")
+              .setStyle(TextInputStyle.Short)
+              .setRequired(false)
+          )
+        );
+        return interaction.showModal(modal);
+      }
 
-  const yr = await ensureMessage(guild, cfg.results_channel_id, cfg.yearly_winners_msg_id, () =>
-    yearlyWinnersEmbed(yyyy, null)
-  );
+      if (interaction.customId === "history") {
+        const payload = await loadHistoryPayload(interaction.guildId, []);
+        if (payload.components.length) payload.content = "📚 Pick a past tournament, month or year.";
+        return interaction.reply({ ...payload, flags: EPHEMERAL_FLAG });
+      }
 
-  await upsertConfig(guild.id, {
-    cur_bigbass_msg_id: big.messageId,
-    cur_top5_msg_id: top5.messageId,
-    monthly_winners_msg_id: mon.messageId,
-    yearly_winners_msg_id: yr.messageId,
-  });
-}
+      if (
+        interaction.customId.startsWith("standings_view:") ||
+        interaction.customId.startsWith("standings_page:") ||
+        interaction.customId.startsWith("standings_me:")
+      ) {
+        const [action, board, tournamentIdRaw, ...rest] = interaction.customId.split(":");
+        const tournament = tournamentIdRaw ? await getTournament(interaction.guildId, Number(tournamentIdRaw)) : active;
+        if (!tournament) {
+          const message = tournamentIdRaw ? "❌ Tournament not found." : "❌ No active tournament.";
+          return interaction.reply(ephContent(message));
+        }
 
-async function updateAutoEmbeds(guild) {
-  const cfg = await getConfig(guild.id);
-  if (!cfg?.bigbass_channel_id || !cfg?.top5_channel_id || !cfg?.results_channel_id) return;
+        const userId = interaction.user.id;
+        const rules = getScoringRules(tournament);
+        const [pageRaw, divisionRaw] = action === "standings_page" ? rest : [0, rest[0]];
+        const division =
+          action === "standings_view"
+            ? await defaultStandingsDivision(interaction.guildId, tournament, userId)
+            : standingsDivision(rules, divisionRaw);
+        const rows = await getStandingsRows(interaction.guildId, tournament, board, division);
+        if (action === "standings_view") {
+          const payload = standingsPagePayload(tournament, board, rows, 0, userId, division);
+          return interaction.reply({ ...payload, flags: EPHEMERAL_FLAG });
+        }
+        if (action === "standings_page") {
+          return interaction.update(standingsPagePayload(tournament, board, rows, Number(pageRaw), userId, division));
+        }
 
-  await ensureAllAutoEmbeds(guild);
+        const index = rows.findIndex((r) => isOwnStandingsRow(r, userId));
+        if (index < 0) return interaction.reply(ephContent("ℹ️ You're not on this leaderboard yet."));
+        return interaction.update(
+          standingsPagePayload(tournament, board, rows, Math.floor(index / STANDINGS_PAGE_SIZE), userId, division)
+        );
+      }
 
-  const active = await getActiveTournament(guild.id);
-  const bigRows = active ? await getBigBassLeaderboard(guild.id, active.id) : [];
-  const bagRows = active ? await getTotalBagLeaderboard(guild.id, active.id) : [];
+      if (interaction.customId === "register") {
+        const tournaments = await getRegistrationTournaments(interaction.guildId);
+        if (!tournaments.length) {
+          return interaction.reply(ephContent("❌ No active or scheduled tournament to register for."));
+        }
+        if (tournaments.length > 1) {
+          const picker = tournamentPickerPayload("register_pick", tournaments, "📝 Which tournament?");
+          return interaction.reply({ ...picker, flags: EPHEMERAL_FLAG });
+        }
 
-  const now = new Date();
-  const yyyyMm = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
-  const yyyy = now.getFullYear();
+        const userId = interaction.user.id;
+        const payload = await loadRegistrationPayload(interaction.guildId, tournaments[0], userId, isAdmin);
+        return interaction.reply({ ...payload, flags: EPHEMERAL_FLAG });
+      }
 
-  const monthW = await getMonthSummaryWinners(guild.id, yyyyMm).catch(() => null);
-  const yearW = await getYearSummaryWinners(guild.id, yyyy).catch(() => null);
+      if (interaction.customId.startsWith("reg_join:") || interaction.customId.startsWith("reg_leave:")) {
+        const tournament = await getTournament(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!tournament || tournament.ended_at) {
+          return interaction.reply(ephContent("❌ Registration for this tournament is closed."));
+        }
+        if (getRegistrationSettings(tournament).mode === "off") {
+          return interaction.reply(ephContent("❌ Registration is off for this tournament."));
+        }
 
-  // Big Bass channel
-  try {
-    const ch = await guild.channels.fetch(cfg.bigbass_channel_id);
-    const msg = await ch.messages.fetch(cfg.cur_bigbass_msg_id);
-    await msg.edit({ embeds: [bigBassCurrentEmbed(active?.name || "No Active Tournament", bigRows)] });
-  } catch {}
+        let content = "";
+        if (interaction.customId.startsWith("reg_join:")) {
+          await registerAngler(interaction.guildId, tournament.id, interaction.user.id);
+          content = `✅ Registered for **${tournament.name}**.`;
+        } else {
+          const registration = await getRegistration(interaction.guildId, tournament.id, interaction.user.id);
+          if (registration?.paid) {
+            return interaction.reply(
+              ephContent("❌ Your entry is marked paid. Ask an admin to remove your registration.")
+            );
+          }
+          await removeRegistration(interaction.guildId, tournament.id, interaction.user.id);
+          content = `✅ Registration for **${tournament.name}** withdrawn.`;
+        }
 
-  // Top 5 channel
-  try {
-    const ch = await guild.channels.fetch(cfg.top5_channel_id);
-    const msg = await ch.messages.fetch(cfg.cur_top5_msg_id);
-    await msg.edit({ embeds: [top5Embed(active?.name || "No Active Tournament", bagRows)] });
-  } catch {}
+        return interaction.update(
+          await loadRegistrationPayload(interaction.guildId, tournament, interaction.user.id, isAdmin, content)
+        );
+      }
 
-  // Results channel (monthly + yearly)
-  try {
-    const ch = await guild.channels.fetch(cfg.results_channel_id);
-    const msg = await ch.messages.fetch(cfg.monthly_winners_msg_id);
-    await msg.edit({ embeds: [monthlyWinnersEmbed(yyyyMm, monthW)] });
-  } catch {}
+      if (interaction.customId.startsWith("reg_payment:")) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
 
-  try {
-    const ch = await guild.channels.fetch(cfg.results_channel_id);
-    const msg = await ch.messages.fetch(cfg.yearly_winners_msg_id);
-    await msg.edit({ embeds: [yearlyWinnersEmbed(yyyy, yearW)] });
-  } catch {}
-}
+        const tournament = await getTournament(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!tournament) return interaction.reply(ephContent("❌ Tournament not found."));
+        const sidePotNames = getRegistrationSettings(tournament).sidePots.map((sp) => sp.name);
+        const divisions = getScoringRules(tournament).divisions;
 
-// -------------------- TRACK IMAGE UPLOADS --------------------
-client.on("messageCreate", async (message) => {
-  try {
-    if (!message.guild) return;
-    if (message.author?.bot) return;
+        const modal = new ModalBuilder().setCustomId(`reg_payment_modal:${tournament.id}`).setTitle("Mark Payment");
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId("angler")
+              .setLabel("Angler (@mention or user ID)")
+              .setStyle(TextInputStyle.Short)
+              .setRequired(true)
+          ),
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId("paid")
+              .setLabel("Paid? (yes / no / remove)")
+              .setStyle(TextInputStyle.Short)
+              .setValue("yes")
+              .setRequired(true)
+          ),
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId("side_pots")
+              .setLabel("Side pots paid (comma separated)")
+              .setPlaceholder(sidePotNames.length ? sidePotNames.join(", ").slice(0, 100) : "No side pots set up")
+              .setStyle(TextInputStyle.Short)
+              .setRequired(false)
+          )
+        );
+        if (divisions) {
+          modal.addComponents(
+            new ActionRowBuilder().addComponents(
+              new TextInputBuilder()
+                .setCustomId("division")
+                .setLabel("Division (blank = leave as is)")
+                .setPlaceholder(divisions.join(", ").slice(0, 100))
+                .setStyle(TextInputStyle.Short)
+                .setRequired(false)
+            )
+          );
+        }
+        return interaction.showModal(modal);
+      }
 
-    const img = message.attachments.find((a) => (a.contentType || "").startsWith("image/"));
-    if (!img) return;
+      if (interaction.customId.startsWith("reg_settings:")) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
 
-    await insertUpload({
-      guildId: message.guild.id,
-      channelId: message.channel.id,
-      userId: message.author.id,
-      messageId: message.id,
-      imageUrl: img.url,
-    });
-  } catch (e) {
-    console.error("upload tracking error:", e);
-  }
-});
+        const tournament = await getTournament(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!tournament) return interaction.reply(ephContent("❌ Tournament not found."));
+        const settings = getRegistrationSettings(tournament);
+
+        const input = (id, label, value, placeholder, style = TextInputStyle.Short) => {
+          const field = new TextInputBuilder().setCustomId(id).setLabel(label).setStyle(style).setRequired(false);
+          if (value) field.setValue(value);
+          if (placeholder) field.setPlaceholder(placeholder);
+          return new ActionRowBuilder().addComponents(field);
+        };
+        const modal = new ModalBuilder().setCustomId(`reg_settings_modal:${tournament.id}`).setTitle("Entry & Payouts");
+        modal.addComponents(
+          input("mode", "Registration (off / required / paid)", settings.mode, "paid = only paid anglers weigh in"),
+          input("fee", "Entry fee per angler", settings.fee ? String(settings.fee) : "", "50"),
+          input("places", "Payout % by place (1st, 2nd, ...)", settings.places.join(", "), "50, 30, 20"),
+          input("big_bass", "Big bass pot (% of the pool)", settings.bigBass ? String(settings.bigBass) : "", "10"),
+          input(
+            "side_pots",
+            "Side pots (name=buy-in, :big = biggest fish)",
+            settings.sidePots.map((sp) => `${sp.name}=${sp.buyIn}${sp.board === "big" ? ":big" : ""}`).join("\n"),
+            "lunker=10:big\nbag pot=20",
+            TextInputStyle.Paragraph
+          )
+        );
+        return interaction.showModal(modal);
+      }
 
-// -------------------- READY --------------------
-client.once("clientReady", async () => {
-  console.log(`Logged in as ${client.user.tag}`);
-  try {
-    await registerCommands();
-  } catch (e) {
-    console.error("Failed to register commands:", e);
-  }
-});
+      if (interaction.customId === "teams") {
+        const tournaments = await getTeamTournaments(interaction.guildId);
+        if (!tournaments.length) {
+          return interaction.reply(
+            ephContent("❌ No team tournament is active or scheduled. Admins turn teams on with `teams=yes` in Start Tourney.")
+          );
+        }
+        if (tournaments.length > 1) {
+          const picker = tournamentPickerPayload("teams_pick", tournaments, "🚤 Which team tournament?");
+          return interaction.reply({ ...picker, flags: EPHEMERAL_FLAG });
+        }
 
-// -------------------- HELPERS --------------------
-function parseChannelIdFromText(text) {
-  const mention = text.match(/<#(\d{15,25})>/);
-  if (mention) return mention[1];
-  const raw = text.match(/\b(\d{15,25})\b/);
-  if (raw) return raw[1];
-  return null;
-}
+        const payload = await loadTeamsPayload(interaction.guildId, tournaments[0], interaction.user.id, isAdmin);
+        return interaction.reply({ ...payload, flags: EPHEMERAL_FLAG });
+      }
 
-// -------------------- INTERACTIONS --------------------
-client.on("interactionCreate", async (interaction) => {
-  try {
-    const isAdmin =
-      interaction.memberPermissions?.has(PermissionFlagsBits.Administrator) ||
-      interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
+      if (interaction.customId.startsWith("team_create:")) {
+        const tournament = await getTournament(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!tournament || tournament.ended_at) return interaction.reply(ephContent("🔒 That tournament has ended."));
+        if (!isAdmin) {
+          const error = await teamMemberError(interaction.guildId, tournament.id, interaction.user.id);
+          if (error) return interaction.reply(ephContent(error));
+        }
 
-    // /panel (admin only)
-    if (interaction.isChatInputCommand()) {
-      if (interaction.commandName !== "panel") return;
-      if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+        const rows = [
+          new TextInputBuilder()
+            .setCustomId("name")
+            .setLabel("Team name")
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(40)
+            .setRequired(true),
+          new TextInputBuilder()
+            .setCustomId("partner")
+            .setLabel("Partner (@mention or user ID, optional)")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false),
+        ];
+        if (isAdmin) {
+          rows.push(
+            new TextInputBuilder()
+              .setCustomId("captain")
+              .setLabel("Captain (blank = you)")
+              .setStyle(TextInputStyle.Short)
+              .setRequired(false)
+          );
+        }
 
-      const existing = await getConfig(interaction.guildId);
+        const modal = new ModalBuilder().setCustomId(`team_create_modal:${tournament.id}`).setTitle("Create Team");
+        modal.addComponents(rows.map((input) => new ActionRowBuilder().addComponents(input)));
+        return interaction.showModal(modal);
+      }
 
-      // Default all channels to where /panel ran if not set yet
-      await upsertConfig(interaction.guildId, {
-        panel_channel_id: interaction.channelId,
-        bigbass_channel_id: existing?.bigbass_channel_id || interaction.channelId,
-        top5_channel_id: existing?.top5_channel_id || interaction.channelId,
-        results_channel_id: existing?.results_channel_id || interaction.channelId,
-      });
+      if (interaction.customId.startsWith("team_invite:")) {
+        const team = await getTeam(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!team || team.captain_id !== interaction.user.id) {
+          return interaction.reply(ephContent("❌ Only the team captain can invite a partner."));
+        }
+        if (team.members.length + team.invited.length >= TEAM_SIZE) {
+          return interaction.reply(ephContent("❌ Your team is already full."));
+        }
 
-      const cfg = await getConfig(interaction.guildId);
-      const active = await getActiveTournament(interaction.guildId);
+        const modal = new ModalBuilder().setCustomId(`team_invite_modal:${team.id}`).setTitle(`Invite to ${team.name}`.slice(0, 45));
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId("partner")
+              .setLabel("Partner (@mention or user ID)")
+              .setStyle(TextInputStyle.Short)
+              .setRequired(true)
+          )
+        );
+        return interaction.showModal(modal);
+      }
 
-      await ensureAllAutoEmbeds(interaction.guild);
-      await updateAutoEmbeds(interaction.guild);
+      if (
+        interaction.customId.startsWith("team_accept:") ||
+        interaction.customId.startsWith("team_decline:") ||
+        interaction.customId.startsWith("team_leave:")
+      ) {
+        const team = await getTeam(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!team) return interaction.reply(ephContent("❌ That team no longer exists."));
+        const tournament = await getTournament(interaction.guildId, team.tournament_id);
+        if (tournament.ended_at) return interaction.reply(ephContent("🔒 That tournament has ended."));
+
+        const userId = interaction.user.id;
+        let content;
+
+        if (interaction.customId.startsWith("team_accept:")) {
+          if (!team.invited.includes(userId)) return interaction.reply(ephContent("❌ That invite is no longer open."));
+          if (team.members.length >= TEAM_SIZE) return interaction.reply(ephContent("❌ That team is already full."));
+          const error =
+            (await teamMemberError(interaction.guildId, team.tournament_id, userId)) ||
+            (await teamDivisionError(interaction.guildId, tournament, [...team.members, userId]));
+          if (error) return interaction.reply(ephContent(error));
+
+          await acceptTeamInvite(interaction.guildId, team, userId);
+          content = `✅ You joined **${team.name}**.`;
+        } else if (interaction.customId.startsWith("team_decline:")) {
+          if (!team.invited.includes(userId)) return interaction.reply(ephContent("❌ That invite is no longer open."));
+
+          await removeTeamMember(interaction.guildId, team, userId);
+          content = `Declined the invite to **${team.name}**.`;
+        } else {
+          if (!team.members.includes(userId)) return interaction.reply(ephContent("❌ You're not on that team."));
+          // Bags are built from members' fish, so the lineup is locked once fish are in
+          if (await countTeamWeighIns(interaction.guildId, team)) {
+            return interaction.reply(ephContent("🔒 Your team already has weigh-ins, so its lineup is locked."));
+          }
+
+          await removeTeamMember(interaction.guildId, team, userId);
+          content = `↩️ You left **${team.name}**.`;
+        }
 
-      await interaction.channel.send({
-        embeds: [panelEmbed(active, cfg)],
-        components: panelComponents(true),
-      });
+        const payload = await loadTeamsPayload(interaction.guildId, tournament, userId, isAdmin);
+        await interaction.update({ ...payload, content });
+        if (tournament.is_active) await updateAutoEmbeds(interaction.guild);
+        return;
+      }
 
-      return interaction.reply(ephContent("✅ Panel posted."));
-    }
+      if (interaction.customId === "submit_weighin") {
+        const open = await getOpenTournaments(interaction.guildId);
+        if (open.length > 1) {
+          const closed = weighinClosedReply(interaction, cfg, open[0]);
+          if (closed) return interaction.reply(closed);
 
-    // Buttons
-    if (interaction.isButton()) {
-      const cfg = await getConfig(interaction.guildId);
-      const active = await getActiveTournament(interaction.guildId);
+          const eligible = await eligibleWeighinTournaments(interaction.guildId, open, interaction.user.id);
+          return interaction.reply({ ...weighinTargetPayload(open, eligible), flags: EPHEMERAL_FLAG });
+        }
 
-      if (interaction.customId === "set_channels") {
+        const resolved = await resolveWeighinTarget(interaction, cfg, open[0] ? String(open[0].id) : null);
+        if (resolved.reply) return interaction.reply(resolved.reply);
+        return openWeighinForm(interaction, cfg, resolved);
+      }
+
+      if (interaction.customId === "start_tournament") {
         if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
 
-        const modal = new ModalBuilder().setCustomId("set_channels_modal").setTitle("Set Channels");
+        const modal = new ModalBuilder().setCustomId("start_tournament_modal").setTitle("Start Tournament");
 
-        // Labels MUST be <= 45 chars
-        const panelInput = new TextInputBuilder()
-          .setCustomId("panel_ch")
-          .setLabel("Panel channel (#channel or ID)")
+        const nameInput = new TextInputBuilder()
+          .setCustomId("name")
+          .setLabel("Tournament name")
           .setStyle(TextInputStyle.Short)
           .setRequired(true);
 
-        const bigInput = new TextInputBuilder()
-          .setCustomId("big_ch")
-          .setLabel("Big Bass channel (#channel or ID)")
+        const startInput = new TextInputBuilder()
+          .setCustomId("start_at")
+          .setLabel("Start (YYYY-MM-DD HH:MM) blank = now")
+          .setPlaceholder(`${TOURNAMENT_TZ} time, e.g. 2025-06-14 06:00`)
           .setStyle(TextInputStyle.Short)
-          .setRequired(true);
+          .setRequired(false);
 
-        const topInput = new TextInputBuilder()
-          .setCustomId("top_ch")
-          .setLabel("Top 5 channel (#channel or ID)")
+        const endInput = new TextInputBuilder()
+          .setCustomId("end_at")
+          .setLabel("End (YYYY-MM-DD HH:MM) blank = manual")
+          .setPlaceholder(`${TOURNAMENT_TZ} time, e.g. 2025-06-14 15:00`)
           .setStyle(TextInputStyle.Short)
-          .setRequired(true);
+          .setRequired(false);
 
-        const resInput = new TextInputBuilder()
-          .setCustomId("res_ch")
-          .setLabel("Results channel (#channel or ID)")
+        const rulesInput = new TextInputBuilder()
+          .setCustomId("rules")
+          .setLabel("Scoring rules (blank = best 5 by weight)")
+          .setPlaceholder("limit=5\nmetric=weight\ndead=0.25\nmode=weight\nspecies=lm,sm\nslots=sm:2,lm:3\ntiebreak=bigfish")
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(false);
+
+        const verificationInput = new TextInputBuilder()
+          .setCustomId("verification")
+          .setLabel("Photo code (blank = none)")
+          .setPlaceholder("auto | auto daily | BASS42 | BASS,SHAD,CRAW (one per day)")
           .setStyle(TextInputStyle.Short)
-          .setRequired(true);
+          .setRequired(false);
 
         modal.addComponents(
-          new ActionRowBuilder().addComponents(panelInput),
-          new ActionRowBuilder().addComponents(bigInput),
-          new ActionRowBuilder().addComponents(topInput),
-          new ActionRowBuilder().addComponents(resInput)
+          new ActionRowBuilder().addComponents(nameInput),
+          new ActionRowBuilder().addComponents(startInput),
+          new ActionRowBuilder().addComponents(endInput),
+          new ActionRowBuilder().addComponents(rulesInput),
+          new ActionRowBuilder().addComponents(verificationInput)
+        );
+        return interaction.showModal(modal);
+      }
+
+      if (interaction.customId === "cancel_scheduled") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+        const scheduled = await getScheduledTournaments(interaction.guildId);
+        if (!scheduled.length) return interaction.reply(ephContent("ℹ️ No tournaments are scheduled."));
+
+        const picker = tournamentPickerPayload(
+          "cancel_scheduled_pick",
+          scheduled,
+          "🗓️ Pick the scheduled tournament to cancel."
+        );
+        return interaction.reply({ ...picker, flags: EPHEMERAL_FLAG });
+      }
+
+      if (interaction.customId.startsWith("cancel_scheduled_confirm:")) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const tournament = await getTournament(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!tournament || !(await cancelScheduledTournament(interaction.guildId, tournament.id))) {
+          return interaction.update({
+            content: "❌ That tournament already started or was cancelled.",
+            components: [],
+          });
+        }
+        await updateAutoEmbeds(interaction.guild);
+
+        return interaction.update({
+          content: `🗑️ Cancelled scheduled tournament **${tournament.name}**.`,
+          components: [],
+        });
+      }
+
+      if (interaction.customId === "cancel_scheduled_keep") {
+        return interaction.update({ content: "Nothing was cancelled.", components: [] });
+      }
+
+      if (interaction.customId === "end_tournament") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+        const actives = await getActiveTournaments(interaction.guildId);
+        if (!actives.length) {
+          const scheduled = await getScheduledTournaments(interaction.guildId);
+          return interaction.reply(
+            ephContent(
+              "❌ No active tournament to end." +
+                (scheduled.length ? "\nTo call off a scheduled one, use **Cancel Scheduled**." : "")
+            )
+          );
+        }
+        if (actives.length > 1) {
+          const content = "🛑 Several tournaments are running. Pick the one to end.";
+          const picker = tournamentPickerPayload("end_tournament_pick", actives, content);
+          return interaction.reply({ ...picker, flags: EPHEMERAL_FLAG });
+        }
+
+        return interaction.reply(
+          ephContent(await endTournamentFromPanel(interaction.guild, actives[0], interaction.channelId))
+        );
+      }
+    }
+
+    // Select menus
+    if (interaction.isStringSelectMenu()) {
+      if (interaction.customId.startsWith("weighin_division:") || interaction.customId.startsWith("reg_division:")) {
+        const tournament = await getTournament(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!tournament || tournament.ended_at) return interaction.reply(ephContent("❌ This tournament is over."));
+
+        const rules = getScoringRules(tournament);
+        const division = rules.divisions?.[Number(interaction.values[0])];
+        if (!division) return interaction.reply(ephContent("❌ That division no longer exists."));
+
+        const userId = interaction.user.id;
+        const current = await getAnglerDivision(interaction.guildId, tournament.id, userId);
+        if (current) return interaction.reply(ephContent(`ℹ️ You're already fishing **${current}**.`));
+        const team = await getAnglerTeam(interaction.guildId, tournament.id, userId);
+        if (team) {
+          const error = await teamDivisionError(interaction.guildId, tournament, team.members, { userId, division });
+          if (error) return interaction.reply(ephContent(error));
+        }
+        await setAnglerDivision(interaction.guildId, tournament.id, userId, division, userId);
+
+        if (interaction.customId.startsWith("weighin_division:")) {
+          return interaction.update({
+            content: `✅ You're fishing **${division}**. Click **Submit Weigh-in** again.`,
+            components: [],
+          });
+        }
+
+        const registering =
+          getRegistrationSettings(tournament).mode !== "off" &&
+          !(await getRegistration(interaction.guildId, tournament.id, userId));
+        if (registering) await registerAngler(interaction.guildId, tournament.id, userId);
+        const content = registering
+          ? `✅ Registered for **${tournament.name}** in **${division}**.`
+          : `✅ You're fishing **${division}**.`;
+        return interaction.update(
+          await loadRegistrationPayload(interaction.guildId, tournament, userId, isAdmin, content)
         );
+      }
+
+      if (interaction.customId.startsWith("standings_div:")) {
+        const [, board, tournamentIdRaw] = interaction.customId.split(":");
+        const tournament = await getTournament(interaction.guildId, Number(tournamentIdRaw));
+        if (!tournament) return interaction.reply(ephContent("❌ Tournament not found."));
+
+        const division = standingsDivision(getScoringRules(tournament), interaction.values[0]);
+        const rows = await getStandingsRows(interaction.guildId, tournament, board, division);
+        return interaction.update(standingsPagePayload(tournament, board, rows, 0, interaction.user.id, division));
+      }
+
+      if (interaction.customId === "weighin_target") {
+        const cfg = await getConfig(interaction.guildId);
+        const resolved = await resolveWeighinTarget(interaction, cfg, interaction.values[0]);
+        if (resolved.reply) return interaction.reply(resolved.reply);
+        return openWeighinForm(interaction, cfg, resolved);
+      }
 
-        return interaction.showModal(modal);
+      if (interaction.customId.startsWith("weighin_photos")) {
+        const cfg = await getConfig(interaction.guildId);
+        const resolved = await resolveWeighinTarget(interaction, cfg, interaction.customId.split(":")[1]);
+        if (resolved.reply) return interaction.reply(resolved.reply);
+
+        const { tournaments, team, target } = resolved;
+        const uploadIds = interaction.values.map(Number).slice(0, MAX_WEIGHIN_PHOTOS);
+        return interaction.showModal(weighinModal(tournaments, cfg, team, uploadIds, target));
       }
 
-      if (interaction.customId === "reset_month") {
-        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+      if (
+        interaction.customId === "my_weighins_pick" ||
+        interaction.customId === "register_pick" ||
+        interaction.customId === "teams_pick"
+      ) {
+        const tournament = await getTournament(interaction.guildId, Number(interaction.values[0]));
+        if (!tournament || tournament.ended_at) return interaction.reply(ephContent("🔒 That tournament has ended."));
+
+        const userId = interaction.user.id;
+        if (interaction.customId === "my_weighins_pick") {
+          const weighins = await getAnglerWeighIns(interaction.guildId, tournament.id, userId);
+          return interaction.update({ content: "", ...myWeighInsPayload(tournament, weighins) });
+        }
+        if (interaction.customId === "register_pick") {
+          return interaction.update(await loadRegistrationPayload(interaction.guildId, tournament, userId, isAdmin));
+        }
+        return interaction.update(await loadTeamsPayload(interaction.guildId, tournament, userId, isAdmin));
+      }
 
-        const now = new Date();
-        const yyyyMm = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+      if (interaction.customId === "reset_restore") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
 
-        await resetMonthlyResults(interaction.guildId, yyyyMm);
+        const batchId = Number(interaction.values[0]);
+        const batch = await getResetBatch(interaction.guildId, batchId);
+        if (!batch) {
+          return interaction.update(
+            await loadResetHistoryPayload(interaction.guildId, `❌ Reset batch #${batchId} not found.`)
+          );
+        }
+        const result = await restoreResetBatch(interaction.guildId, batchId, interaction.user.id);
+        if (!result) {
+          return interaction.update(
+            await loadResetHistoryPayload(interaction.guildId, `ℹ️ Batch #${batchId} was already restored.`)
+          );
+        }
         await updateAutoEmbeds(interaction.guild);
 
-        return interaction.reply(ephContent(`✅ Monthly results reset for **${yyyyMm}**.`));
+        const skipped = result.skipped ? ` (${result.skipped} already back in place, kept as they are)` : "";
+        return interaction.update(
+          await loadResetHistoryPayload(
+            interaction.guildId,
+            `↩️ Restored batch **#${batchId}** (${batch.period}): ${result.restored} result(s)${skipped}.`
+          )
+        );
       }
 
-      if (interaction.customId === "reset_year") {
+      if (interaction.customId === "end_tournament_pick") {
         if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
 
-        const yyyy = new Date().getFullYear();
-        await resetYearlyResults(interaction.guildId, yyyy);
-        await updateAutoEmbeds(interaction.guild);
+        const tournament = await getTournament(interaction.guildId, Number(interaction.values[0]));
+        if (!tournament?.is_active) return interaction.reply(ephContent("❌ That tournament has already ended."));
 
-        return interaction.reply(ephContent(`✅ Yearly results reset for **${yyyy}**.`));
+        const content = await endTournamentFromPanel(interaction.guild, tournament, interaction.channelId);
+        return interaction.update({ content, components: [] });
       }
 
-      if (interaction.customId === "submit_weighin") {
-        if (cfg?.panel_channel_id && interaction.channelId !== cfg.panel_channel_id) {
-          return interaction.reply(ephContent(`❌ Submit weigh-ins in <#${cfg.panel_channel_id}>`));
+      if (interaction.customId === "cancel_scheduled_pick") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const tournament = await getTournament(interaction.guildId, Number(interaction.values[0]));
+        if (!tournament || tournament.is_active || tournament.ended_at) {
+          return interaction.update({
+            content: "❌ That tournament already started or was cancelled.",
+            components: [],
+          });
         }
-        if (!active) return interaction.reply(ephContent("❌ No active tournament. Admin must start one first."));
+        return interaction.update(cancelScheduledConfirmPayload(tournament));
+      }
 
-        const modal = new ModalBuilder().setCustomId("weighin_modal").setTitle("Submit Weigh-in");
+      if (interaction.customId === "admin_wi_tournament") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
 
-        const weightInput = new TextInputBuilder()
-          .setCustomId("weight")
-          .setLabel("Weight (lbs) e.g., 5.62")
+        const tournamentId = Number(interaction.values[0]);
+        const modal = new ModalBuilder()
+          .setCustomId(`admin_wi_search_modal:${tournamentId}`)
+          .setTitle("Search Weigh-ins");
+
+        const anglerInput = new TextInputBuilder()
+          .setCustomId("angler")
+          .setLabel("Angler (@user or ID)")
           .setStyle(TextInputStyle.Short)
           .setRequired(true);
 
-        const notesInput = new TextInputBuilder()
-          .setCustomId("notes")
-          .setLabel("Notes (optional)")
-          .setStyle(TextInputStyle.Paragraph)
-          .setRequired(false);
-
-        modal.addComponents(
-          new ActionRowBuilder().addComponents(weightInput),
-          new ActionRowBuilder().addComponents(notesInput)
-        );
-
+        modal.addComponents(new ActionRowBuilder().addComponents(anglerInput));
         return interaction.showModal(modal);
       }
 
-      if (interaction.customId === "start_tournament") {
+      if (interaction.customId === "export_scope" || interaction.customId === "export_scope_period") {
         if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
 
-        const modal = new ModalBuilder().setCustomId("start_tournament_modal").setTitle("Start Tournament");
+        const scope = interaction.values[0];
+        const tournaments = await getRecentTournaments(interaction.guildId);
+        const months = await getResultMonths(interaction.guildId);
+        const label = scope.startsWith("t:")
+          ? tournaments.find((t) => `t:${t.id}` === scope)?.name || scope
+          : scope.replace(":", " ");
+        return interaction.update(exportPayload(tournaments, months, scope, label));
+      }
 
-        const nameInput = new TextInputBuilder()
-          .setCustomId("name")
-          .setLabel("Tournament name")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true);
+      if (interaction.customId === "history_tournament") {
+        const tournament = await getTournament(interaction.guildId, Number(interaction.values[0]));
+        if (!tournament?.ended_at) return interaction.reply(ephContent("❌ Tournament not found."));
 
-        modal.addComponents(new ActionRowBuilder().addComponents(nameInput));
-        return interaction.showModal(modal);
+        const header = new EmbedBuilder()
+          .setTitle(`📚 ${tournament.name}`)
+          .setDescription(
+            `Started ${discordTime(tournament.started_at, "D")} • ended ${discordTime(tournament.ended_at, "D")}`
+          );
+        const final = await finalStandingsEmbeds(interaction.guildId, tournament);
+        const embeds = [header, final.big, final.bag, ...final.divisions].filter(Boolean);
+        const payload = await loadHistoryPayload(
+          interaction.guildId,
+          embeds,
+          `t:${tournament.id}`,
+          tournament.ended_at.slice(0, 7)
+        );
+        const rules = getScoringRules(tournament);
+        payload.components.push(
+          new ActionRowBuilder().addComponents(
+            standingsButton("big", tournament.id, `Full ${bigBoardTitle(rules)}`),
+            standingsButton("bag", tournament.id, `Full ${bagBoardTitle(rules)}`)
+          )
+        );
+        return interaction.update(payload);
       }
 
-      if (interaction.customId === "end_tournament") {
-        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
-        if (!active) return interaction.reply(ephContent("❌ No active tournament to end."));
+      if (interaction.customId === "history_period") {
+        const [kind, period] = interaction.values[0].split(":");
+        const embeds =
+          kind === "year"
+            ? [
+                await buildYearlyWinnersEmbed(interaction.guildId, period),
+                await buildAoyEmbed(interaction.guildId, period, await getConfig(interaction.guildId)),
+              ]
+            : [await buildMonthlyWinnersEmbed(interaction.guildId, period)];
+        return interaction.update(await loadHistoryPayload(interaction.guildId, embeds, interaction.values[0], period));
+      }
 
-        const resultsChannelId = cfg?.results_channel_id || interaction.channelId;
+      if (interaction.customId === "my_wi_pick") {
+        const { weighin, tournament, error } = await getOwnEditableWeighIn(interaction, Number(interaction.values[0]));
+        if (error) return interaction.reply(ephContent(error));
 
-        await endTournament(interaction.guildId, active.id);
-        await snapshotTournamentResults(interaction.guildId, active.id);
-        await postFinalStandings(interaction.guild, resultsChannelId, active);
+        return interaction.update({
+          content: "",
+          ...(await weighinMessage(interaction.guild, weighin, tournament.name)),
+          components: myWeighInComponents(weighin),
+        });
+      }
 
-        await updateAutoEmbeds(interaction.guild);
+      if (interaction.customId === "admin_wi_pick") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
 
-        return interaction.reply(ephContent(`🛑 Ended **${active.name}**. Finals posted.`));
+        const weighin = await getWeighIn(interaction.guildId, Number(interaction.values[0]));
+        if (!weighin) return interaction.reply(ephContent("❌ Weigh-in not found."));
+
+        const tournament = await getTournament(interaction.guildId, weighin.tournament_id);
+        return interaction.update({
+          content: "",
+          ...(await weighinMessage(
+            interaction.guild,
+            weighin,
+            tournament?.name || `Tournament #${weighin.tournament_id}`,
+            "admin"
+          )),
+          components: adminWeighInComponents(weighin),
+        });
       }
     }
 
     // Modals
     if (interaction.isModalSubmit()) {
       const cfg = await getConfig(interaction.guildId);
-      const active = await getActiveTournament(interaction.guildId);
 
       if (interaction.customId === "set_channels_modal") {
         if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
@@ -988,7 +7240,10 @@ client.on("interactionCreate", async (interaction) => {
         const topId = parseChannelIdFromText(interaction.fields.getTextInputValue("top_ch")?.trim() || "");
         const resId = parseChannelIdFromText(interaction.fields.getTextInputValue("res_ch")?.trim() || "");
 
-        if (!panelId || !bigId || !topId || !resId) {
+        const archiveRaw = optionalTextInput(interaction, "archive_ch");
+        const archiveId = archiveRaw ? parseChannelIdFromText(archiveRaw) : "";
+
+        if (!panelId || !bigId || !topId || !resId || archiveId == null) {
           return interaction.reply(ephContent("❌ Paste real #channel mentions or channel IDs."));
         }
 
@@ -998,6 +7253,7 @@ client.on("interactionCreate", async (interaction) => {
           bigbass_channel_id: bigId,
           top5_channel_id: topId,
           results_channel_id: resId,
+          archive_channel_id: archiveId,
           cur_bigbass_msg_id: null,
           cur_top5_msg_id: null,
           monthly_winners_msg_id: null,
@@ -1009,74 +7265,794 @@ client.on("interactionCreate", async (interaction) => {
 
         return interaction.reply(
           ephContent(
-            `✅ Channels set:\n• Panel: <#${panelId}>\n• Big Bass: <#${bigId}>\n• Top 5: <#${topId}>\n• Results: <#${resId}>`
+            `✅ Channels set:\n• Panel: <#${panelId}>\n• Big Bass: <#${bigId}>\n• Top 5: <#${topId}>\n• Results: <#${resId}>` +
+              `\n• Photo archive: ${archiveId ? `<#${archiveId}>` : PHOTO_ARCHIVE_DIR ? "local folder" : "Not set"}`
+          )
+        );
+      }
+
+      if (interaction.customId === "species_settings_modal") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const extras = (interaction.fields.getTextInputValue("extra_species") || "")
+          .split(",")
+          .map((sp) => sp.trim().toLowerCase())
+          .filter(Boolean);
+        if (extras.some((sp) => !/^[a-z][a-z -]{1,30}$/.test(sp))) {
+          return interaction.reply(ephContent("❌ Species names can only use letters, spaces and dashes."));
+        }
+
+        const leadersRaw = (interaction.fields.getTextInputValue("species_leaders") || "").trim().toLowerCase();
+        if (!["yes", "no", "y", "n", "on", "off"].includes(leadersRaw)) {
+          return interaction.reply(ephContent("❌ Per-species leaders must be **yes** or **no**."));
+        }
+
+        await upsertConfig(interaction.guildId, {
+          // Empty string (not null) so COALESCE clears the extras
+          extra_species: extras.join(", "),
+          species_leaders: ["yes", "y", "on"].includes(leadersRaw) ? 1 : 0,
+        });
+        await updateAutoEmbeds(interaction.guild);
+
+        const updated = await getConfig(interaction.guildId);
+        return interaction.reply(
+          ephContent(
+            [
+              `✅ Species: ${getSpeciesList(updated).map(speciesLabel).join(", ")}`,
+              `• Per-species Big Bass leaders: **${updated?.species_leaders ? "ON" : "OFF"}**`,
+            ].join("\n")
+          )
+        );
+      }
+
+      if (interaction.customId === "profile_modal") {
+        const raw = optionalTextInput(interaction, "angler");
+        const userId = raw ? parseUserIdFromText(raw) : interaction.user.id;
+        if (!userId) return interaction.reply(ephContent("❌ Paste a real @user mention or user ID."));
+
+        const user = await client.users.fetch(userId).catch(() => null);
+        if (!user) return interaction.reply(ephContent("❌ I can't find that user."));
+
+        const profile = await getAnglerProfile(interaction.guildId, userId, cfg);
+        return interaction.reply(await profilePayload(interaction.guild, user, profile));
+      }
+
+      if (interaction.customId === "aoy_settings_modal") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const pointsRaw = (interaction.fields.getTextInputValue("points") || "").trim();
+        const points = pointsRaw ? pointsRaw.split(",").map((p) => Number(p.trim())) : [];
+        if (points.some((p) => !Number.isFinite(p) || p < 0) || points.length > 50) {
+          return interaction.reply(ephContent("❌ Points must be up to 50 numbers, e.g. `25, 20, 16, 13`."));
+        }
+
+        const participation = Number((interaction.fields.getTextInputValue("participation") || "").trim());
+        if (!Number.isFinite(participation) || participation < 0) {
+          return interaction.reply(ephContent("❌ Participation points must be 0 or more."));
+        }
+
+        const dropWorst = Number((interaction.fields.getTextInputValue("drop_worst") || "").trim());
+        if (!Number.isInteger(dropWorst) || dropWorst < 0) {
+          return interaction.reply(ephContent("❌ Dropped events must be a whole number (0 = none)."));
+        }
+
+        await upsertConfig(interaction.guildId, {
+          // Empty string (not null) so a blank box goes back to the default table
+          aoy_points: points.join(", "),
+          aoy_participation: participation,
+          aoy_drop_worst: dropWorst,
+        });
+        await updateAutoEmbeds(interaction.guild);
+
+        const updated = await getConfig(interaction.guildId);
+        return interaction.reply(ephContent(`✅ AOY updated.\n${describeAoySettings(getAoySettings(updated))}`));
+      }
+
+      if (interaction.customId.startsWith("reg_settings_modal:")) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const tournament = await getTournament(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!tournament) return interaction.reply(ephContent("❌ Tournament not found."));
+
+        const { settings, error } = parseRegistrationSettings({
+          mode: optionalTextInput(interaction, "mode"),
+          fee: optionalTextInput(interaction, "fee"),
+          places: optionalTextInput(interaction, "places"),
+          bigBass: optionalTextInput(interaction, "big_bass"),
+          sidePots: optionalTextInput(interaction, "side_pots"),
+        });
+        if (error) return interaction.reply(ephContent(`❌ ${error}`));
+
+        await setTournamentRegistration(interaction.guildId, tournament.id, settings);
+        await refreshPanel(interaction.guild);
+
+        const updated = await getTournament(interaction.guildId, tournament.id);
+        const content = `✅ Entry & payouts saved: ${describeRegistration(settings)}`;
+        const payload = await loadRegistrationPayload(
+          interaction.guildId,
+          updated,
+          interaction.user.id,
+          isAdmin,
+          content
+        );
+        if (interaction.isFromMessage()) return interaction.update(payload);
+        return interaction.reply({ ...payload, flags: EPHEMERAL_FLAG });
+      }
+
+      if (interaction.customId.startsWith("reg_payment_modal:")) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const tournament = await getTournament(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!tournament) return interaction.reply(ephContent("❌ Tournament not found."));
+
+        const anglerId = parseUserIdFromText(optionalTextInput(interaction, "angler"));
+        if (!anglerId) return interaction.reply(ephContent("❌ Paste a real @mention or user ID."));
+
+        const paidRaw = optionalTextInput(interaction, "paid").toLowerCase();
+        if (!["yes", "no", "y", "n", "remove"].includes(paidRaw)) {
+          return interaction.reply(ephContent("❌ Paid must be **yes**, **no** or **remove**."));
+        }
+
+        const known = getRegistrationSettings(tournament).sidePots.map((sp) => sp.name);
+        const sidePots = [
+          ...new Set(
+            optionalTextInput(interaction, "side_pots")
+              .split(",")
+              .map((name) => name.trim().toLowerCase())
+              .filter(Boolean)
+          ),
+        ];
+        const unknown = sidePots.filter((name) => !known.includes(name));
+        if (unknown.length) {
+          const setUp = known.length ? known.join(", ") : "none";
+          return interaction.reply(ephContent(`❌ Unknown side pot: ${unknown.join(", ")}. Set up: ${setUp}.`));
+        }
+
+        const rules = getScoringRules(tournament);
+        const divisionRaw = rules.divisions ? optionalTextInput(interaction, "division") : "";
+        const division = divisionRaw ? matchDivision(rules, divisionRaw) : null;
+        if (divisionRaw && !division) {
+          return interaction.reply(ephContent(`❌ Unknown division. Use one of: ${rules.divisions.join(", ")}.`));
+        }
+        const team = division ? await getAnglerTeam(interaction.guildId, tournament.id, anglerId) : null;
+        if (team && paidRaw !== "remove") {
+          const pick = { userId: anglerId, division };
+          const error = await teamDivisionError(interaction.guildId, tournament, team.members, pick);
+          if (error) return interaction.reply(ephContent(error));
+        }
+
+        let content;
+        if (paidRaw === "remove") {
+          const removed = await removeRegistration(interaction.guildId, tournament.id, anglerId);
+          content = removed
+            ? `✅ <@${anglerId}> removed from registration.`
+            : `ℹ️ <@${anglerId}> wasn't registered.`;
+        } else {
+          const paid = paidRaw === "yes" || paidRaw === "y";
+          await setRegistrationPayment({
+            guildId: interaction.guildId,
+            tournamentId: tournament.id,
+            userId: anglerId,
+            paid,
+            sidePots,
+            markedBy: interaction.user.id,
+          });
+          if (division) {
+            await setAnglerDivision(interaction.guildId, tournament.id, anglerId, division, interaction.user.id);
+          }
+          const sideNote = sidePots.length ? ` • side: ${sidePots.join(", ")}` : "";
+          const divisionNote = division ? ` • 🏷️ ${division}` : "";
+          content = `✅ <@${anglerId}> marked **${paid ? "paid" : "unpaid"}**${sideNote}${divisionNote}.`;
+        }
+
+        const payload = await loadRegistrationPayload(
+          interaction.guildId,
+          tournament,
+          interaction.user.id,
+          isAdmin,
+          content
+        );
+        if (interaction.isFromMessage()) return interaction.update(payload);
+        return interaction.reply({ ...payload, flags: EPHEMERAL_FLAG });
+      }
+
+      if (interaction.customId === "feed_settings_modal") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const feedRaw = optionalTextInput(interaction, "feed_ch");
+        const feedId = feedRaw ? parseChannelIdFromText(feedRaw) : "";
+        if (feedId == null) return interaction.reply(ephContent("❌ Paste a real #channel mention or channel ID."));
+
+        const calloutsRaw = optionalTextInput(interaction, "feed_callouts").toLowerCase();
+        if (!["yes", "no", "y", "n", "on", "off"].includes(calloutsRaw)) {
+          return interaction.reply(ephContent("❌ Call-outs must be **yes** or **no**."));
+        }
+        const callouts = ["yes", "y", "on"].includes(calloutsRaw);
+
+        // Empty string (not null) so COALESCE clears the channel instead of keeping the old one
+        await upsertConfig(interaction.guildId, { feed_channel_id: feedId, feed_callouts: callouts ? 1 : 0 });
+        await refreshPanel(interaction.guild);
+
+        return interaction.reply(
+          ephContent(
+            feedId
+              ? `✅ Weigh-in feed: <#${feedId}> • lead call-outs **${callouts ? "ON" : "OFF"}**`
+              : "✅ Weigh-in feed turned off."
+          )
+        );
+      }
+
+      if (interaction.customId === "review_settings_modal") {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const requiredRaw = (interaction.fields.getTextInputValue("review_required") || "").trim().toLowerCase();
+        const judgesRaw = (interaction.fields.getTextInputValue("judges_ch") || "").trim();
+        const roleRaw = (interaction.fields.getTextInputValue("judge_role") || "").trim();
+
+        if (!["yes", "no", "y", "n", "on", "off"].includes(requiredRaw)) {
+          return interaction.reply(ephContent("❌ Review required must be **yes** or **no**."));
+        }
+        const reviewRequired = ["yes", "y", "on"].includes(requiredRaw);
+
+        const judgesId = judgesRaw ? parseChannelIdFromText(judgesRaw) : null;
+        if (judgesRaw && !judgesId) return interaction.reply(ephContent("❌ Paste a real #channel mention or channel ID."));
+        if (reviewRequired && !judgesId && !cfg?.judges_channel_id) {
+          return interaction.reply(ephContent("❌ Set a judges channel before turning review on."));
+        }
+
+        const roleId = roleRaw ? parseRoleIdFromText(roleRaw) : null;
+        if (roleRaw && !roleId) return interaction.reply(ephContent("❌ Paste a real @role mention or role ID."));
+
+        const photoCheck = optionalTextInput(interaction, "photo_check").toLowerCase();
+        if (!PHOTO_CHECK_MODES.includes(photoCheck)) {
+          return interaction.reply(ephContent(`❌ Reused photos must be one of: ${PHOTO_CHECK_MODES.join(", ")}.`));
+        }
+
+        await upsertConfig(interaction.guildId, {
+          review_required: reviewRequired ? 1 : 0,
+          judges_channel_id: judgesId,
+          // Empty string (not null) so COALESCE clears the role instead of keeping the old one
+          judge_role_id: roleId || "",
+          photo_check: photoCheck,
+        });
+
+        const updated = await getConfig(interaction.guildId);
+        return interaction.reply(
+          ephContent(
+            [
+              `✅ Judge review: **${reviewRequired ? "ON" : "OFF"}**`,
+              `• Judges channel: ${updated?.judges_channel_id ? `<#${updated.judges_channel_id}>` : "Not set"}`,
+              `• Judge role: ${updated?.judge_role_id ? `<@&${updated.judge_role_id}>` : "Admins only"}`,
+              `• Reused photos: **${getPhotoCheckMode(updated)}**`,
+            ].join("\n")
           )
         );
       }
 
+      if (interaction.customId.startsWith("judge_reject_modal:")) {
+        if (!isJudge(interaction, cfg, isAdmin)) return interaction.reply(ephContent("❌ Judges only."));
+
+        const weighinId = parseIdFromCustomId(interaction.customId);
+        const reason = (interaction.fields.getTextInputValue("reason") || "").trim();
+        if (!reason) return interaction.reply(ephContent("❌ A reason is required."));
+
+        const decided = await reviewWeighIn({
+          guildId: interaction.guildId,
+          weighinId,
+          status: "rejected",
+          reviewerId: interaction.user.id,
+          reason,
+        });
+        if (!decided.length) return interaction.reply(ephContent("❌ That weigh-in was already reviewed."));
+
+        return finishReview(interaction, decided);
+      }
+
+      if (interaction.customId.startsWith("judge_adjust_modal:")) {
+        if (!isJudge(interaction, cfg, isAdmin)) return interaction.reply(ephContent("❌ Judges only."));
+
+        const weighinId = parseIdFromCustomId(interaction.customId);
+        const current = await getWeighIn(interaction.guildId, weighinId);
+        if (!current) return interaction.reply(ephContent("❌ Weigh-in not found."));
+
+        const mode = weighinMode(current);
+        const { value, error } = parseMeasureInput(interaction.fields.getTextInputValue("weight") || "", mode);
+        if (error) return interaction.reply(ephContent(`❌ ${error}`));
+
+        const group = await getWeighInGroup(interaction.guildId, current);
+        const pending = group.filter((w) => w.status === "pending");
+        const feedBefore = await feedBoardsBeforeEach(interaction.guildId, cfg, pending);
+
+        const decided = await reviewWeighIn({
+          guildId: interaction.guildId,
+          weighinId,
+          status: "approved",
+          reviewerId: interaction.user.id,
+          mode,
+          // Unchanged value is a plain approval, not an adjustment
+          adjustedValue: formatLb(weighinValue(current)) !== formatLb(value) ? value : null,
+        });
+        if (!decided.length) return interaction.reply(ephContent("❌ That weigh-in was already reviewed."));
+
+        return finishReview(interaction, decided, feedBefore);
+      }
+
+      if (interaction.customId.startsWith("admin_wi_search_modal:")) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const tournament = await getTournament(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!tournament) return interaction.reply(ephContent("❌ Tournament not found."));
+
+        const userId = parseUserIdFromText((interaction.fields.getTextInputValue("angler") || "").trim());
+        if (!userId) return interaction.reply(ephContent("❌ Paste a real @user mention or user ID."));
+
+        const weighins = await getAnglerWeighIns(interaction.guildId, tournament.id, userId);
+        return interaction.reply({ ...adminWeighInSearchPayload(tournament, userId, weighins), flags: EPHEMERAL_FLAG });
+      }
+
+      if (
+        interaction.customId.startsWith("admin_wi_edit_modal:") ||
+        interaction.customId.startsWith("admin_wi_void_modal:") ||
+        interaction.customId.startsWith("admin_wi_restore_modal:") ||
+        interaction.customId.startsWith("admin_wi_dead_modal:")
+      ) {
+        if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
+
+        const weighinId = parseIdFromCustomId(interaction.customId);
+        const weighin = await getWeighIn(interaction.guildId, weighinId);
+        if (!weighin) return interaction.reply(ephContent("❌ Weigh-in not found."));
+
+        const reason = (interaction.fields.getTextInputValue("reason") || "").trim();
+        if (!reason) return interaction.reply(ephContent("❌ A reason is required."));
+
+        let action;
+        let patch;
+
+        if (interaction.customId.startsWith("admin_wi_void_modal:")) {
+          if (weighin.status === "void") return interaction.reply(ephContent("❌ Already void."));
+          action = "void";
+          patch = { status: "void" };
+        } else if (interaction.customId.startsWith("admin_wi_restore_modal:")) {
+          if (weighin.status !== "void") return interaction.reply(ephContent("❌ Only void weigh-ins can be restored."));
+          action = "restore";
+          patch = { status: await getPreVoidStatus(interaction.guildId, weighinId) };
+        } else if (interaction.customId.startsWith("admin_wi_dead_modal:")) {
+          if (weighin.status === "void") return interaction.reply(ephContent("❌ Restore the weigh-in first."));
+          action = "edit";
+          patch = { is_dead: weighin.is_dead ? 0 : 1 };
+        } else {
+          const mode = weighinMode(weighin);
+          const { value, error } = parseMeasureInput(interaction.fields.getTextInputValue("weight") || "", mode);
+          if (error) return interaction.reply(ephContent(`❌ ${error}`));
+          const userId = parseUserIdFromText((interaction.fields.getTextInputValue("angler") || "").trim());
+          if (!userId) return interaction.reply(ephContent("❌ Paste a real @user mention or user ID."));
+          const { species, error: speciesError } = readSpeciesInput(interaction, getSpeciesList(cfg));
+          if (speciesError) return interaction.reply(ephContent(speciesError));
+
+          action = "edit";
+          patch = {
+            // Keep the stored value when the prefilled (rounded) value wasn't touched
+            [MEASURES[mode].column]: formatLb(weighinValue(weighin)) === formatLb(value) ? weighinValue(weighin) : value,
+            user_id: userId,
+            species,
+            notes: optionalTextInput(interaction, "notes") || null,
+          };
+        }
+
+        const result = await correctWeighIn({
+          guildId: interaction.guildId,
+          weighinId,
+          actorId: interaction.user.id,
+          action,
+          patch,
+          reason,
+        });
+        if (!result) return interaction.reply(ephContent("ℹ️ Nothing changed."));
+
+        await afterWeighInCorrection(interaction.guild, result.after.tournament_id);
+
+        const tournament = await getTournament(interaction.guildId, result.after.tournament_id);
+        return interaction.update({
+          content: `✅ Weigh-in #${weighinId}: **${action}** recorded in the audit log.`,
+          ...(await weighinMessage(
+            interaction.guild,
+            result.after,
+            tournament?.name || `Tournament #${result.after.tournament_id}`,
+            "admin"
+          )),
+          components: adminWeighInComponents(result.after),
+        });
+      }
+
+      if (interaction.customId.startsWith("my_wi_edit_modal:")) {
+        const { weighin, tournament, error } = await getOwnEditableWeighIn(
+          interaction,
+          parseIdFromCustomId(interaction.customId)
+        );
+        if (error) return interaction.reply(ephContent(error));
+
+        const mode = weighinMode(weighin);
+        const { value, error: measureError } = parseMeasureInput(
+          interaction.fields.getTextInputValue("weight") || "",
+          mode
+        );
+        if (measureError) return interaction.reply(ephContent(`❌ ${measureError}`));
+        const notes = (interaction.fields.getTextInputValue("notes") || "").trim() || null;
+
+        const { species, error: speciesError } = readSpeciesInput(
+          interaction,
+          allowedSpecies(getScoringRules(tournament), cfg)
+        );
+        if (speciesError) return interaction.reply(ephContent(speciesError));
+
+        const valueChanged = formatLb(weighinValue(weighin)) !== formatLb(value);
+        const patch = { [MEASURES[mode].column]: valueChanged ? value : weighinValue(weighin), species, notes };
+        // With review on, a new weight/length goes back through the judges
+        const needsReview = valueChanged && !!cfg?.review_required;
+        if (needsReview) patch.status = "pending";
+
+        const result = await correctWeighIn({
+          guildId: interaction.guildId,
+          weighinId: weighin.id,
+          actorId: interaction.user.id,
+          action: "angler_edit",
+          patch,
+          reason: "Edited by angler",
+        });
+        if (!result) return interaction.reply(ephContent("ℹ️ Nothing changed."));
+
+        if (needsReview && weighin.status !== "pending") {
+          await postForReview(interaction.guild, cfg.judges_channel_id, result.after, tournament.name);
+        }
+        await updateAutoEmbeds(interaction.guild);
+
+        return interaction.update({
+          content: needsReview
+            ? `✅ Weigh-in #${weighin.id} updated — the new ${MEASURES[mode].label.toLowerCase()} is pending judge review.`
+            : `✅ Weigh-in #${weighin.id} updated.`,
+          ...(await weighinMessage(interaction.guild, result.after, tournament.name)),
+          components: myWeighInComponents(result.after),
+        });
+      }
+
+      if (interaction.customId.startsWith("team_create_modal:")) {
+        const tournament = await getTournament(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!tournament || tournament.ended_at) return interaction.reply(ephContent("🔒 That tournament has ended."));
+
+        const name = (interaction.fields.getTextInputValue("name") || "").trim();
+        if (!name) return interaction.reply(ephContent("❌ Give the team a name."));
+
+        const captainRaw = isAdmin ? optionalTextInput(interaction, "captain") : "";
+        const captainId = captainRaw ? parseUserIdFromText(captainRaw) : interaction.user.id;
+        const partnerRaw = optionalTextInput(interaction, "partner");
+        const partnerId = partnerRaw ? parseUserIdFromText(partnerRaw) : null;
+        if (!captainId || (partnerRaw && !partnerId)) {
+          return interaction.reply(ephContent("❌ Paste a real @user mention or user ID."));
+        }
+        if (partnerId === captainId) return interaction.reply(ephContent("❌ The partner must be a different angler."));
+
+        const teams = await getTeams(interaction.guildId, tournament.id);
+        if (teams.some((t) => t.name.toLowerCase() === name.toLowerCase())) {
+          return interaction.reply(ephContent(`❌ There's already a team called **${name}**.`));
+        }
+        for (const userId of [captainId, partnerId].filter(Boolean)) {
+          const error = await teamMemberError(interaction.guildId, tournament.id, userId);
+          if (error) return interaction.reply(ephContent(error));
+        }
+        const lineup = [captainId, partnerId].filter(Boolean);
+        const divisionError = await teamDivisionError(interaction.guildId, tournament, lineup);
+        if (divisionError) return interaction.reply(ephContent(divisionError));
+
+        // Admin-built teams skip the invite step
+        const partnerJoins = isAdmin && partnerId;
+        await createTeam({
+          guildId: interaction.guildId,
+          tournamentId: tournament.id,
+          name,
+          captainId,
+          memberIds: partnerJoins ? [captainId, partnerId] : [captainId],
+          inviteIds: partnerId && !partnerJoins ? [partnerId] : [],
+        });
+        if (partnerId && !partnerJoins) {
+          await sendTeamInvite(interaction.guild, partnerId, captainId, name, tournament.name);
+        }
+
+        const payload = await loadTeamsPayload(interaction.guildId, tournament, interaction.user.id, isAdmin);
+        const content =
+          partnerId && !partnerJoins ? `✅ **${name}** created. <@${partnerId}> has been invited.` : `✅ **${name}** created.`;
+        return interaction.update({ ...payload, content });
+      }
+
+      if (interaction.customId.startsWith("team_invite_modal:")) {
+        const team = await getTeam(interaction.guildId, parseIdFromCustomId(interaction.customId));
+        if (!team || team.captain_id !== interaction.user.id) {
+          return interaction.reply(ephContent("❌ Only the team captain can invite a partner."));
+        }
+        if (team.members.length + team.invited.length >= TEAM_SIZE) {
+          return interaction.reply(ephContent("❌ Your team is already full."));
+        }
+
+        const partnerId = parseUserIdFromText((interaction.fields.getTextInputValue("partner") || "").trim());
+        if (!partnerId) return interaction.reply(ephContent("❌ Paste a real @user mention or user ID."));
+        if (team.members.includes(partnerId)) return interaction.reply(ephContent("❌ They're already on your team."));
+        const tournament = await getTournament(interaction.guildId, team.tournament_id);
+        const error =
+          (await teamMemberError(interaction.guildId, team.tournament_id, partnerId)) ||
+          (await teamDivisionError(interaction.guildId, tournament, [...team.members, partnerId]));
+        if (error) return interaction.reply(ephContent(error));
+
+        await inviteTeamMember(interaction.guildId, team, partnerId, interaction.user.id);
+        await sendTeamInvite(interaction.guild, partnerId, interaction.user.id, team.name, tournament.name);
+
+        const payload = await loadTeamsPayload(interaction.guildId, tournament, interaction.user.id, isAdmin);
+        return interaction.update({ ...payload, content: `📨 Invited <@${partnerId}> to **${team.name}**.` });
+      }
+
       if (interaction.customId === "start_tournament_modal") {
         if (!isAdmin) return interaction.reply(ephContent("❌ Admins only."));
 
         const name = (interaction.fields.getTextInputValue("name") || "").trim();
         if (!name) return interaction.reply(ephContent("❌ Tournament name required."));
 
-        await startTournament(interaction.guildId, name);
+        const startRaw = (interaction.fields.getTextInputValue("start_at") || "").trim();
+        const endRaw = (interaction.fields.getTextInputValue("end_at") || "").trim();
+
+        const startDate = startRaw ? parseScheduleDateTime(startRaw, TOURNAMENT_TZ) : new Date();
+        const endDate = endRaw ? parseScheduleDateTime(endRaw, TOURNAMENT_TZ) : null;
+        if (!startDate || (endRaw && !endDate)) {
+          return interaction.reply(ephContent(`❌ Use the format YYYY-MM-DD HH:MM (${TOURNAMENT_TZ} time).`));
+        }
+        if (endDate && endDate <= new Date()) return interaction.reply(ephContent("❌ End time is already past."));
+        if (endDate && endDate <= startDate) return interaction.reply(ephContent("❌ End time must be after the start."));
+
+        const endAt = endDate ? toSqliteDate(endDate) : null;
+
+        const { rules, error: rulesError } = parseScoringRules(
+          interaction.fields.getTextInputValue("rules") || "",
+          getSpeciesList(cfg)
+        );
+        if (rulesError) return interaction.reply(ephContent(`❌ ${rulesError}`));
+
+        const { verification, error: verificationError } = parseVerificationInput(
+          optionalTextInput(interaction, "verification")
+        );
+        if (verificationError) return interaction.reply(ephContent(`❌ ${verificationError}`));
+        const codeLine = verification ? `\n🔑 Photo code: ${describeVerification(verification)}` : "";
+
+        if (startDate > new Date()) {
+          const startAt = toSqliteDate(startDate);
+          await scheduleTournament(interaction.guildId, name, startAt, endAt, rules, verification);
+          return interaction.reply(
+            ephContent(
+              `🗓️ Scheduled **${name}** to start ${discordTime(startAt)}` +
+                (endAt ? ` and end ${discordTime(endAt)}.` : ". End it manually with **End Tourney**.") +
+                `\n📏 Scoring: ${describeScoringRules(rules)}` +
+                codeLine
+            )
+          );
+        }
+
+        const running = await getActiveTournaments(interaction.guildId);
+        await startTournament(interaction.guildId, name, { endAt, rules, verification });
         await updateAutoEmbeds(interaction.guild);
 
-        return interaction.reply(ephContent(`✅ Started tournament: **${name}**`));
+        return interaction.reply(
+          ephContent(
+            `✅ Started tournament: **${name}**` +
+              (endAt ? `\n⏱️ Ends automatically ${discordTime(endAt)}` : "") +
+              `\n📏 Scoring: ${describeScoringRules(rules)}` +
+              codeLine +
+              (running.length ? `\n🎣 Running alongside ${running.map((t) => `**${t.name}**`).join(", ")}.` : "")
+          )
+        );
       }
 
-      if (interaction.customId === "weighin_modal") {
-        if (cfg?.panel_channel_id && interaction.channelId !== cfg.panel_channel_id) {
-          return interaction.reply(ephContent(`❌ Submit weigh-ins in <#${cfg.panel_channel_id}>`));
-        }
-        if (!active) return interaction.reply(ephContent("❌ No active tournament."));
+      if (interaction.customId.startsWith("weighin_modal")) {
+        const [, uploadIdsRaw = "", targetRaw] = interaction.customId.split(":");
+        const resolved = await resolveWeighinTarget(interaction, cfg, targetRaw);
+        if (resolved.reply) return interaction.reply(resolved.reply);
+        const { tournaments, team } = resolved;
 
         const weightRaw = (interaction.fields.getTextInputValue("weight") || "").trim();
         const notes = (interaction.fields.getTextInputValue("notes") || "").trim() || null;
 
-        const weight = Number(weightRaw);
-        if (!Number.isFinite(weight) || weight <= 0) {
-          return interaction.reply(ephContent("❌ Weight must be a valid number (example: 5.62)."));
+        const rules = combinedWeighinRules(tournaments);
+        const mode = rules.mode;
+        const { value, error: measureError } = parseMeasureInput(weightRaw, mode);
+        if (measureError) return interaction.reply(ephContent(`❌ ${measureError}`));
+
+        const { species, error: speciesError } = readSpeciesInput(interaction, allowedSpecies(rules, cfg));
+        if (speciesError) return interaction.reply(ephContent(speciesError));
+
+        const deadRaw = optionalTextInput(interaction, "dead").toLowerCase();
+        if (deadRaw && !["yes", "no", "y", "n"].includes(deadRaw)) {
+          return interaction.reply(ephContent("❌ Dead fish must be **yes** or **no**."));
+        }
+        const isDead = deadRaw === "yes" || deadRaw === "y";
+
+        // Team events: either partner submits, the fish is credited to whoever caught it
+        let anglerId = interaction.user.id;
+        const caughtByRaw = team ? optionalTextInput(interaction, "caught_by") : "";
+        if (caughtByRaw) {
+          anglerId = parseUserIdFromText(caughtByRaw);
+          if (!team.members.includes(anglerId)) {
+            return interaction.reply(ephContent(`❌ "Caught by" must be you or a partner on **${team.name}**.`));
+          }
         }
 
-        const latest = await getLatestUpload({
-          guildId: interaction.guildId,
-          channelId: interaction.channelId,
-          userId: interaction.user.id,
-          maxMinutes: PHOTO_LOOKBACK_MINUTES,
-        });
+        // Submitted to several tournaments: each only takes the species it counts
+        const entered = tournaments.filter((t) => allowedSpecies(getScoringRules(t), cfg).includes(species));
+        const skipped = tournaments.filter((t) => !entered.includes(t));
+
+        // A partner's fish goes into every entered tournament, so they must be entered in each one
+        if (anglerId !== interaction.user.id) {
+          for (const t of entered) {
+            const notEntered =
+              (await registrationClosedReply(interaction.guildId, t, anglerId, false)) ||
+              (await divisionMissingReply(interaction.guildId, t, anglerId, false));
+            if (notEntered) return interaction.reply(notEntered);
+          }
+        }
 
-        if (!latest) {
+        // Every picked photo must still be this angler's and not already on another weigh-in
+        const uploadIds = uploadIdsRaw.split("-").filter(Boolean).map(Number);
+        const uploads = await getUploads(interaction.guildId, uploadIds);
+        const photosMissing =
+          !uploads.length ||
+          uploads.length !== uploadIds.length ||
+          uploads.some((u) => u.user_id !== interaction.user.id || u.channel_id !== interaction.channelId);
+        if (photosMissing) {
           return interaction.reply(
             ephContent("❌ I don’t see a recent photo from you here.\nUpload your photo first, then try again.")
           );
         }
+        if (uploads.some((u) => u.weighin_id)) {
+          return interaction.reply(
+            ephContent("❌ That photo is already attached to another weigh-in. Upload a new photo, then try again.")
+          );
+        }
 
-        await insertWeighIn({
-          guildId: interaction.guildId,
-          channelId: interaction.channelId,
-          tournamentId: active.id,
-          userId: interaction.user.id,
-          weightLbs: weight,
-          photoUrl: latest.image_url,
-          notes,
-        });
+        // Photo checks, saving and the board updates easily outlast Discord's 3-second window.
+        // From the (ephemeral) photo picker the receipt replaces the picker; from the panel it's a new
+        // ephemeral reply, since updating would overwrite the panel itself.
+        if (interaction.message?.flags.has(EPHEMERAL_FLAG)) await interaction.deferUpdate();
+        else await interaction.deferReply({ flags: EPHEMERAL_FLAG });
+        const respond = (payload) => interaction.editReply({ content: "", embeds: [], components: [], ...payload });
+
+        // Uploads still being hashed (or whose hashing failed) at post time get fingerprinted here
+        const photoCheck = getPhotoCheckMode(cfg);
+        let photoMatch = null;
+        let matchedUpload = null;
+        if (photoCheck !== "off") {
+          for (const upload of uploads) {
+            if (!upload.content_hash && !upload.phash) {
+              const fingerprint = await fingerprintUrl(upload.image_url);
+              upload.content_hash = fingerprint?.contentHash || null;
+              upload.phash = fingerprint?.phash || null;
+              if (fingerprint) await setUploadFingerprint(interaction.guildId, upload.id, fingerprint);
+            }
+            photoMatch = await findPhotoMatch(interaction.guildId, upload, interaction.user.id);
+            if (photoMatch) {
+              matchedUpload = upload;
+              break;
+            }
+          }
+        }
 
-        await updateAutoEmbeds(interaction.guild);
+        if (photoMatch && photoCheck === "block") {
+          await postPhotoBlockedAlert(interaction.guild, cfg, interaction.user.id, matchedUpload, photoMatch);
+          return respond({
+            content:
+              "❌ That photo has already been used for a weigh-in or posted by someone else. " +
+              "Upload a photo of this catch.",
+          });
+        }
+
+        // Flagged photos go to the judges even when review is off
+        const needsReview = !!cfg?.review_required || (!!photoMatch && !!cfg?.judges_channel_id);
+
+        // One weigh-in per tournament, grouped under the first when there are several
+        // Judges check the photos against the code that was in effect when they were posted (with daily
+        // codes, a photo posted before midnight and submitted after it still shows the old day's code)
+        const postedAt = photosPostedAt(uploads);
+        const entries = [];
+        for (const tournament of entered) {
+          entries.push({
+            tournament,
+            feedBefore: needsReview ? null : await feedBoardsBefore(interaction.guildId, cfg, tournament),
+            verificationCode: getVerificationCode(tournament, postedAt),
+          });
+        }
+        const weighinIds = await insertWeighInsWithUploads(
+          interaction.guildId,
+          entries.map(({ tournament, verificationCode }) => ({
+            guildId: interaction.guildId,
+            channelId: interaction.channelId,
+            tournamentId: tournament.id,
+            userId: anglerId,
+            submittedBy: interaction.user.id,
+            weightLbs: mode === "weight" ? value : null,
+            lengthIn: mode === "length" ? value : null,
+            photoUrl: uploads[0].image_url,
+            photoUrls: uploads.map((u) => u.image_url),
+            notes,
+            isDead,
+            species,
+            photoHash: uploads[0].content_hash,
+            photoPhash: uploads[0].phash,
+            photoMatch,
+            verificationCode,
+            status: needsReview ? "pending" : "approved",
+          })),
+          uploadIds
+        );
+        if (!weighinIds) {
+          return respond({
+            content: "❌ That photo is already attached to another weigh-in. Upload a new photo, then try again.",
+          });
+        }
+        for (const [i, entry] of entries.entries()) {
+          entry.weighinId = weighinIds[i];
+          entry.callouts = await feedCallouts(interaction.guildId, entry.tournament, entry.feedBefore, anglerId);
+        }
+
+        // One review post for the fish, however many tournaments it's entered in
+        const tournamentNames = entries.map((e) => e.tournament.name).join(" • ");
+        if (needsReview) {
+          const weighin = await getWeighIn(interaction.guildId, entries[0].weighinId);
+          await postForReview(interaction.guild, cfg.judges_channel_id, weighin, tournamentNames);
+        } else {
+          await updateAutoEmbeds(interaction.guild);
+        }
 
+        const codes = [...new Set(entries.map((e) => e.verificationCode).filter(Boolean))].map((c) => `\`${c}\``);
         const receipt = new EmbedBuilder()
-          .setTitle("✅ Weigh-in Submitted")
+          .setTitle(needsReview ? "⏳ Weigh-in Submitted — Pending Review" : "✅ Weigh-in Submitted")
           .addFields(
-            { name: "Tournament", value: `**${active.name}**`, inline: false },
-            { name: "Angler", value: `<@${interaction.user.id}>`, inline: true },
-            { name: "Weight", value: `**${formatLb(weight)} lbs**`, inline: true },
+            {
+              name: entries.length > 1 ? "Tournaments" : "Tournament",
+              value: entries.map((e) => `**${e.tournament.name}**`).join("\n"),
+              inline: false,
+            },
+            { name: "Angler", value: `<@${anglerId}>`, inline: true },
+            {
+              name: MEASURES[mode].label,
+              value: `**${formatMeasure(value, mode)}**${isDead ? " 💀 dead" : ""}`,
+              inline: true,
+            },
+            { name: "Species", value: speciesLabel(species), inline: true },
+            ...(codes.length ? [{ name: "🔑 Photo Code", value: codes.join(" / "), inline: true }] : []),
             { name: "Notes", value: notes || "—", inline: false }
           )
-          .setImage(latest.image_url)
           .setTimestamp(new Date());
+        if (skipped.length) {
+          const names = skipped.map((t) => `**${t.name}**`).join(", ");
+          const value = `${names} — doesn't count ${speciesLabel(species).toLowerCase()}`;
+          receipt.addFields({ name: "Not entered", value });
+        }
+        if (needsReview) {
+          receipt.setFooter({
+            text: photoMatch
+              ? "Your photo matched an earlier one, so a judge will check it. You'll get a DM with the decision."
+              : "A judge will review this. You'll get a DM with the decision.",
+          });
+        }
+
+        await respond({ embeds: photoGalleryEmbeds(receipt, uploads.map((u) => u.image_url)) });
 
-        return interaction.reply(ephEmbeds([receipt]));
+        // After replying: downloading + re-posting photos can outlast the interaction window.
+        // The group's photos are archived once (setWeighInArchive covers every entry).
+        await archiveWeighInPhotos(
+          interaction.guild,
+          cfg,
+          await getWeighIn(interaction.guildId, entries[0].weighinId),
+          tournamentNames
+        );
+        if (!needsReview) {
+          for (const entry of entries) entry.weighin = await getWeighIn(interaction.guildId, entry.weighinId);
+          await postWeighInFeed(interaction.guild, cfg, entries);
+        }
+        return;
       }
     }
   } catch (err) {
@@ -1093,4 +8069,32 @@ client.on("interactionCreate", async (interaction) => {
 });
 
 // -------------------- START BOT --------------------
-client.login(process.env.DISCORD_TOKEN);
+// Only when run directly: the tests require this file for its helpers and never log in.
+if (require.main === module) client.login(process.env.DISCORD_TOKEN);
+
+module.exports = {
+  parseScheduleDateTime,
+  parseMeasureInput,
+  parseCsv,
+  parseImportDate,
+  parseImportCsv,
+  buildImportPlan,
+  phashDistance,
+  closestPhoto,
+  parseScoringRules,
+  getScoringRules,
+  computeBagStandings,
+  getAoySettings,
+  computeAoyStandings,
+  getVerificationCode,
+  photosPostedAt,
+  rankTournamentResults,
+  placeLabel,
+  getPeriodWinners,
+  calculatePayouts,
+  run,
+  resetPeriod,
+  countResetResults,
+  archiveResetResults,
+  restoreResetBatch,
+};
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getAoySettings, computeAoyStandings } = require("./bot");
+
+const result = (tournamentId, userId, totalBag, bigBass = 3) => ({
+  tournament_id: tournamentId,
+  user_id: userId,
+  total_bag: totalBag,
+  big_bass: bigBass,
+  fish_count: 5,
+  scoring_rules: null,
+});
+const points = (aoy) => aoy.standings.map((s) => [s.user_id, s.points]);
+
+test("AOY settings fall back to the defaults and skip bad points", () => {
+  assert.deepEqual(getAoySettings(null), {
+    points: [25, 20, 16, 13, 11, 10, 9, 8, 7, 6],
+    participation: 5,
+    dropWorst: 0,
+  });
+  assert.deepEqual(getAoySettings({ aoy_points: "30, 20, x, -5, 10", aoy_participation: 0, aoy_drop_worst: 2 }), {
+    points: [30, 20, 10],
+    participation: 0,
+    dropWorst: 2,
+  });
+});
+
+test("AOY points come from finishing places plus participation, and missed events score nothing", () => {
+  const rows = [
+    ...[result(1, "a", 12), result(1, "b", 10), result(1, "c", 8), result(1, "d", 6)],
+    ...[result(2, "b", 12), result(2, "a", 10)],
+    ...[result(3, "c", 12), result(3, "b", 11), result(3, "a", 10)],
+  ];
+  const aoy = computeAoyStandings(rows, { points: [10, 6, 3], participation: 1, dropWorst: 0 });
+
+  assert.equal(aoy.eventCount, 3);
+  // a: 11 + 7 + 4, b: 7 + 11 + 7, c: 4 + 11, d: past the points table, participation only
+  assert.deepEqual(points(aoy), [
+    ["b", 25],
+    ["a", 22],
+    ["c", 15],
+    ["d", 1],
+  ]);
+});
+
+test("dropping worst events drops missed events first", () => {
+  const rows = [
+    ...[result(1, "a", 12), result(1, "b", 10)],
+    ...[result(2, "a", 12), result(2, "b", 10)],
+    ...[result(3, "b", 12)],
+  ];
+  const settings = { points: [10, 6], participation: 0, dropWorst: 1 };
+
+  // a loses the missed third event, b its worst 6
+  assert.deepEqual(points(computeAoyStandings(rows, settings)), [
+    ["a", 20],
+    ["b", 16],
+  ]);
+  // Never below one counted event, even when everything else would be dropped
+  assert.deepEqual(points(computeAoyStandings(rows.slice(0, 2), { ...settings, dropWorst: 5 })), [
+    ["a", 10],
+    ["b", 6],
+  ]);
+});
+
+test("anglers tied in an event share the place and its points", () => {
+  const rows = [result(1, "a", 10, 4), result(1, "b", 10, 4), result(1, "c", 8)];
+  const aoy = computeAoyStandings(rows, { points: [10, 6, 3], participation: 0, dropWorst: 0 });
+  assert.deepEqual(
+    aoy.standings.map((s) => [s.user_id, s.points, s.place]),
+    [
+      ["a", 10, 1],
+      ["b", 10, 1],
+      ["c", 3, 3],
+    ]
+  );
+});
@@ -0,0 +1,9 @@
+// Loads index.js for the tests: placeholder credentials, a zone with DST for tournament days and an
+// in-memory database unless the test file picks a database file (TEST_DB_PATH). The bot itself never
+// logs in when required (see START BOT).
+process.env.DISCORD_TOKEN = process.env.DISCORD_TOKEN || "test-token";
+process.env.CLIENT_ID = process.env.CLIENT_ID || "test-client";
+process.env.TOURNAMENT_TZ = "America/Chicago";
+process.env.DB_PATH = process.env.TEST_DB_PATH || ":memory:";
+
+module.exports = require("../index.js");
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv, parseImportDate, parseImportCsv, buildImportPlan } = require("./bot");
+
+const HEADER = "name,date,angler,big_bass,total_bag,fish_count";
+
+test("parseCsv handles quotes, escaped quotes, CRLF and blank lines", () => {
+  const text = 'a,b\r\n"Spring, Open","say ""hi"""\r\n\r\nx,\n';
+  assert.deepEqual(parseCsv(text), [
+    ["a", "b"],
+    ["Spring, Open", 'say "hi"'],
+    ["x", ""],
+  ]);
+});
+
+test("parseImportDate reads ISO and M/D/YYYY dates and rejects impossible ones", () => {
+  assert.equal(parseImportDate("2024-03-09"), "2024-03-09");
+  assert.equal(parseImportDate("3/9/2024"), "2024-03-09");
+  assert.equal(parseImportDate("2024-02-30"), null);
+  assert.equal(parseImportDate("09.03.2024"), null);
+});
+
+test("parseImportCsv reads valid rows, skipping a BOM and normalising the header", () => {
+  const text =
+    "\uFEFFName,Date,Angler,Big Bass,Total Bag,Fish Count\n" +
+    "Spring Open,2024-03-09,<@123456789012345678>,4.5,12.25,5\n";
+  const { rows, errors } = parseImportCsv(text);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows, [
+    {
+      line: 2,
+      name: "Spring Open",
+      date: "2024-03-09",
+      angler: "<@123456789012345678>",
+      big_bass: 4.5,
+      total_bag: 12.25,
+      fish_count: 5,
+    },
+  ]);
+});
+
+test("parseImportCsv reports a missing column or an empty file", () => {
+  assert.deepEqual(parseImportCsv("name,date,angler\nA,2024-01-01,bob\n").errors, [
+    "Header is missing: big_bass, total_bag, fish_count.",
+  ]);
+  assert.deepEqual(parseImportCsv(`${HEADER}\n`).errors, ["The file has no data rows."]);
+});
+
+test("parseImportCsv lists every problem on a row by line number", () => {
+  const text = [HEADER, ",2099-01-01,,-1,abc,2.5", "Good,2024-01-01,bob,1,2,1"].join("\n");
+  const { rows, errors } = parseImportCsv(text);
+  assert.equal(rows.length, 1);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Line 2: /);
+  const problems = [
+    "name is empty",
+    "date is in the future",
+    "angler is empty",
+    'big_bass "-1"',
+    'total_bag "abc"',
+    "fish_count must be a whole number",
+  ];
+  for (const problem of problems) assert.ok(errors[0].includes(problem), `missing "${problem}" in ${errors[0]}`);
+});
+
+test("buildImportPlan groups rows by name and date, oldest first", () => {
+  const row = (line, name, date, userId, bag) => ({
+    line,
+    name,
+    date,
+    angler: userId,
+    user_id: userId,
+    big_bass: 1,
+    total_bag: bag,
+    fish_count: 3,
+  });
+  const errors = [];
+  const rows = [
+    row(2, "Summer", "2024-06-01", "1", 10),
+    row(3, "Spring", "2024-03-01", "1", 8),
+    row(4, "summer", "2024-06-01", "2", 9),
+  ];
+  const plan = buildImportPlan(rows, errors, new Set());
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    plan.tournaments.map((t) => [t.name, t.date, t.results.map((r) => r.user_id)]),
+    [
+      ["Spring", "2024-03-01", ["1"]],
+      ["Summer", "2024-06-01", ["1", "2"]],
+    ]
+  );
+});
+
+test("buildImportPlan rejects an angler listed twice and tournaments that already exist", () => {
+  const base = { big_bass: 1, total_bag: 2, fish_count: 1 };
+  const rows = [
+    { line: 2, name: "Open", date: "2024-05-05", user_id: "1", ...base },
+    { line: 3, name: "Open", date: "2024-05-05", user_id: "1", ...base },
+    { line: 4, name: "Old", date: "2023-05-05", user_id: "1", ...base },
+  ];
+  const errors = [];
+  const plan = buildImportPlan(rows, errors, new Set(["old|2023-05-05"]));
+  assert.equal(plan.tournaments.length, 1);
+  assert.deepEqual(errors, [
+    'Line 3: <@1> appears twice in "Open" on 2024-05-05.',
+    'Line 4: "Old" on 2023-05-05 already exists.',
+  ]);
+});
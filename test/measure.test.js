@@ -0,0 +1,21 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseMeasureInput } = require("./bot");
+
+test("weights accept any positive number", () => {
+  assert.deepEqual(parseMeasureInput("5.62", "weight"), { value: 5.62 });
+  assert.deepEqual(parseMeasureInput(" 3 ", "weight"), { value: 3 });
+});
+
+test("lengths must be whole quarter inches", () => {
+  assert.deepEqual(parseMeasureInput("18.25", "length"), { value: 18.25 });
+  assert.deepEqual(parseMeasureInput("18.75", "length"), { value: 18.75 });
+  assert.match(parseMeasureInput("18.3", "length").error, /quarter inch/);
+});
+
+test("blank, zero, negative and non-numeric input is rejected", () => {
+  for (const raw of ["", "0", "-2", "abc", "NaN", "Infinity"]) {
+    assert.match(parseMeasureInput(raw, "weight").error, /^Weight must be a valid number/);
+    assert.match(parseMeasureInput(raw, "length").error, /^Length must be a valid number/);
+  }
+});
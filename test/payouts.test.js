@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { calculatePayouts } = require("./bot");
+
+const settings = (overrides = {}) => ({
+  mode: "paid",
+  fee: 20,
+  places: [50, 30, 20],
+  bigBass: 0,
+  sidePots: [],
+  ...overrides,
+});
+const paid = (user_id, sidePots = []) => ({ user_id, paid: 1, side_pots: JSON.stringify(sidePots) });
+const unpaid = (user_id) => ({ user_id, paid: 0, side_pots: null });
+// Board rows as the leaderboards hand them over: in order, with shared places for ties
+const board = (...entries) => entries.map(([user_id, place]) => ({ user_id, place }));
+const payees = (places) => places.map((p) => [p.rows.map((r) => r.user_id), p.each]);
+
+test("the pool is the entry fee times paid anglers, split by place percentages", () => {
+  const registrations = [paid("a"), paid("b"), paid("c"), paid("d")];
+  const result = calculatePayouts(settings(), registrations, board(["a", 1], ["b", 2], ["c", 3], ["d", 4]), []);
+  assert.equal(result.pool, 80);
+  assert.equal(result.paidCount, 4);
+  assert.deepEqual(payees(result.places), [
+    [["a"], 40],
+    [["b"], 24],
+    [["c"], 16],
+  ]);
+  assert.equal(result.unallocated, 0);
+});
+
+test("unpaid anglers are skipped and the next paid angler takes the place", () => {
+  const registrations = [paid("a"), unpaid("b"), paid("c"), paid("d")];
+  const result = calculatePayouts(settings(), registrations, board(["b", 1], ["a", 2], ["c", 3], ["d", 4]), []);
+  assert.equal(result.pool, 60);
+  assert.deepEqual(payees(result.places), [
+    [["a"], 30],
+    [["c"], 18],
+    [["d"], 12],
+  ]);
+});
+
+test("a tie splits every place it covers, rounding down to the cent", () => {
+  const registrations = [paid("a"), paid("b"), paid("c"), paid("d"), paid("e")];
+  const rows = board(["a", 1], ["b", 1], ["c", 1], ["d", 4], ["e", 5]);
+  const result = calculatePayouts(settings(), registrations, rows, []);
+  assert.equal(result.pool, 100);
+  // 1st-3rd (100%) shared three ways; nobody is left to pay after that
+  assert.deepEqual(payees(result.places), [[["a", "b", "c"], 33.33]]);
+  assert.equal(result.unallocated, 0.01);
+});
+
+test("big bass and side pots pay their own leaders", () => {
+  const registrations = [paid("a", ["lunker"]), paid("b"), paid("c", ["lunker"])];
+  const result = calculatePayouts(
+    settings({ places: [70], bigBass: 30, sidePots: [{ name: "lunker", buyIn: 5, board: "big" }] }),
+    registrations,
+    board(["a", 1], ["b", 2], ["c", 3]),
+    board(["b", 1], ["c", 2], ["a", 3])
+  );
+  assert.deepEqual(payees(result.places), [[["a"], 42]]);
+  assert.deepEqual([result.bigBass.rows.map((r) => r.user_id), result.bigBass.each], [["b"], 18]);
+  // b has the biggest fish but didn't buy into the side pot
+  const [lunker] = result.sidePots;
+  assert.deepEqual([lunker.entrants, lunker.total, lunker.rows.map((r) => r.user_id), lunker.each], [2, 10, ["c"], 10]);
+});
+
+test("a team is paid only when every member paid", () => {
+  const registrations = [paid("a"), paid("b"), paid("c"), unpaid("d")];
+  const teams = [
+    { team_id: 1, members: ["c", "d"], place: 1 },
+    { team_id: 2, members: ["a", "b"], place: 2 },
+  ];
+  const result = calculatePayouts(settings({ places: [100] }), registrations, teams, []);
+  assert.deepEqual(result.places.map((p) => p.rows.map((r) => r.team_id)), [[2]]);
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { phashDistance, closestPhoto } = require("./bot");
+
+test("phash distance counts the differing bits", () => {
+  assert.equal(phashDistance("ffffffffffffffff", "ffffffffffffffff"), 0);
+  assert.equal(phashDistance("0000000000000000", "0000000000000001"), 1);
+  assert.equal(phashDistance("0000000000000000", "00000000000000ff"), 8);
+  assert.equal(phashDistance("f000000000000000", "0000000000000000"), 4);
+  assert.equal(phashDistance("0000000000000000", "ffffffffffffffff"), 64);
+});
+
+test("the closest photo within the distance limit is the match", () => {
+  const upload = { image_url: "https://cdn/new.jpg", content_hash: "abc", phash: "0000000000000000" };
+  const rows = [
+    { id: 1, image_url: "https://cdn/far.jpg", photo_hash: "x", photo_phash: "00000000000000ff" },
+    { id: 2, image_url: "https://cdn/near.jpg", photo_hash: "y", photo_phash: "0000000000000007" },
+    { id: 3, image_url: "https://cdn/nearer.jpg", photo_hash: "z", photo_phash: "0000000000000001" },
+  ];
+  const match = closestPhoto(upload, rows, "photo_hash", "photo_phash");
+  assert.equal(match.row.id, 3);
+  assert.equal(match.distance, 1);
+
+  // 8 bits apart is past the limit
+  assert.equal(closestPhoto(upload, [rows[0]], "photo_hash", "photo_phash"), null);
+});
+
+test("an exact copy matches at distance 0 even without a perceptual hash", () => {
+  const upload = { image_url: "https://cdn/copy.jpg", content_hash: "abc", phash: null };
+  const rows = [
+    { id: 1, image_url: "https://cdn/other.jpg", content_hash: "def", phash: "0000000000000000" },
+    { id: 2, image_url: "https://cdn/original.jpg", content_hash: "abc", phash: "0000000000000000" },
+  ];
+  assert.deepEqual(closestPhoto(upload, rows, "content_hash", "phash"), { row: rows[1], distance: 0 });
+  assert.equal(closestPhoto(upload, [rows[0]], "content_hash", "phash"), null);
+});
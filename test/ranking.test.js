@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  run,
+  parseScoringRules,
+  getScoringRules,
+  rankTournamentResults,
+  placeLabel,
+  getPeriodWinners,
+} = require("./bot");
+
+const rulesFor = (text) => parseScoringRules(text).rules;
+const result = (user_id, total_bag, big_bass, fish_count = 5, bag_completed_at = null) => ({
+  user_id,
+  total_bag,
+  big_bass,
+  fish_count,
+  bag_completed_at,
+});
+const order = (rows) => rows.map((r) => [r.user_id, placeLabel(r)]);
+
+test("heavier bags place first", () => {
+  const rows = [result("a", 10, 3), result("b", 12, 3), result("c", 8, 5)];
+  const ranked = rankTournamentResults(rows, getScoringRules(null));
+  assert.deepEqual(order(ranked), [
+    ["b", "1"],
+    ["a", "2"],
+    ["c", "3"],
+  ]);
+});
+
+test("equal bags fall back to the bigger fish by default", () => {
+  assert.deepEqual(getScoringRules(null).tiebreakers, ["bigfish"]);
+  const ranked = rankTournamentResults([result("a", 10, 3), result("b", 10, 4)], getScoringRules(null));
+  assert.deepEqual(order(ranked), [
+    ["b", "1"],
+    ["a", "2"],
+  ]);
+});
+
+test("with tie-breakers off, level anglers share a place and the next place is skipped", () => {
+  const rows = [result("a", 10, 3), result("b", 10, 4), result("c", 9, 6)];
+  const ranked = rankTournamentResults(rows, rulesFor("tiebreak=none"));
+  assert.deepEqual(order(ranked).slice(2), [["c", "3"]]);
+  assert.deepEqual(ranked.slice(0, 2).map(placeLabel), ["T-1", "T-1"]);
+});
+
+test("tie-breakers apply in order: earliest bag first, then fewer fish", () => {
+  const rules = rulesFor("tiebreak=earliest,fewer");
+  const ranked = rankTournamentResults(
+    [
+      result("late", 10, 3, 4, "2024-05-01 12:00:00"),
+      result("early", 10, 3, 5, "2024-05-01 09:00:00"),
+      result("leader", 11, 3, 5, "2024-05-01 15:00:00"),
+    ],
+    rules
+  );
+  assert.deepEqual(order(ranked), [
+    ["leader", "1"],
+    ["early", "2"],
+    ["late", "3"],
+  ]);
+});
+
+test("imported results have no bag time, so the next tie-breaker decides", () => {
+  const rows = [result("more", 10, 3, 5), result("fewer", 10, 3, 4)];
+  const ranked = rankTournamentResults(rows, rulesFor("tiebreak=earliest,fewer"));
+  assert.deepEqual(order(ranked), [
+    ["fewer", "1"],
+    ["more", "2"],
+  ]);
+});
+
+test("the count metric ranks by fish caught, weight breaking ties", () => {
+  const ranked = rankTournamentResults(
+    [result("heavy", 15, 5, 3), result("many", 9, 2, 5), result("many-light", 8, 2, 5)],
+    rulesFor("metric=count")
+  );
+  assert.deepEqual(ranked.map((r) => r.user_id), ["many", "many-light", "heavy"]);
+});
+
+test("month winners tied on weight go through the latest tournament's tie-breakers", async () => {
+  const guildId = "period-guild";
+  const sql = `INSERT INTO tournaments (guild_id, name, is_active, started_at, ended_at, scoring_rules)
+    VALUES (?, 'May', 0, '2024-05-04 06:00:00', '2024-05-04 18:00:00', ?)`;
+  const { lastID: tournamentId } = await run(sql, [guildId, JSON.stringify({ tiebreakers: ["fewer"] })]);
+  const result = (userId, bigBass, fishCount, completedAt) => {
+    const sql = `INSERT INTO tournament_results
+      (guild_id, tournament_id, user_id, big_bass, total_bag, fish_count, bag_completed_at)
+      VALUES (?, ?, ?, ?, 10, ?, ?)`;
+    return run(sql, [guildId, tournamentId, userId, bigBass, fishCount, completedAt]);
+  };
+  await result("fewer", 4, 3, "2024-05-04 12:00:00");
+  await result("early", 5, 5, "2024-05-04 09:00:00");
+
+  let winners = await getPeriodWinners(guildId, "%Y-%m", "2024-05");
+  assert.deepEqual(winners.bag_winner_ids, ["fewer"]);
+  assert.deepEqual(winners.big_winner_ids, ["early"]);
+
+  const setTiebreakers = (tiebreakers) =>
+    run(`UPDATE tournaments SET scoring_rules = ? WHERE id = ?`, [JSON.stringify({ tiebreakers }), tournamentId]);
+  await setTiebreakers(["earliest"]);
+  winners = await getPeriodWinners(guildId, "%Y-%m", "2024-05");
+  assert.deepEqual(winners.bag_winner_ids, ["early"]);
+
+  await setTiebreakers([]);
+  winners = await getPeriodWinners(guildId, "%Y-%m", "2024-05");
+  assert.deepEqual(winners.bag_winner_ids.sort(), ["early", "fewer"]);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+// A database file, so resets run on their own connection as they do in production
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reset-test-"));
+process.env.TEST_DB_PATH = path.join(dir, "tournament.sqlite");
+const { run, countResetResults, archiveResetResults } = require("./bot");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a reset waits for a write in progress and archives what it committed", async () => {
+  const guildId = "file-guild";
+  const endedAt = "2024-03-10 18:00:00";
+  const sql = `INSERT INTO tournaments (guild_id, name, is_active, started_at, ended_at) VALUES (?, 'March', 0, ?, ?)`;
+  const { lastID: tournamentId } = await run(sql, [guildId, endedAt, endedAt]);
+  const result = (userId) =>
+    run(`INSERT INTO tournament_results (guild_id, tournament_id, user_id, total_bag) VALUES (?, ?, ?, 10)`, [
+      guildId,
+      tournamentId,
+      userId,
+    ]);
+  await result("a");
+
+  // A results snapshot half done on the main connection
+  await run("BEGIN IMMEDIATE");
+  await result("b");
+  const reset = archiveResetResults(guildId, "month", "2024-03", "admin");
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  await result("c");
+  await run("COMMIT");
+
+  const { batchId, count } = await reset;
+  assert.ok(batchId);
+  assert.equal(count, 3);
+  assert.deepEqual(await countResetResults(guildId, "month", "2024-03"), { results: 0, tournaments: 0 });
+});
+
+test("a write rolled back on the main connection leaves the reset's archive alone", async () => {
+  const guildId = "rollback-guild";
+  const endedAt = "2024-04-10 18:00:00";
+  const sql = `INSERT INTO tournaments (guild_id, name, is_active, started_at, ended_at) VALUES (?, 'April', 0, ?, ?)`;
+  const { lastID: tournamentId } = await run(sql, [guildId, endedAt, endedAt]);
+  const insert = `INSERT INTO tournament_results (guild_id, tournament_id, user_id, total_bag) VALUES (?, ?, ?, 10)`;
+  await run(insert, [guildId, tournamentId, "a"]);
+
+  await run("BEGIN IMMEDIATE");
+  await run(insert, [guildId, tournamentId, "b"]);
+  const reset = archiveResetResults(guildId, "month", "2024-04", "admin");
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  await run("ROLLBACK");
+
+  assert.equal((await reset).count, 1);
+  assert.deepEqual(await countResetResults(guildId, "month", "2024-04"), { results: 0, tournaments: 0 });
+});
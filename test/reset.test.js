@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { run, resetPeriod, countResetResults, archiveResetResults, restoreResetBatch } = require("./bot");
+
+test("resetPeriod names the current month or year", () => {
+  assert.equal(resetPeriod("month", new Date(2024, 0, 31)), "2024-01");
+  assert.equal(resetPeriod("month", new Date(2024, 11, 1)), "2024-12");
+  assert.equal(resetPeriod("year", new Date(2024, 11, 1)), "2024");
+});
+
+test("a reset archives the period's results and a restore puts them back once", async () => {
+  const guildId = "reset-guild";
+  const tournament = async (name, endedAt) => {
+    const sql = `INSERT INTO tournaments (guild_id, name, is_active, started_at, ended_at) VALUES (?, ?, 0, ?, ?)`;
+    return (await run(sql, [guildId, name, endedAt, endedAt])).lastID;
+  };
+  const result = (tournamentId, userId) => {
+    const sql = `INSERT INTO tournament_results (guild_id, tournament_id, user_id, total_bag) VALUES (?, ?, ?, 10)`;
+    return run(sql, [guildId, tournamentId, userId]);
+  };
+
+  const march = await tournament("March", "2024-03-10 18:00:00");
+  const april = await tournament("April", "2024-04-10 18:00:00");
+  await result(march, "a");
+  await result(march, "b");
+  await result(april, "a");
+
+  assert.deepEqual(await countResetResults(guildId, "month", "2024-03"), { results: 2, tournaments: 1 });
+  const { batchId, count } = await archiveResetResults(guildId, "month", "2024-03", "admin");
+  assert.equal(count, 2);
+  assert.deepEqual(await countResetResults(guildId, "month", "2024-03"), { results: 0, tournaments: 0 });
+  assert.deepEqual(await countResetResults(guildId, "month", "2024-04"), { results: 1, tournaments: 1 });
+
+  // A second click finds nothing left to reset
+  assert.deepEqual(await archiveResetResults(guildId, "month", "2024-03", "admin"), { batchId: null, count: 0 });
+
+  const restored = await restoreResetBatch(guildId, batchId, "admin");
+  assert.equal(restored.restored, 2);
+  assert.deepEqual(await countResetResults(guildId, "month", "2024-03"), { results: 2, tournaments: 1 });
+  assert.equal(await restoreResetBatch(guildId, batchId, "admin"), null);
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseScheduleDateTime } = require("./bot");
+
+const utc = (date) => date?.toISOString();
+
+test("schedule times are read as wall-clock time in the tournament zone", () => {
+  assert.equal(utc(parseScheduleDateTime("2025-06-14 06:00", "UTC")), "2025-06-14T06:00:00.000Z");
+  // CDT in summer, CST in winter
+  assert.equal(utc(parseScheduleDateTime("2025-06-14 06:00", "America/Chicago")), "2025-06-14T11:00:00.000Z");
+  assert.equal(utc(parseScheduleDateTime("2025-01-14T06:00", "America/Chicago")), "2025-01-14T12:00:00.000Z");
+  assert.equal(utc(parseScheduleDateTime("2025-6-4 5:30", "Asia/Kolkata")), "2025-06-04T00:00:00.000Z");
+});
+
+test("schedule times on DST change days land on the right side of the change", () => {
+  // Chicago springs forward at 02:00 on 2025-03-09 and falls back at 02:00 on 2025-11-02
+  assert.equal(utc(parseScheduleDateTime("2025-03-09 01:30", "America/Chicago")), "2025-03-09T07:30:00.000Z");
+  assert.equal(utc(parseScheduleDateTime("2025-03-09 03:30", "America/Chicago")), "2025-03-09T08:30:00.000Z");
+  assert.equal(utc(parseScheduleDateTime("2025-11-02 00:30", "America/Chicago")), "2025-11-02T05:30:00.000Z");
+  assert.equal(utc(parseScheduleDateTime("2025-11-02 03:00", "America/Chicago")), "2025-11-02T09:00:00.000Z");
+});
+
+test("schedule times that aren't real dates are rejected", () => {
+  assert.equal(parseScheduleDateTime("2025-02-30 06:00", "UTC"), null);
+  assert.equal(parseScheduleDateTime("2025-06-14 24:00", "UTC"), null);
+  assert.equal(parseScheduleDateTime("06/14/2025 06:00", "UTC"), null);
+  assert.equal(parseScheduleDateTime("2025-06-14", "UTC"), null);
+});
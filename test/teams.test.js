@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseScoringRules, computeBagStandings } = require("./bot");
+
+const fish = (userId, teamId, weight, createdAt = "2024-05-01 08:00:00") => ({
+  user_id: userId,
+  team_id: teamId,
+  weight_lbs: weight,
+  species: "largemouth",
+  is_dead: 0,
+  created_at: createdAt,
+});
+
+test("a team's bag is its best fish across both anglers, capped at one bag limit", () => {
+  const rules = parseScoringRules("limit=3\nteams=yes").rules;
+  const catches = [
+    fish("a", 1, 4),
+    fish("a", 1, 2),
+    fish("b", 1, 5),
+    fish("b", 1, 3),
+    fish("c", 2, 6),
+    fish("d", 2, 1),
+    // Fished alone: no team, no team bag
+    fish("e", null, 9),
+  ];
+  const standings = computeBagStandings(catches, rules, "team_id");
+
+  assert.deepEqual(
+    standings.map((r) => [r.team_id, r.total_bag, r.fish_count, r.big_fish]),
+    [
+      [1, 12, 3, 5],
+      [2, 7, 2, 6],
+    ]
+  );
+});
+
+test("team fish count once per team, not once per angler", () => {
+  const rules = parseScoringRules("limit=2\nteams=yes").rules;
+  const standings = computeBagStandings([fish("a", 1, 3), fish("b", 1, 3), fish("b", 1, 3)], rules, "team_id");
+  assert.equal(standings.length, 1);
+  assert.equal(standings[0].total_bag, 6);
+  assert.equal(standings[0].fish_count, 2);
+});
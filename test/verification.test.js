@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getVerificationCode, photosPostedAt } = require("./bot");
+
+// test/bot.js runs the bot on America/Chicago time: days roll over at 05:00 UTC in May
+const tournament = (verification) => ({
+  started_at: "2024-05-01 12:00:00",
+  verification: verification && JSON.stringify(verification),
+});
+const at = (iso) => new Date(iso);
+
+test("a code list rotates one code per tournament day and wraps around", () => {
+  const t = tournament({ codes: ["BASS", "SHAD", "CRAW"] });
+  assert.equal(getVerificationCode(t, at("2024-05-01T12:00:00Z")), "BASS");
+  assert.equal(getVerificationCode(t, at("2024-05-02T04:59:00Z")), "BASS");
+  assert.equal(getVerificationCode(t, at("2024-05-02T05:00:00Z")), "SHAD");
+  assert.equal(getVerificationCode(t, at("2024-05-03T12:00:00Z")), "CRAW");
+  assert.equal(getVerificationCode(t, at("2024-05-04T12:00:00Z")), "BASS");
+});
+
+test("auto daily codes hold for the whole day and change at midnight", () => {
+  const t = tournament({ secret: "0123456789abcdef0123456789abcdef" });
+  const morning = getVerificationCode(t, at("2024-05-01T11:00:00Z"));
+  assert.match(morning, /^[A-HJ-NP-Z2-9]+$/);
+  assert.equal(getVerificationCode(t, at("2024-05-02T04:59:00Z")), morning);
+  assert.notEqual(getVerificationCode(t, at("2024-05-02T05:00:00Z")), morning);
+  // Another tournament's secret gives other codes
+  assert.notEqual(getVerificationCode(tournament({ secret: "ffff" }), at("2024-05-01T11:00:00Z")), morning);
+});
+
+test("a single code never changes and no code means none", () => {
+  const t = tournament({ codes: ["BASS42"] });
+  assert.equal(getVerificationCode(t, at("2024-05-01T12:00:00Z")), "BASS42");
+  assert.equal(getVerificationCode(t, at("2024-06-30T12:00:00Z")), "BASS42");
+  assert.equal(getVerificationCode(tournament(null)), null);
+});
+
+test("photos are checked against the code from when the first one was posted", () => {
+  const t = tournament({ codes: ["BASS", "SHAD"] });
+  // Posted just before midnight and just after it, submitted the next day
+  const uploads = [{ created_at: "2024-05-02 05:10:00" }, { created_at: "2024-05-02 04:50:00" }];
+  const postedAt = photosPostedAt(uploads);
+  assert.equal(postedAt.toISOString(), "2024-05-02T04:50:00.000Z");
+  assert.equal(getVerificationCode(t, postedAt), "BASS");
+  assert.equal(getVerificationCode(t, at("2024-05-02T13:00:00Z")), "SHAD");
+});